@@ -73,13 +73,18 @@ module.exports = [
       nodeResolve({
         browser: true,
       }),
+      // 浏览器中没有 fs，须在 commonjs 转换 require 之前替换（默认分隔符匹配不到以括号结尾的键）
+      replace({
+        "require('fs')": 'null',
+        delimiters: ['', ''],
+        preventAssignment: true,
+      }),
       commonjs(),
       replace({
         'process.env.NODE_ENV': JSON.stringify(env),
-        'require("fs")': 'null',
         preventAssignment: true,
       }),
       isProd && terser(),
     ],
   },
-]; 
\ No newline at end of file
+]; 
\ No newline at end of file
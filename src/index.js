@@ -20,6 +20,20 @@ const { getDefaultOptions } = require('./utils/constants');
 
 // Import utility classes
 const OrderUtils = require('./utils/orderUtils');
+const MetadataUtils = require('./utils/metadataUtils');
+const LocalFileStorage = require('./utils/localFileStorage');
+const MintGrinder = require('./utils/mintGrinder');
+const ProgramErrorUtils = require('./utils/programErrors');
+const {
+  ErrorCodes,
+  SpinPetError,
+  ValidationError,
+  FastApiError,
+  RpcError,
+  ProgramError,
+  AccountNotFoundError,
+  CursorNotFoundError
+} = require('./utils/errors');
 
 // Import constants (if needed)
 const SPINPET_PROGRAM_ID = new PublicKey(spinpetIdl.address); // Replace with actual program ID
@@ -37,6 +51,20 @@ module.exports = {
 
   // Utility classes
   OrderUtils,
+  MetadataUtils,
+  LocalFileStorage,
+  MintGrinder,
+  ProgramErrorUtils,
+
+  // Error classes
+  ErrorCodes,
+  SpinPetError,
+  ValidationError,
+  FastApiError,
+  RpcError,
+  ProgramError,
+  AccountNotFoundError,
+  CursorNotFoundError,
 };
 
 // Default export SDK class
@@ -0,0 +1,175 @@
+const { PublicKey } = require('@solana/web3.js');
+const CurveAMM = require('../utils/curve_amm');
+const { AccountNotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Accounts Module
+ * Decodes the program accounts (Admin, Params, BorrowingBondingCurve, MarginOrder) into one normalized format:
+ * - camelCase field names, whichever casing the installed Anchor version decodes to
+ * - u64 / u128 as bigint, u8 / u16 / u32 as number, pubkeys as base58 strings, empty options as null
+ * - fee rates (denominator CurveAMM.FEE_DENOMINATOR) also as percentages in `<field>Percent`
+ */
+class AccountsModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Decode raw account data
+   * @param {string} type - 'Admin', 'Params', 'BorrowingBondingCurve' or 'MarginOrder'
+   * @param {Buffer|Uint8Array} data - Account data including the discriminator
+   * @returns {Object} Normalized account
+   * @throws {Error} Unknown type, or data that is not an account of this type
+   *
+   * @example
+   * const curve = sdk.accounts.decode('BorrowingBondingCurve', accountInfo.data);
+   * console.log(curve.price, curve.swapFeePercent, curve.upHead);
+   */
+  decode(type, data) {
+    const normalize = NORMALIZERS[type];
+    if (!normalize) {
+      throw new ValidationError(`Unknown account type: ${type}, expected one of ${Object.keys(NORMALIZERS).join(', ')}`);
+    }
+
+    const coder = this.sdk.program.coder.accounts;
+    let decodeError;
+    // Account names are camelCase in Program coders and as in the IDL in a standalone BorshAccountsCoder
+    for (const name of [type.charAt(0).toLowerCase() + type.slice(1), type]) {
+      try {
+        return normalize(coder.decode(name, Buffer.from(data)));
+      } catch (error) {
+        decodeError = decodeError || error;
+      }
+    }
+    throw new Error(`Cannot decode ${type} account data: ${decodeError.message}`);
+  }
+
+  /**
+   * Read and decode an account
+   * @param {string} type - 'Admin', 'Params', 'BorrowingBondingCurve' or 'MarginOrder'
+   * @param {string|PublicKey} address - Account address
+   * @returns {Promise<Object>} Normalized account
+   * @throws {AccountNotFoundError} The account does not exist
+   *
+   * @example
+   * const order = await sdk.accounts.fetch('MarginOrder', orderPda);
+   * console.log(order.lockLpSolAmount, order.nextOrder);
+   */
+  async fetch(type, address) {
+    const pubkey = typeof address === 'string' ? new PublicKey(address) : address;
+    const accountInfo = await this.sdk.connection.getAccountInfo(pubkey);
+    if (!accountInfo) {
+      throw new AccountNotFoundError(type, pubkey);
+    }
+    return this.decode(type, accountInfo.data);
+  }
+
+  /**
+   * Convert a fee rate to a percentage
+   * @param {number|bigint} rate - Fee rate, denominator CurveAMM.FEE_DENOMINATOR
+   * @returns {number} Percentage, e.g. 250 -> 0.25
+   */
+  feeRateToPercent(rate) {
+    return feeRateToPercent(rate);
+  }
+}
+
+/**
+ * Read a field by its IDL (snake_case) name, or the camelCase name Anchor may convert it to
+ * @private
+ */
+function field(raw, name) {
+  const camel = name.replace(/_([a-z])/g, (_, char) => char.toUpperCase());
+  return raw[camel] !== undefined ? raw[camel] : raw[name];
+}
+
+/**
+ * @private
+ */
+function toBigInt(value) {
+  return BigInt(value.toString());
+}
+
+/**
+ * @private
+ */
+function toAddress(value) {
+  return value ? value.toString() : null;
+}
+
+/**
+ * @private
+ */
+function feeRateToPercent(rate) {
+  return Number(rate) * 100 / Number(CurveAMM.FEE_DENOMINATOR);
+}
+
+// Normalizers by IDL account name
+const NORMALIZERS = {
+  Admin: raw => ({
+    admin: toAddress(field(raw, 'admin')),
+    defaultSwapFee: field(raw, 'default_swap_fee'),
+    defaultSwapFeePercent: feeRateToPercent(field(raw, 'default_swap_fee')),
+    defaultBorrowFee: field(raw, 'default_borrow_fee'),
+    defaultBorrowFeePercent: feeRateToPercent(field(raw, 'default_borrow_fee')),
+    defaultBorrowDuration: field(raw, 'default_borrow_duration'),   // Seconds
+    defaultFeeSplit: field(raw, 'default_fee_split'),               // Already a percentage (0-100)
+    baseFeeRecipient: toAddress(field(raw, 'base_fee_recipient')),
+    bump: field(raw, 'bump')
+  }),
+
+  Params: raw => ({
+    baseSwapFee: field(raw, 'base_swap_fee'),
+    baseSwapFeePercent: feeRateToPercent(field(raw, 'base_swap_fee')),
+    baseBorrowFee: field(raw, 'base_borrow_fee'),
+    baseBorrowFeePercent: feeRateToPercent(field(raw, 'base_borrow_fee')),
+    baseBorrowDuration: field(raw, 'base_borrow_duration'),         // Seconds
+    feeSplit: field(raw, 'fee_split'),                              // Already a percentage (0-100)
+    baseFeeRecipient: toAddress(field(raw, 'base_fee_recipient')),
+    feeRecipient: toAddress(field(raw, 'fee_recipient')),
+    bump: field(raw, 'bump')
+  }),
+
+  BorrowingBondingCurve: raw => ({
+    lpTokenReserve: toBigInt(field(raw, 'lp_token_reserve')),
+    lpSolReserve: toBigInt(field(raw, 'lp_sol_reserve')),
+    price: toBigInt(field(raw, 'price')),
+    borrowTokenReserve: toBigInt(field(raw, 'borrow_token_reserve')),
+    borrowSolReserve: toBigInt(field(raw, 'borrow_sol_reserve')),
+    swapFee: field(raw, 'swap_fee'),
+    swapFeePercent: feeRateToPercent(field(raw, 'swap_fee')),
+    borrowFee: field(raw, 'borrow_fee'),
+    borrowFeePercent: feeRateToPercent(field(raw, 'borrow_fee')),
+    feeDiscountFlag: field(raw, 'fee_discount_flag'),
+    feeSplit: field(raw, 'fee_split'),
+    borrowDuration: field(raw, 'borrow_duration'),
+    bump: field(raw, 'bump'),
+    baseFeeRecipient: toAddress(field(raw, 'base_fee_recipient')),
+    feeRecipient: toAddress(field(raw, 'fee_recipient')),
+    mint: toAddress(field(raw, 'mint')),
+    upHead: toAddress(field(raw, 'up_head')),
+    downHead: toAddress(field(raw, 'down_head'))
+  }),
+
+  MarginOrder: raw => ({
+    orderType: field(raw, 'order_type'),                            // 1=long=down_orders, 2=short=up_orders
+    mint: toAddress(field(raw, 'mint')),
+    user: toAddress(field(raw, 'user')),
+    nextOrder: toAddress(field(raw, 'next_order')),
+    prevOrder: toAddress(field(raw, 'prev_order')),
+    lockLpStartPrice: toBigInt(field(raw, 'lock_lp_start_price')),
+    lockLpEndPrice: toBigInt(field(raw, 'lock_lp_end_price')),
+    lockLpSolAmount: toBigInt(field(raw, 'lock_lp_sol_amount')),
+    lockLpTokenAmount: toBigInt(field(raw, 'lock_lp_token_amount')),
+    startTime: field(raw, 'start_time'),
+    endTime: field(raw, 'end_time'),
+    marginSolAmount: toBigInt(field(raw, 'margin_sol_amount')),
+    borrowAmount: toBigInt(field(raw, 'borrow_amount')),
+    positionAssetAmount: toBigInt(field(raw, 'position_asset_amount')),
+    borrowFee: field(raw, 'borrow_fee'),
+    borrowFeePercent: feeRateToPercent(field(raw, 'borrow_fee')),
+    bump: field(raw, 'bump')
+  })
+};
+
+module.exports = AccountsModule;
@@ -0,0 +1,240 @@
+const { Transaction, SystemProgram } = require('@solana/web3.js');
+const CurveAMM = require('../utils/curve_amm');
+const { ValidationError } = require('../utils/errors');
+
+// Fee split is a percentage, the program rejects values above 100 (InvalidFeePercentage)
+const MAX_FEE_SPLIT = 100;
+
+// Borrow duration is stored as u32 seconds
+const MAX_U32 = 4294967295;
+
+/**
+ * Admin Module
+ * Handles program initialization and admin/partner fee configuration
+ */
+class AdminModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Initialize program
+   * @returns {Promise<Object>} Object containing transaction, signers and account info
+   *
+   * @example
+   * const result = await sdk.admin.initialize();
+   */
+  async initialize() {
+    console.log('Admin Module - Initialize');
+
+    // initialize takes no accounts and no arguments
+    const initializeIx = await this.sdk.program.methods
+      .initialize()
+      .accounts({})
+      .instruction();
+
+    const transaction = new Transaction();
+    transaction.add(initializeIx);
+
+    console.log('Initialize transaction built');
+
+    return {
+      transaction,
+      signers: [], // initialize doesn't need additional signers
+      accounts: {}
+    };
+  }
+
+  /**
+   * Update global admin configuration
+   * Fields left undefined keep their current on-chain value
+   * @param {Object} params - Update parameters
+   * @param {PublicKey} params.admin - Current admin public key (signer)
+   * @param {number} [params.defaultSwapFee] - Default swap fee rate (denominator 100000)
+   * @param {number} [params.defaultBorrowFee] - Default borrow fee rate (denominator 100000)
+   * @param {number} [params.defaultBorrowDuration] - Default borrow duration in seconds
+   * @param {string|PublicKey} [params.baseFeeRecipient] - Base fee recipient
+   * @param {number} [params.defaultFeeSplit] - Default fee split percentage (0-100)
+   * @param {string|PublicKey} [params.newAdmin] - New admin public key
+   * @returns {Promise<Object>} Object containing transaction, signers and account info
+   *
+   * @example
+   * const result = await sdk.admin.updateAdmin({
+   *   admin: wallet.publicKey,
+   *   defaultSwapFee: 250,   // 0.25%
+   *   defaultFeeSplit: 50
+   * });
+   */
+  async updateAdmin({
+    admin,
+    defaultSwapFee = null,
+    defaultBorrowFee = null,
+    defaultBorrowDuration = null,
+    baseFeeRecipient = null,
+    defaultFeeSplit = null,
+    newAdmin = null
+  }) {
+    if (!admin) {
+      throw new ValidationError('admin is required');
+    }
+
+    this._validateFeeRate('defaultSwapFee', defaultSwapFee);
+    this._validateFeeRate('defaultBorrowFee', defaultBorrowFee);
+    this._validateBorrowDuration('defaultBorrowDuration', defaultBorrowDuration);
+    this._validateFeeSplit('defaultFeeSplit', defaultFeeSplit);
+
+    console.log('Admin Module - UpdateAdmin:', {
+      admin: admin.toString()
+    });
+
+    const adminAccount = this.sdk.param.getAdminAddress();
+
+    // Option<T> arguments: null means "leave unchanged"
+    const updateAdminIx = await this.sdk.program.methods
+      .updateAdmin(
+        defaultSwapFee,
+        defaultBorrowFee,
+        defaultBorrowDuration,
+        this.sdk._parsePublicKey(baseFeeRecipient),
+        defaultFeeSplit,
+        this.sdk._parsePublicKey(newAdmin)
+      )
+      .accounts({
+        admin: admin,
+        adminAccount: adminAccount,
+        systemProgram: SystemProgram.programId,
+      })
+      .instruction();
+
+    const transaction = new Transaction();
+    transaction.add(updateAdminIx);
+
+    console.log('Update admin transaction built');
+
+    return {
+      transaction,
+      signers: [], // updateAdmin doesn't need additional signers, only admin signature
+      accounts: {
+        admin,
+        adminAccount
+      }
+    };
+  }
+
+  /**
+   * Update partner parameters
+   * Fields left undefined keep their current on-chain value
+   * @param {Object} params - Update parameters
+   * @param {PublicKey} params.admin - Admin public key (signer)
+   * @param {string|PublicKey} params.partner - Partner public key
+   * @param {number} [params.baseSwapFee] - Swap fee rate (denominator 100000)
+   * @param {number} [params.baseBorrowFee] - Borrow fee rate (denominator 100000)
+   * @param {number} [params.baseBorrowDuration] - Borrow duration in seconds
+   * @param {string|PublicKey} [params.baseFeeRecipient] - Base fee recipient
+   * @param {number} [params.feeSplit] - Fee split percentage (0-100)
+   * @returns {Promise<Object>} Object containing transaction, signers and account info
+   *
+   * @example
+   * const result = await sdk.admin.updateParams({
+   *   admin: wallet.publicKey,
+   *   partner: partnerPublicKey,
+   *   baseSwapFee: 500   // 0.5%
+   * });
+   */
+  async updateParams({
+    admin,
+    partner,
+    baseSwapFee = null,
+    baseBorrowFee = null,
+    baseBorrowDuration = null,
+    baseFeeRecipient = null,
+    feeSplit = null
+  }) {
+    if (!admin || !partner) {
+      throw new ValidationError('admin and partner are required');
+    }
+
+    this._validateFeeRate('baseSwapFee', baseSwapFee);
+    this._validateFeeRate('baseBorrowFee', baseBorrowFee);
+    this._validateBorrowDuration('baseBorrowDuration', baseBorrowDuration);
+    this._validateFeeSplit('feeSplit', feeSplit);
+
+    const partnerPubkey = this.sdk._parsePublicKey(partner);
+
+    console.log('Admin Module - UpdateParams:', {
+      admin: admin.toString(),
+      partner: partnerPubkey.toString()
+    });
+
+    const adminAccount = this.sdk.param.getAdminAddress();
+    const paramsAccount = this.sdk.param.getParamsAddress(partnerPubkey);
+
+    const updateParamsIx = await this.sdk.program.methods
+      .updateParams(
+        partnerPubkey,
+        baseSwapFee,
+        baseBorrowFee,
+        baseBorrowDuration,
+        this.sdk._parsePublicKey(baseFeeRecipient),
+        feeSplit
+      )
+      .accounts({
+        admin: admin,
+        adminAccount: adminAccount,
+        params: paramsAccount,
+        systemProgram: SystemProgram.programId,
+      })
+      .instruction();
+
+    const transaction = new Transaction();
+    transaction.add(updateParamsIx);
+
+    console.log('Update params transaction built');
+
+    return {
+      transaction,
+      signers: [], // updateParams doesn't need additional signers, only admin signature
+      accounts: {
+        admin,
+        partner: partnerPubkey,
+        adminAccount,
+        paramsAccount
+      }
+    };
+  }
+
+  /**
+   * Validate fee rate against program limit (CurveAMM.MAX_FEE_RATE)
+   * @private
+   */
+  _validateFeeRate(name, value) {
+    if (value === null) return;
+    if (!Number.isInteger(value) || value < 0 || BigInt(value) > CurveAMM.MAX_FEE_RATE) {
+      throw new ValidationError(`${name} must be an integer between 0 and ${CurveAMM.MAX_FEE_RATE}`);
+    }
+  }
+
+  /**
+   * Validate fee split percentage (0-100)
+   * @private
+   */
+  _validateFeeSplit(name, value) {
+    if (value === null) return;
+    if (!Number.isInteger(value) || value < 0 || value > MAX_FEE_SPLIT) {
+      throw new ValidationError(`${name} must be an integer between 0 and ${MAX_FEE_SPLIT}`);
+    }
+  }
+
+  /**
+   * Validate borrow duration (positive u32 seconds)
+   * @private
+   */
+  _validateBorrowDuration(name, value) {
+    if (value === null) return;
+    if (!Number.isInteger(value) || value <= 0 || value > MAX_U32) {
+      throw new ValidationError(`${name} must be a positive integer not exceeding ${MAX_U32}`);
+    }
+  }
+}
+
+module.exports = AdminModule;
@@ -0,0 +1,247 @@
+const PositionUtils = require('../utils/positionUtils');
+const { ValidationError } = require('../utils/errors');
+
+// Order fields compared between the two sources (order_pda is the key)
+const ORDER_FIELDS = [
+  'order_type', 'mint', 'user',
+  'lock_lp_start_price', 'lock_lp_end_price', 'lock_lp_sol_amount', 'lock_lp_token_amount',
+  'start_time', 'end_time',
+  'margin_sol_amount', 'borrow_amount', 'position_asset_amount', 'borrow_fee'
+];
+
+// Recent curve transactions inspected to measure how far the Fast API is behind
+const STALENESS_SIGNATURE_LIMIT = 100;
+
+/**
+ * Audit Module
+ * Compares the Fast API with chain state for a token, to tell a lagging or diverging
+ * Fast API apart from other trade failures
+ */
+class AuditModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Fetch price and both order lists from fast and chain and diff them
+   *
+   * Staleness compares the latest successful curve transaction on chain with the Fast API
+   * latest_trade_time. blockTime has one second resolution, so transactions in the same
+   * second as the last indexed trade count as seen
+   *
+   * @param {string} mint - Token mint address
+   * @returns {Promise<Object>} Audit report
+   *
+   * @example
+   * const report = await sdk.audit.compare(mint);
+   * // Returns:
+   * // {
+   * //   mint: '4Kq51Kt48FCwdo5CeKjRVPodH1ticHa7mZ5n5gqMEy1X',
+   * //   consistent: false,
+   * //   price: { fast: '13514066072452801812769', chain: '13520000000000000000000', match: false, diffBps: 4 },
+   * //   staleness: {
+   * //     slots: 12,                    // Chain latest curve slot minus the slot of the last trade the Fast API has seen
+   * //     seconds: 5,                   // Chain latest curve blockTime minus Fast API latest_trade_time
+   * //     missedTransactions: 2,        // Curve transactions newer than the Fast API (up to 100 inspected)
+   * //     chainSlot: 301234567,
+   * //     chainBlockTime: 1756137705,
+   * //     fastTradeTime: 1756137700,
+   * //     fastUpdatedAt: '2025-08-25T15:55:00.000Z'
+   * //   },
+   * //   orders: {
+   * //     down_orders: {
+   * //       fastCount: 12, chainCount: 13,
+   * //       onlyInFast: [],
+   * //       onlyInChain: ['59yP5tpDP6DBcyy4mge9wKKKdLmk45Th4sbd6Un9LxVN'],
+   * //       mismatches: [{ order_pda: '...', field: 'lock_lp_sol_amount', fast: 3299491609, chain: 3299491000 }],
+   * //       sequenceMatches: true       // Orders present in both sources are in the same list order
+   * //     },
+   * //     up_orders: { ... }
+   * //   }
+   * // }
+   */
+  async compare(mint) {
+    if (!mint || typeof mint !== 'string') {
+      throw new ValidationError('compare: mint address must be a valid string');
+    }
+
+    const [fastPrice, chainPrice, staleness, downOrders, upOrders] = await Promise.all([
+      this.sdk.fast.price(mint),
+      this.sdk.chain.price(mint),
+      this.staleness(mint),
+      this._compareOrders(mint, 'down_orders'),
+      this._compareOrders(mint, 'up_orders')
+    ]);
+
+    const price = this._comparePrice(fastPrice, chainPrice);
+    const orders = { down_orders: downOrders, up_orders: upOrders };
+
+    const ordersConsistent = Object.values(orders).every(list =>
+      list.onlyInFast.length === 0 && list.onlyInChain.length === 0 && list.mismatches.length === 0 && list.sequenceMatches
+    );
+
+    return {
+      mint,
+      consistent: price.match && ordersConsistent,
+      price,
+      staleness,
+      orders
+    };
+  }
+
+  /**
+   * Measure how far the Fast API is behind the chain for a token, without diffing data
+   * @param {string} mint - Token mint address
+   * @returns {Promise<Object>} Same fields as the `staleness` of compare()
+   *
+   * @example
+   * const { seconds, slots } = await sdk.audit.staleness(mint);
+   */
+  async staleness(mint) {
+    const [fastInfo, activity] = await Promise.all([
+      this.sdk.fast.mint_info(mint),
+      this._fetchCurveActivity(mint)
+    ]);
+
+    const detail = fastInfo && fastInfo.data && fastInfo.data.details ? fastInfo.data.details[0] : null;
+    return this._measureStaleness(activity, detail);
+  }
+
+  /**
+   * @private
+   */
+  _comparePrice(fastPrice, chainPrice) {
+    const fast = BigInt(fastPrice);
+    const chain = BigInt(chainPrice);
+    const diff = chain > fast ? chain - fast : fast - chain;
+
+    return {
+      fast: fastPrice.toString(),
+      chain: chainPrice.toString(),
+      match: diff === 0n,
+      diffBps: chain > 0n ? Number(diff * 10000n / chain) : null
+    };
+  }
+
+  /**
+   * Latest successful transactions touching the curve account, newest first
+   * @private
+   */
+  async _fetchCurveActivity(mint) {
+    const curveAddress = this.sdk.chain.getCurveAccountAddress(mint);
+    const signatures = await this.sdk.connection.getSignaturesForAddress(curveAddress, { limit: STALENESS_SIGNATURE_LIMIT });
+    return signatures.filter(signature => !signature.err);
+  }
+
+  /**
+   * @private
+   */
+  _measureStaleness(activity, detail) {
+    const latest = activity[0] || null;
+    const fastTradeTime = detail && detail.latest_trade_time ? detail.latest_trade_time : null;
+
+    const staleness = {
+      slots: null,
+      seconds: null,
+      missedTransactions: null,
+      chainSlot: latest ? latest.slot : null,
+      chainBlockTime: latest ? latest.blockTime : null,
+      fastTradeTime,
+      fastUpdatedAt: detail ? detail.last_updated_at || null : null
+    };
+
+    if (!latest || fastTradeTime === null || !latest.blockTime) {
+      return staleness;
+    }
+
+    const missed = activity.filter(signature => signature.blockTime > fastTradeTime);
+    const lastSeen = activity.find(signature => signature.blockTime <= fastTradeTime);
+
+    staleness.missedTransactions = missed.length;
+    staleness.seconds = Math.max(latest.blockTime - fastTradeTime, 0);
+    if (missed.length === 0) {
+      staleness.slots = 0;
+    } else if (lastSeen) {
+      staleness.slots = latest.slot - lastSeen.slot;
+    } else {
+      // Every inspected transaction is newer than the Fast API, the gap is at least this wide
+      staleness.slots = latest.slot - missed[missed.length - 1].slot;
+    }
+
+    return staleness;
+  }
+
+  /**
+   * Diff one order list between fast and chain
+   * @private
+   */
+  async _compareOrders(mint, type) {
+    const [fastOrders, chainOrders] = await Promise.all([
+      this._fetchAllOrders(this.sdk.fast, mint, type),
+      this._fetchAllOrders(this.sdk.chain, mint, type)
+    ]);
+
+    const fastByPda = new Map(fastOrders.map(order => [order.order_pda, order]));
+    const chainByPda = new Map(chainOrders.map(order => [order.order_pda, order]));
+
+    const mismatches = [];
+    for (const [orderPda, chainOrder] of chainByPda) {
+      const fastOrder = fastByPda.get(orderPda);
+      if (!fastOrder) continue;
+
+      for (const field of ORDER_FIELDS) {
+        if (this._normalize(field, fastOrder) !== this._normalize(field, chainOrder)) {
+          mismatches.push({ order_pda: orderPda, field, fast: fastOrder[field], chain: chainOrder[field] });
+        }
+      }
+    }
+
+    const fastSequence = fastOrders.map(order => order.order_pda).filter(pda => chainByPda.has(pda));
+    const chainSequence = chainOrders.map(order => order.order_pda).filter(pda => fastByPda.has(pda));
+
+    return {
+      fastCount: fastOrders.length,
+      chainCount: chainOrders.length,
+      onlyInFast: fastOrders.map(order => order.order_pda).filter(pda => !chainByPda.has(pda)),
+      onlyInChain: chainOrders.map(order => order.order_pda).filter(pda => !fastByPda.has(pda)),
+      mismatches,
+      sequenceMatches: fastSequence.every((pda, index) => pda === chainSequence[index])
+    };
+  }
+
+  /**
+   * Fetch every page of an order list
+   * @private
+   */
+  async _fetchAllOrders(module, mint, type) {
+    const orders = [];
+    let page = 1;
+
+    for (;;) {
+      const result = await module.orders(mint, { type, page, limit: 1000 });
+      if (!result.success || !result.data || !result.data.orders) {
+        throw new Error(`Unable to get ${type}`);
+      }
+
+      orders.push(...result.data.orders);
+      if (!result.data.has_next) break;
+      page++;
+    }
+
+    return orders;
+  }
+
+  /**
+   * Compare values as strings, fast returns order_type as a number and chain as a string
+   * @private
+   */
+  _normalize(field, order) {
+    if (field === 'order_type') {
+      return PositionUtils.isLong(order) ? 'down_orders' : 'up_orders';
+    }
+    const value = order[field];
+    return value === null || value === undefined ? null : value.toString();
+  }
+}
+
+module.exports = AuditModule;
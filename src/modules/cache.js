@@ -0,0 +1,190 @@
+const LruCache = require('../utils/lruCache');
+
+// Default time to live per data type (ms)
+const DEFAULT_TTL = {
+  price: 1000,
+  orders: 1000,
+  user_orders: 3000,
+  curve: 1000
+};
+
+/**
+ * JSON.stringify replacer for cache keys, bigint option values are written as strings
+ * @private
+ */
+function keyReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Cache Module
+ * Caches sdk.data reads (price, orders, user_orders) and chain.getCurveAccount per token
+ *
+ * - Entries expire after the TTL of their type, a TTL of 0 disables caching for that type
+ * - Identical requests in flight share one promise
+ * - `fresh: true` in the read options skips the cached value and stores the new one
+ * - watch(mint) subscribes to the curve account: every trade, order open and close changes it,
+ *   so each change notification drops the token's entries. Notifications at or below the last
+ *   handled slot are ignored, and a read that was in flight during a change is not stored
+ *
+ * Configured with `options.cache` of the SDK constructor: `false` disables it, otherwise
+ * `{ ttl, maxEntries, store }` where store implements get / set / delete (may return promises),
+ * default an in-memory LruCache. Cached values are shared between callers and must not be modified
+ */
+class CacheModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+
+    const config = sdk.options.cache === false ? { enabled: false } : (sdk.options.cache || {});
+    this.enabled = config.enabled !== false;
+    this.ttl = { ...DEFAULT_TTL, ...(config.ttl || {}) };
+    this.store = config.store || new LruCache(config.maxEntries || 500);
+
+    this.inflight = new Map();       // key -> { request, generation } of pending reads
+    this.tokenKeys = new Map();      // mint (or '*') -> keys written
+    this.generations = new Map();    // mint -> invalidation counter
+    this.slots = new Map();          // mint -> last handled change slot
+    this.subscriptions = new Map();  // mint -> chain.watchCurve unsubscribe function
+    this.stats = { hits: 0, misses: 0, invalidations: 0 };
+  }
+
+  /**
+   * Read through the cache
+   * @param {string} type - Data type, a key of the TTL table
+   * @param {string|null} mint - Token the value belongs to, used for invalidation
+   * @param {Array} keyParts - Values identifying the request
+   * @param {Function} fetcher - Async function loading the value
+   * @param {Object} options - Read options
+   * @param {boolean} options.fresh - Skip the cached value, default false
+   * @returns {Promise<*>} Cached or fetched value
+   */
+  async wrap(type, mint, keyParts, fetcher, { fresh = false } = {}) {
+    const ttl = this.ttl[type];
+    if (!this.enabled || !ttl) {
+      return fetcher();
+    }
+
+    const key = `${type}:${JSON.stringify(keyParts, keyReplacer)}`;
+    const token = mint ? mint.toString() : '*';
+    const generation = this.generations.get(token) || 0;
+
+    if (!fresh) {
+      const entry = await this.store.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        this.stats.hits++;
+        return entry.value;
+      }
+      // Requests started before the last invalidation are not shared
+      const pending = this.inflight.get(key);
+      if (pending && pending.generation === generation) {
+        this.stats.hits++;
+        return pending.request;
+      }
+    }
+    this.stats.misses++;
+
+    const request = (async () => {
+      const value = await fetcher();
+      // A change notification during the request makes the value stale already
+      if ((this.generations.get(token) || 0) === generation) {
+        await this.store.set(key, { value, expiresAt: Date.now() + ttl });
+        if (!this.tokenKeys.has(token)) this.tokenKeys.set(token, new Set());
+        this.tokenKeys.get(token).add(key);
+      }
+      return value;
+    })();
+
+    this.inflight.set(key, { request, generation });
+    try {
+      return await request;
+    } finally {
+      if (this.inflight.has(key) && this.inflight.get(key).request === request) this.inflight.delete(key);
+    }
+  }
+
+  /**
+   * Drop every cached value of a token
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {number} slot - Slot of the change, older or repeated slots are ignored
+   * @returns {Promise<boolean>} Whether the entries were dropped
+   *
+   * @example
+   * // After sending a trade, make the next reads hit the data source
+   * await sdk.cache.invalidate(mint);
+   */
+  async invalidate(mint, slot) {
+    const token = mint.toString();
+    if (slot !== undefined) {
+      if (slot <= (this.slots.get(token) || 0)) return false;
+      this.slots.set(token, slot);
+    }
+
+    this.generations.set(token, (this.generations.get(token) || 0) + 1);
+    this.stats.invalidations++;
+    await this._dropKeys(token);
+    return true;
+  }
+
+  /**
+   * Drop every cached value
+   */
+  async clear() {
+    for (const token of [...this.tokenKeys.keys()]) {
+      this.generations.set(token, (this.generations.get(token) || 0) + 1);
+      await this._dropKeys(token);
+    }
+  }
+
+  /**
+   * Subscribe to the token's curve account and invalidate its entries on every change
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Subscription commitment, default sdk.options.commitment or 'confirmed'
+   * @returns {Function} Unsubscribe function, same as unwatch(mint)
+   *
+   * @example
+   * const stop = sdk.cache.watch(mint);
+   * // ... cached reads stay valid until the curve changes or the TTL expires
+   * await stop();
+   */
+  watch(mint, { commitment = this.sdk.options.commitment || 'confirmed' } = {}) {
+    const token = mint.toString();
+    if (!this.subscriptions.has(token)) {
+      const stop = this.sdk.chain.watchCurve(token, update => {
+        this.invalidate(token, update.slot).catch(error => {
+          console.warn(`cache: failed to invalidate ${token}:`, error.message);
+        });
+      }, { commitment });
+      this.subscriptions.set(token, stop);
+    }
+    return () => this.unwatch(token);
+  }
+
+  /**
+   * Remove the curve account subscription of a token
+   * @param {string|PublicKey} mint - Token mint address
+   */
+  async unwatch(mint) {
+    const token = mint.toString();
+    const stop = this.subscriptions.get(token);
+    if (!stop) return;
+
+    this.subscriptions.delete(token);
+    await stop();
+  }
+
+  /**
+   * @private
+   */
+  async _dropKeys(token) {
+    const keys = this.tokenKeys.get(token);
+    if (!keys) return;
+
+    this.tokenKeys.delete(token);
+    for (const key of keys) {
+      await this.store.delete(key);
+    }
+  }
+}
+
+module.exports = CacheModule;
@@ -2,6 +2,7 @@
 const { PublicKey } = require('@solana/web3.js');
 const anchor = require('@coral-xyz/anchor');
 const CurveAMM = require('../utils/curve_amm');
+const { AccountNotFoundError, CursorNotFoundError, SpinPetError } = require('../utils/errors');
 
 /**
  * Chain Data Module
@@ -22,7 +23,11 @@ class ChainModule {
    * This function automatically calculates related PDA addresses and concurrently queries all balances,
    * providing complete liquidity pool status.
    * 
+   * Results are cached per token (see CacheModule, type 'curve')
+   * 
    * @param {string|PublicKey} mint - Token mint account address
+   * @param {Object} options - Optional parameters
+   * @param {boolean} options.fresh - Skip the cached value, default false
    * 
    * @returns {Promise<Object>} Complete BorrowingBondingCurve account data object
    * 
@@ -36,8 +41,10 @@ class ChainModule {
    * @returns {bigint} returns.borrowSolReserve - Borrowable SOL reserves, borrowable SOL reserves
    * 
    * **Fee and Parameter Configuration:**
-   * @returns {number} returns.swapFee - Swap fee rate, expressed in basis points (e.g. 100 = 1%)
-   * @returns {number} returns.borrowFee - Borrow fee rate, expressed in basis points
+   * @returns {number} returns.swapFee - Swap fee rate, denominator CurveAMM.FEE_DENOMINATOR (e.g. 250 = 0.25%)
+   * @returns {number} returns.borrowFee - Borrow fee rate, denominator CurveAMM.FEE_DENOMINATOR
+   * @returns {number} returns.swapFeePercent - Swap fee rate as a percentage (e.g. 0.25)
+   * @returns {number} returns.borrowFeePercent - Borrow fee rate as a percentage
    * @returns {boolean} returns.feeDiscountFlag - Fee discount flag, whether fee discounts are enabled
    * @returns {number} returns.feeSplit - Fee split ratio, determines how fees are distributed among different recipients
    * @returns {number} returns.borrowDuration - Borrow duration, in seconds
@@ -63,7 +70,7 @@ class ChainModule {
    * @returns {string} returns._metadata.accountAddress - Complete address of curve_account
    * @returns {string} returns._metadata.mintAddress - Input token mint address
    * 
-   * @throws {Error} Throws error when curve_account does not exist
+   * @throws {AccountNotFoundError} Throws error when curve_account does not exist
    * @throws {Error} Throws error when unable to decode account data
    * @throws {Error} Throws error when network connection fails
    * 
@@ -82,8 +89,8 @@ class ChainModule {
    *   
    *   // Display fee configuration
    *   console.log('=== Fee Configuration ===');
-   *   console.log('Swap fee rate:', curveData.swapFee / 100, '%');
-   *   console.log('Borrow fee rate:', curveData.borrowFee / 100, '%');
+   *   console.log('Swap fee rate:', curveData.swapFeePercent, '%');
+   *   console.log('Borrow fee rate:', curveData.borrowFeePercent, '%');
    *   console.log('Fee discount:', curveData.feeDiscountFlag ? 'Enabled' : 'Disabled');
    *   console.log('Borrow duration:', curveData.borrowDuration, 'seconds');
    *   
@@ -138,7 +145,18 @@ class ChainModule {
    * @version 1.1.0 - Added liquidity pool account balance query functionality
    * @author SpinPet SDK Team
    */
-  async getCurveAccount(mint) {
+  async getCurveAccount(mint, options = {}) {
+    const mintAddress = mint ? mint.toString() : mint;
+    return this.sdk.cache.wrap('curve', mintAddress, [mintAddress], () => this._fetchCurveAccount(mint), options);
+  }
+
+  /**
+   * Read curve_account and its balances, uncached
+   * @private
+   * @param {string|PublicKey} mint - Token mint account address
+   * @returns {Promise<Object>} Same as getCurveAccount()
+   */
+  async _fetchCurveAccount(mint) {
     try {
       // Parameter validation and conversion
       const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
@@ -153,34 +171,7 @@ class ChainModule {
         this.sdk.programId
       );
 
-      // Use Anchor program to fetch account data directly
-      // Method 1: Use program's fetch method
-      let decodedData;
-      try {
-        decodedData = await this.sdk.program.account.borrowingBondingCurve.fetch(curveAccountPDA);
-      } catch (fetchError) {
-        // Method 2: If fetch fails, use raw method
-        const accountInfo = await this.sdk.connection.getAccountInfo(curveAccountPDA);
-        if (!accountInfo) {
-          throw new Error(`curve_account does not exist`);
-        }
-        
-        // Manually decode with BorshAccountsCoder
-        const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
-        
-        // Try different account names
-        try {
-          decodedData = accountsCoder.decode('BorrowingBondingCurve', accountInfo.data);
-        } catch (decodeError1) {
-          try {
-            // Try lowercase name
-            decodedData = accountsCoder.decode('borrowingBondingCurve', accountInfo.data);
-          } catch (decodeError2) {
-            // Both failed, throw original error
-            throw new Error(`Cannot decode account data: ${decodeError1.message}`);
-          }
-        }
-      }
+      const curve = await this.sdk.accounts.fetch('BorrowingBondingCurve', curveAccountPDA);
 
       // Calculate pool account PDA addresses
       const [poolTokenAccountPDA] = PublicKey.findProgramAddressSync(
@@ -206,35 +197,15 @@ class ChainModule {
         poolTokenBalance,
         poolSolBalance
       ] = await Promise.all([
-        this.sdk.connection.getBalance(decodedData.baseFeeRecipient),
-        this.sdk.connection.getBalance(decodedData.feeRecipient),
+        this.sdk.connection.getBalance(new PublicKey(curve.baseFeeRecipient)),
+        this.sdk.connection.getBalance(new PublicKey(curve.feeRecipient)),
         this.sdk.connection.getTokenAccountBalance(poolTokenAccountPDA).catch(() => ({ value: { amount: '0' } })),
         this.sdk.connection.getBalance(poolSolAccountPDA)
       ]);
 
       // Convert data format
       const convertedData = {
-        // BN types convert to bigint
-        lpTokenReserve: BigInt(decodedData.lpTokenReserve.toString()),
-        lpSolReserve: BigInt(decodedData.lpSolReserve.toString()),
-        price: BigInt(decodedData.price.toString()),
-        borrowTokenReserve: BigInt(decodedData.borrowTokenReserve.toString()),
-        borrowSolReserve: BigInt(decodedData.borrowSolReserve.toString()),
-        
-        // Numeric types remain unchanged
-        swapFee: decodedData.swapFee,
-        borrowFee: decodedData.borrowFee,
-        feeDiscountFlag: decodedData.feeDiscountFlag,
-        feeSplit: decodedData.feeSplit,
-        borrowDuration: decodedData.borrowDuration,
-        bump: decodedData.bump,
-        
-        // PublicKey types convert to string
-        baseFeeRecipient: decodedData.baseFeeRecipient.toString(),
-        feeRecipient: decodedData.feeRecipient.toString(),
-        mint: decodedData.mint.toString(),
-        upHead: decodedData.upHead ? decodedData.upHead.toString() : null,
-        downHead: decodedData.downHead ? decodedData.downHead.toString() : null,
+        ...curve,
         
         // SOL balance information
         baseFeeRecipientBalance: baseFeeRecipientBalance,  // Unit: lamports
@@ -257,12 +228,11 @@ class ChainModule {
       return convertedData;
 
     } catch (error) {
-      // Provide concise error information
-      if (error.message.includes('Account does not exist')) {
-        throw new Error(`curve_account does not exist for mint: ${mint}`);
-      } else {
-        throw new Error(`Failed to get curve_account: ${error.message}`);
+      // Keep the typed error so callers can tell a missing token from a failed request
+      if (error instanceof AccountNotFoundError) {
+        throw error;
       }
+      throw new Error(`Failed to get curve_account: ${error.message}`);
     }
   }
 
@@ -327,6 +297,78 @@ class ChainModule {
     };
   }
 
+  /**
+   * Watch a token's curve_account (BorrowingBondingCurve) for changes
+   *
+   * Built on connection.onAccountChange for the borrowing_curve PDA. Every notification is decoded
+   * with sdk.accounts.decode(), the same format as getCurveAccount() without the balance fields, which live in other
+   * accounts, and passed to the callback with the list of fields that changed since the previous one.
+   * Notifications from an older slot than the last one are skipped
+   *
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {Function} callback - Called with each update
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Subscription commitment, default sdk.options.commitment or 'confirmed'
+   * @returns {Function} Async unsubscribe function
+   *
+   * @example
+   * const stop = sdk.chain.watchCurve(mint, (update) => {
+   *   if (update.changed.includes('price')) {
+   *     console.log('Price:', update.curve.price.toString());
+   *   }
+   *   if (update.changed.includes('upHead') || update.changed.includes('downHead')) {
+   *     // Order list head moved, refresh orders
+   *   }
+   * });
+   * // update:
+   * // {
+   * //   mint: '3YggGtxXEGBbjK1WLj2Z79doZC2gkCWXag1ag8BD4cYY',
+   * //   slot: 301234567,
+   * //   curve: { lpTokenReserve, lpSolReserve, price, borrowTokenReserve, borrowSolReserve, swapFee, ..., upHead, downHead },
+   * //   previous: { ... } | null,       // null for the first notification
+   * //   changed: ['price', 'lpTokenReserve', 'lpSolReserve']  // Every field for the first notification
+   * // }
+   * await stop();
+   */
+  watchCurve(mint, callback, { commitment = this.sdk.options.commitment || 'confirmed' } = {}) {
+    if (typeof callback !== 'function') {
+      throw new Error('watchCurve: callback must be a function');
+    }
+
+    const mintAddress = mint.toString();
+    let previous = null;
+    let lastSlot = 0;
+
+    const listenerId = this.sdk.connection.onAccountChange(
+      this.getCurveAccountAddress(mintAddress),
+      (accountInfo, context) => {
+        if (context.slot < lastSlot) return;
+        lastSlot = context.slot;
+
+        let curve;
+        try {
+          curve = this.sdk.accounts.decode('BorrowingBondingCurve', accountInfo.data);
+        } catch (error) {
+          console.warn(`chain.watchCurve: cannot decode curve_account of ${mintAddress}: ${error.message}`);
+          return;
+        }
+
+        const changed = Object.keys(curve).filter(key => !previous || curve[key] !== previous[key]);
+        const update = { mint: mintAddress, slot: context.slot, curve, previous, changed };
+        previous = curve;
+
+        try {
+          callback(update);
+        } catch (error) {
+          console.warn(`chain.watchCurve: callback failed for ${mintAddress}: ${error.message}`);
+        }
+      },
+      commitment
+    );
+
+    return () => this.sdk.connection.removeAccountChangeListener(listenerId);
+  }
+
   /**
    * Calculate curve_account PDA address
    * 
@@ -390,34 +432,11 @@ class ChainModule {
         this.sdk.programId
       );
 
-      // Use Anchor program to fetch account data directly
-      let decodedData;
-      try {
-        decodedData = await this.sdk.program.account.borrowingBondingCurve.fetch(curveAccountPDA);
-      } catch (fetchError) {
-        // If fetch fails, use raw method
-        const accountInfo = await this.sdk.connection.getAccountInfo(curveAccountPDA);
-        if (!accountInfo) {
-          throw new Error(`curve_account does not exist`);
-        }
-        
-        // Manually decode with BorshAccountsCoder
-        const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
-        
-        try {
-          decodedData = accountsCoder.decode('BorrowingBondingCurve', accountInfo.data);
-        } catch (decodeError1) {
-          try {
-            decodedData = accountsCoder.decode('borrowingBondingCurve', accountInfo.data);
-          } catch (decodeError2) {
-            throw new Error(`Cannot decode account data: ${decodeError1.message}`);
-          }
-        }
-      }
+      const curve = await this.sdk.accounts.fetch('BorrowingBondingCurve', curveAccountPDA);
 
       // Check price data and return
-      if (decodedData.price && decodedData.price.toString() !== '0') {
-        return decodedData.price.toString();
+      if (curve.price !== 0n) {
+        return curve.price.toString();
       } else {
         // If no price data, return initial price
         const initialPrice = CurveAMM.getInitialPrice();
@@ -441,12 +460,25 @@ class ChainModule {
 
   /**
    * Get Orders Data (Read from Chain)
+   * All order accounts of the list are loaded with one getProgramAccounts request and ordered by
+   * following next_order from the curve list head; nodes missing from it are read with getAccountInfo
+   *
+   * Pages are counted from the list head like fast.orders. `cursor` resumes after a given order instead,
+   * so a list that changes between two requests is neither skipped nor repeated around the cursor.
+   * When the cursor order was closed in between, `cursorPrice` (next_cursor_price of the previous page)
+   * resumes at the first order past that price, without it CursorNotFoundError is thrown.
+   * If the RPC rejects getProgramAccounts the list is read node by node up to the requested page and
+   * `total` is null
    * @param {string} mint - Token mint address
    * @param {Object} options - Query parameters
    * @param {string} options.type - Order type: "up_orders" (short) or "down_orders" (long)
-   * @param {number} options.page - Page number, default 1
+   * @param {number} options.page - Page number, default 1 (ignored when cursor is set)
    * @param {number} options.limit - Items per page, default 500, max 1000
+   * @param {string|PublicKey} options.cursor - Order PDA to resume after, usually next_cursor of the previous page
+   * @param {string|bigint} options.cursorPrice - lock_lp_start_price of the cursor order (next_cursor_price), used when the cursor order is gone
+   * @param {boolean} options.fresh - Read the list head from an uncached curve account, default false
    * @returns {Promise<Object>} Order data with raw order list
+   * @throws {CursorNotFoundError} The cursor order left the list and no cursorPrice was given
    * 
    * @example
    * // Get long orders
@@ -474,13 +506,15 @@ class ChainModule {
    * //         "order_pda": "5aVwYyzvC5Y2qykDgwG8o7EUwCrL8WgCJpgxoH3mihYb" // Order PDA address
    * //       }
    * //     ],
-   * //     "total": 12,                                                // Total order count
+   * //     "total": 12,                                                // Total order count, null when the list was read node by node
    * //     "order_type": "down_orders",                                // Order type (string)
    * //     "mint_account": "6ZDJtGFTzrF3FaN5uaqa1h8EexW7BtQd4FwA9Dt7m3ee", // Queried token address
    * //     "page": 1,                                                  // Current page number
    * //     "limit": 50,                                                // Per page limit
    * //     "has_next": false,                                          // Whether has next page
-   * //     "has_prev": false                                           // Whether has previous page
+   * //     "has_prev": false,                                          // Whether has previous page
+   * //     "next_cursor": null,                                        // order_pda of the last order when has_next, else null
+   * //     "next_cursor_price": null                                   // lock_lp_start_price of that order, pass it as cursorPrice
    * //   },
    * //   "message": "Operation successful"                             // Operation result message
    * // }
@@ -488,6 +522,15 @@ class ChainModule {
    * // Use utility methods to process data:
    * const lpPairs = sdk.buildLpPairs(ordersData.data.orders);         // Build LP pairs array
    * const orderAccounts = sdk.buildOrderAccounts(ordersData.data.orders); // Build order accounts array
+   *
+   * // Read the whole list page by page:
+   * let cursor = null, cursorPrice = null;
+   * do {
+   *   const { data } = await sdk.chain.orders(mint, { type: 'down_orders', limit: 200, cursor, cursorPrice });
+   *   handle(data.orders);
+   *   cursor = data.next_cursor;
+   *   cursorPrice = data.next_cursor_price;
+   * } while (cursor);
    */
   async orders(mint, options = {}) {
     try {
@@ -514,7 +557,7 @@ class ChainModule {
       //console.log(`chain.orders: Get ${orderType} orders, mint=${mint}, limit=${limit}`);
 
       // Get curve_account data to get linked list head
-      const curveData = await this.getCurveAccount(mint);
+      const curveData = await this.getCurveAccount(mint, { fresh: options.fresh });
       const headAddress = curveData[direction];
 
       //console.log(`chain.orders: ${direction} linked list head address:`, headAddress || 'null');
@@ -532,113 +575,444 @@ class ChainModule {
             page: page,
             limit: limit,
             has_next: false,
-            has_prev: false
+            has_prev: false,
+            next_cursor: null,
+            next_cursor_price: null
           },
           message: "Operation successful"
         };
       }
 
-      // Traverse linked list to read orders
-      const orders = [];
-      let currentAddress = new PublicKey(headAddress);
-      let count = 0;
-
-      //console.log(`chain.orders: Start traversing linked list from ${currentAddress.toString()}`);
-
-      while (currentAddress && count < limit) {
-        try {
-          console.log(`chain.orders: 遍历 Traversing [${count}] ${currentAddress.toString()}`);
-          
-          // Get raw account data
-          const accountInfo = await this.sdk.connection.getAccountInfo(currentAddress);
-          if (!accountInfo) {
-            throw new Error(`Order account ${currentAddress.toString()} does not exist`);
+      // Load every order account of this list in one request, then follow next_order locally
+      const accounts = await this._fetchListAccounts(mint, orderType);
+      const cursor = options.cursor ? options.cursor.toString() : null;
+      const cursorPrice = options.cursorPrice !== undefined && options.cursorPrice !== null ? BigInt(options.cursorPrice.toString()) : null;
+      // Lists are sorted by lock_lp_start_price: up_orders ascending, down_orders descending
+      const isPastCursor = node => orderType === 'up_orders'
+        ? node.orderData.lockLpStartPrice > cursorPrice
+        : node.orderData.lockLpStartPrice < cursorPrice;
+
+      let nodes, start, total, hasNext;
+      if (accounts) {
+        // The whole list is in memory: walk it all for the true total and the cursor position
+        const list = await this._walkOrderList(new PublicKey(headAddress), accounts, Infinity);
+        if (cursor) {
+          const index = list.findIndex(node => node.address.toString() === cursor);
+          if (index >= 0) {
+            start = index + 1;
+          } else if (cursorPrice !== null) {
+            // The cursor order was closed between two pages, resume past its price
+            const next = list.findIndex(isPastCursor);
+            start = next >= 0 ? next : list.length;
+          } else {
+            throw new CursorNotFoundError(cursor, orderType);
           }
-
-          // Manually decode with BorshAccountsCoder
-          const accountsCoder = new anchor.BorshAccountsCoder(this.sdk.program.idl);
-          let orderData;
-          
+        } else {
+          start = (page - 1) * limit;
+        }
+        nodes = list.slice(start, start + limit);
+        total = list.length;
+        hasNext = start + limit < total;
+      } else {
+        // Node by node: read only up to the requested page, the total is unknown
+        let first = new PublicKey(headAddress);
+        start = (page - 1) * limit;
+        let skipUntilPast = false;
+        if (cursor) {
+          let cursorData = null;
           try {
-            orderData = accountsCoder.decode('MarginOrder', accountInfo.data);
-          } catch (decodeError1) {
-            try {
-              orderData = accountsCoder.decode('marginOrder', accountInfo.data);
-            } catch (decodeError2) {
-              throw new Error(`Cannot decode order account data: ${decodeError1.message}`);
-            }
+            cursorData = await this._readOrderNode(new PublicKey(cursor));
+          } catch (error) {
+            if (!(error instanceof AccountNotFoundError)) throw error;
           }
-
-          // Data transformation
-          const convertedOrder = {
-            // Convert chain number to API string format
-            order_type: orderData.orderType === 1 ? 'down_orders' : 'up_orders', // 1=long=down_orders, 2=short=up_orders
-            mint: orderData.mint.toString(),
-            user: orderData.user.toString(),
-            // Convert BN type to string
-            lock_lp_start_price: orderData.lockLpStartPrice.toString(),
-            lock_lp_end_price: orderData.lockLpEndPrice.toString(),
-            // Keep numeric types unchanged
-            lock_lp_sol_amount: orderData.lockLpSolAmount.toNumber(),
-            lock_lp_token_amount: orderData.lockLpTokenAmount.toNumber(),
-            start_time: orderData.startTime,
-            end_time: orderData.endTime,
-            margin_sol_amount: orderData.marginSolAmount.toNumber(),
-            borrow_amount: orderData.borrowAmount.toNumber(),
-            position_asset_amount: orderData.positionAssetAmount.toNumber(),
-            borrow_fee: orderData.borrowFee,
-            // Add order_pda field
-            order_pda: currentAddress.toString()
-          };
-
-          orders.push(convertedOrder);
-          count++;
-
-          //console.log(`chain.orders: Successfully read order ${count}: ${currentAddress.toString()}, type=${convertedOrder.order_type}`);
-
-          // Move to next node
-          if (orderData.nextOrder) {
-            currentAddress = orderData.nextOrder;
-            console.log(`chain.orders: 下一个 Next: ${currentAddress.toString()}`);
+          if (cursorData) {
+            if (cursorData.mint !== mint || this._convertOrder(cursorData, cursor).order_type !== orderType) {
+              throw new CursorNotFoundError(cursor, orderType);
+            }
+            first = cursorData.nextOrder ? new PublicKey(cursorData.nextOrder) : null;
+          } else if (cursorPrice !== null) {
+            // The cursor order was closed between two pages, walk from the head past its price
+            skipUntilPast = true;
           } else {
-            console.log(`chain.orders: 链表结束 List ended at node ${count}`);
-            break;
+            throw new CursorNotFoundError(cursor, orderType);
           }
-
-        } catch (error) {
-          // If order account doesn't exist or read fails, throw error
-          throw new Error(`Failed to read order: ${error.message}`);
+          start = 0;
+        }
+        if (skipUntilPast) {
+          nodes = await this._walkOrderList(first, new Map(), limit, isPastCursor);
+        } else {
+          const list = first ? await this._walkOrderList(first, new Map(), start + limit) : [];
+          nodes = list.slice(start);
         }
+        total = null;
+        hasNext = nodes.length === limit && nodes[nodes.length - 1].orderData.nextOrder !== null;
       }
 
-      // Simulate pagination info
-      const hasNext = count === limit; // If read limit reached, might have more
-      const hasPrev = page > 1;
-
-      //console.log(`chain.orders: Completed reading, got ${orders.length} orders`);
+      const orders = nodes.map(node => this._convertOrder(node.orderData, node.address));
 
       // Return same format as fast.orders
       return {
         success: true,
         data: {
           orders: orders,
-          total: orders.length, // Chain can't know total, use current count
+          total: total,
           order_type: orderType,
           mint_account: mint,
           page: page,
           limit: limit,
           has_next: hasNext,
-          has_prev: hasPrev
+          has_prev: cursor ? true : start > 0,
+          next_cursor: hasNext ? orders[orders.length - 1].order_pda : null,
+          next_cursor_price: hasNext ? orders[orders.length - 1].lock_lp_start_price : null
         },
-        message: "Operation successful"
+        message: 'Operation successful'
       };
 
     } catch (error) {
       // Error handling
       console.error('chain.orders: Failed to get orders', error.message);
+      if (error instanceof SpinPetError) throw error;
       throw new Error(`Failed to get orders: ${error.message}`);
     }
   }
+
+  /**
+   * Get a single margin order account (Read from Chain)
+   * @param {string|PublicKey} orderPda - Order PDA address
+   * @returns {Promise<Object>} Order in the same format as chain.orders()
+   *
+   * @example
+   * const order = await sdk.chain.order('5aVwYyzvC5Y2qykDgwG8o7EUwCrL8WgCJpgxoH3mihYb');
+   * console.log(order.order_type, order.position_asset_amount);
+   */
+  async order(orderPda) {
+    const address = typeof orderPda === 'string' ? new PublicKey(orderPda) : orderPda;
+    const orderData = await this._readOrderNode(address);
+    return this._convertOrder(orderData, address);
+  }
+
+  /**
+   * Read all MarginOrder accounts of one order list with getProgramAccounts
+   * Filters on the MarginOrder layout: discriminator, order_type at offset 8, mint at offset 9
+   * @private
+   * @param {string} mint - Token mint address
+   * @param {string} orderType - "up_orders" or "down_orders"
+   * @returns {Promise<Map<string, Buffer>|null>} Account data by order address, null if the RPC rejects getProgramAccounts
+   */
+  async _fetchListAccounts(mint, orderType) {
+    const accountsCoder = this.sdk.program.coder.accounts;
+    const filters = [
+      { memcmp: accountsCoder.memcmp('marginOrder') },
+      // 1=long=down_orders, 2=short=up_orders
+      { memcmp: { offset: 8, bytes: anchor.utils.bytes.bs58.encode(Buffer.from([orderType === 'down_orders' ? 1 : 2])) } },
+      { memcmp: { offset: 9, bytes: mint } }
+    ];
+
+    let result;
+    try {
+      result = await this.sdk.connection.getProgramAccounts(this.sdk.programId, { filters });
+    } catch (error) {
+      // Some RPC providers disable getProgramAccounts, orders() then reads node by node
+      console.warn(`chain: getProgramAccounts failed, reading the list node by node: ${error.message}`);
+      return null;
+    }
+
+    const accounts = new Map();
+    for (const { pubkey, account } of result) {
+      accounts.set(pubkey.toString(), account.data);
+    }
+    return accounts;
+  }
+
+  /**
+   * Follow next_order from startAddress, at most maxCount nodes
+   * @private
+   * @param {PublicKey} startAddress - First order of the walk
+   * @param {Map<string, Buffer>} accounts - Preloaded account data, missing nodes are read from chain
+   * @param {number} maxCount - Maximum number of nodes
+   * @param {Function|null} keepFrom - Skip nodes until this predicate matches, default keep all
+   * @returns {Promise<Array<{address: PublicKey, orderData: Object}>>} Nodes in list order
+   */
+  async _walkOrderList(startAddress, accounts, maxCount, keepFrom = null) {
+    const nodes = [];
+    const visited = new Set();
+    let address = startAddress;
+
+    while (address && nodes.length < maxCount) {
+      const key = address.toString();
+      if (visited.has(key)) {
+        throw new Error(`Failed to read order: linked list loops back to ${key}`);
+      }
+      visited.add(key);
+
+      const orderData = await this._readOrderNode(address, accounts);
+      const node = { address, orderData };
+      if (!keepFrom || nodes.length > 0 || keepFrom(node)) {
+        nodes.push(node);
+      }
+      address = orderData.nextOrder ? new PublicKey(orderData.nextOrder) : null;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Decode one MarginOrder account, from preloaded data when available
+   * @private
+   * @param {PublicKey} address - Order PDA address
+   * @param {Map<string, Buffer>} accounts - Preloaded account data
+   * @returns {Promise<Object>} MarginOrder normalized by sdk.accounts.decode()
+   * @throws {AccountNotFoundError} The order account does not exist
+   */
+  async _readOrderNode(address, accounts = new Map()) {
+    const data = accounts.get(address.toString());
+    if (data) {
+      return this.sdk.accounts.decode('MarginOrder', data);
+    }
+    // Nodes missing from the bulk read (e.g. created after it) are read individually
+    return this.sdk.accounts.fetch('MarginOrder', address);
+  }
+
+  /**
+   * Get User Orders (Read from Chain)
+   * Uses getProgramAccounts with memcmp filters on the MarginOrder layout
+   * (discriminator, mint at offset 9, user at offset 41)
+   * @param {string} user - User address
+   * @param {string} mint - Token mint address, omit for all tokens
+   * @param {Object} options - Query parameters
+   * @param {number} options.page - Page number, default 1
+   * @param {number} options.limit - Items per page, default 200
+   * @param {string} options.order_by - 'start_time_desc' (default) or 'start_time_asc'
+   * @returns {Promise<Object>} User order data, same format as fast.user_orders
+   *
+   * @example
+   * const userOrders = await sdk.chain.user_orders(wallet.publicKey.toString(), mint);
+   * const orders = userOrders.data.orders;
+   */
+  async user_orders(user, mint, options = {}) {
+    try {
+      if (!user) {
+        throw new Error('user_orders: user address is required');
+      }
+
+      const page = options.page || 1;
+      const limit = options.limit || 200;
+      const orderBy = options.order_by || 'start_time_desc';
+
+      const accountsCoder = this.sdk.program.coder.accounts;
+      const filters = [
+        { memcmp: accountsCoder.memcmp('marginOrder') },
+        { memcmp: { offset: 41, bytes: user.toString() } }
+      ];
+      if (mint) {
+        filters.push({ memcmp: { offset: 9, bytes: mint.toString() } });
+      }
+
+      const accounts = await this.sdk.connection.getProgramAccounts(this.sdk.programId, { filters });
+
+      const orders = accounts.map(({ pubkey, account }) =>
+        this._convertOrder(this.sdk.accounts.decode('MarginOrder', account.data), pubkey)
+      );
+      orders.sort((a, b) => orderBy === 'start_time_asc' ? a.start_time - b.start_time : b.start_time - a.start_time);
+
+      const start = (page - 1) * limit;
+
+      // Return same format as fast.user_orders
+      return {
+        success: true,
+        data: {
+          orders: orders.slice(start, start + limit),
+          total: orders.length,
+          user: user.toString(),
+          mint_account: mint ? mint.toString() : null,
+          page: page,
+          limit: limit,
+          has_next: start + limit < orders.length,
+          has_prev: page > 1
+        },
+        message: 'Operation successful'
+      };
+    } catch (error) {
+      console.error('chain.user_orders: Failed to get user orders', error.message);
+      throw new Error(`Failed to get user orders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify the MarginOrder linked lists of a token (Read from Chain)
+   *
+   * Walks down_orders and up_orders from the curve list heads and checks that:
+   * - every next_order account exists and decodes, and the list does not loop
+   * - prev_order points back to the previous node (null on the head)
+   * - mint and order_type match the list
+   * - each price range points the list's way and follows the previous one without overlap
+   *   (down_orders from high to low price, up_orders from low to high)
+   * - no order of the list is unreachable from the head (skipped if the RPC rejects getProgramAccounts)
+   *
+   * @param {string} mint - Token mint address
+   * @returns {Promise<Object>} Verification report
+   *
+   * @example
+   * const report = await sdk.chain.verifyOrderList(mint);
+   * // Returns:
+   * // {
+   * //   mint: '6ZDJtGFTzrF3FaN5uaqa1h8EexW7BtQd4FwA9Dt7m3ee',
+   * //   valid: false,
+   * //   lists: {
+   * //     down_orders: { head: '5aVw...', length: 12, complete: true, orders: ['5aVw...', ...] },
+   * //     up_orders: { head: null, length: 0, complete: true, orders: [] }
+   * //   },
+   * //   violations: [
+   * //     {
+   * //       list: 'down_orders',
+   * //       type: 'prev_mismatch',      // cycle, unreadable_order, prev_mismatch, mint_mismatch, order_type_mismatch,
+   * //                                   // invalid_range, unsorted, overlap or orphan_order
+   * //       index: 3,                   // Position in the list, null for orphan orders
+   * //       order_pda: 'E1x...',
+   * //       expected: '9Qa...',
+   * //       actual: null,
+   * //       message: 'prev_order should point to the previous node'
+   * //     }
+   * //   ]
+   * // }
+   */
+  async verifyOrderList(mint) {
+    if (!mint || typeof mint !== 'string') {
+      throw new Error('verifyOrderList: mint address must be a valid string');
+    }
+
+    const curveData = await this.getCurveAccount(mint);
+    const violations = [];
+    const lists = {};
+
+    for (const orderType of ['down_orders', 'up_orders']) {
+      const head = curveData[orderType === 'up_orders' ? 'upHead' : 'downHead'];
+      const accounts = await this._fetchListAccounts(mint, orderType);
+      const report = (type, index, orderPda, expected, actual, message) => {
+        violations.push({ list: orderType, type, index, order_pda: orderPda, expected, actual, message });
+      };
+
+      const isDown = orderType === 'down_orders';
+      const orderPdas = [];
+      const visited = new Set();
+      let complete = true;
+      let previous = null;
+      let previousRange = null;
+      let address = head ? new PublicKey(head) : null;
+
+      while (address) {
+        const key = address.toString();
+        const index = orderPdas.length;
+        if (visited.has(key)) {
+          report('cycle', index, key, null, key, 'next_order points back to a node already in the list');
+          complete = false;
+          break;
+        }
+        visited.add(key);
+
+        let orderData;
+        try {
+          orderData = await this._readOrderNode(address, accounts || new Map());
+        } catch (error) {
+          report('unreadable_order', index, key, null, null, error.message);
+          complete = false;
+          break;
+        }
+        orderPdas.push(key);
+
+        const order = this._convertOrder(orderData, address);
+        const prevOrder = orderData.prevOrder;
+        if (prevOrder !== previous) {
+          report('prev_mismatch', index, key, previous, prevOrder,
+            previous ? 'prev_order should point to the previous node' : 'prev_order of the head should be null');
+        }
+        if (order.mint !== mint) {
+          report('mint_mismatch', index, key, mint, order.mint, 'order belongs to another token');
+        }
+        if (order.order_type !== orderType) {
+          report('order_type_mismatch', index, key, orderType, order.order_type, 'order is linked into the wrong list');
+        }
+
+        // Price ranges as [min, max]: down_orders lock below the start price, up_orders above it
+        const start = BigInt(order.lock_lp_start_price);
+        const end = BigInt(order.lock_lp_end_price);
+        if (isDown ? start < end : start > end) {
+          report('invalid_range', index, key, null, `${order.lock_lp_start_price}-${order.lock_lp_end_price}`,
+            isDown ? 'lock_lp_start_price should not be below lock_lp_end_price' : 'lock_lp_start_price should not be above lock_lp_end_price');
+        }
+        const range = isDown ? [end, start] : [start, end];
+        if (previousRange) {
+          // Touching ranges are allowed, the same rule as checkPriceRangeOverlap
+          const inOrder = isDown ? range[1] <= previousRange[0] : range[0] >= previousRange[1];
+          if (!inOrder) {
+            const wrongSide = isDown ? range[0] >= previousRange[1] : range[1] <= previousRange[0];
+            report(wrongSide ? 'unsorted' : 'overlap', index, key, previous, null,
+              wrongSide ? `price range is out of ${orderType} order` : 'price range overlaps the previous node');
+          }
+        }
+
+        previous = key;
+        previousRange = range;
+        address = orderData.nextOrder ? new PublicKey(orderData.nextOrder) : null;
+      }
+
+      if (accounts) {
+        for (const orphan of accounts.keys()) {
+          if (!visited.has(orphan)) {
+            report('orphan_order', null, orphan, null, null, 'order is not reachable from the list head');
+          }
+        }
+      }
+
+      lists[orderType] = { head: head || null, length: orderPdas.length, complete, orders: orderPdas };
+    }
+
+    return { mint, valid: violations.length === 0, lists, violations };
+  }
+
+  /**
+   * Convert decoded MarginOrder account to API order format
+   * @private
+   * @param {Object} orderData - MarginOrder normalized by sdk.accounts.decode()
+   * @param {PublicKey} address - Order PDA address
+   * @returns {Object} Order object
+   */
+  _convertOrder(orderData, address) {
+    return {
+      // Convert chain number to API string format
+      order_type: orderData.orderType === 1 ? 'down_orders' : 'up_orders', // 1=long=down_orders, 2=short=up_orders
+      mint: orderData.mint,
+      user: orderData.user,
+      // Prices as strings, amounts as numbers like the fast API
+      lock_lp_start_price: orderData.lockLpStartPrice.toString(),
+      lock_lp_end_price: orderData.lockLpEndPrice.toString(),
+      lock_lp_sol_amount: this._toSafeNumber(orderData.lockLpSolAmount, 'lock_lp_sol_amount'),
+      lock_lp_token_amount: this._toSafeNumber(orderData.lockLpTokenAmount, 'lock_lp_token_amount'),
+      start_time: orderData.startTime,
+      end_time: orderData.endTime,
+      margin_sol_amount: this._toSafeNumber(orderData.marginSolAmount, 'margin_sol_amount'),
+      borrow_amount: this._toSafeNumber(orderData.borrowAmount, 'borrow_amount'),
+      position_asset_amount: this._toSafeNumber(orderData.positionAssetAmount, 'position_asset_amount'),
+      borrow_fee: orderData.borrowFee,
+      // Add order_pda field
+      order_pda: address.toString()
+    };
+  }
+
+  /**
+   * Convert a u64 amount to a number, throwing instead of silently losing precision (as BN.toNumber() did)
+   * @private
+   * @param {bigint} value - Amount normalized by sdk.accounts.decode()
+   * @param {string} field - Field name for the error message
+   * @returns {number} Amount as a number
+   * @throws {RangeError} Amount is above Number.MAX_SAFE_INTEGER
+   */
+  _toSafeNumber(value, field) {
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new RangeError(`${field} ${value} exceeds Number.MAX_SAFE_INTEGER`);
+    }
+    return Number(value);
+  }
 }
 
-module.exports = ChainModule;
\ No newline at end of file
+module.exports = ChainModule;
\ No newline at end of file
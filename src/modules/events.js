@@ -0,0 +1,387 @@
+const { PublicKey } = require('@solana/web3.js');
+const anchor = require('@coral-xyz/anchor');
+const spinpetIdl = require('../idl/spinpet.json');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Events Module
+ * Decodes program events (BuySellEvent, LongShortEvent, FullCloseEvent, PartialCloseEvent,
+ * ForceLiquidateEvent, MilestoneDiscountEvent, TokenCreatedEvent) from transaction logs
+ *
+ * Event names keep the IDL spelling (PascalCase) and fields keep the IDL snake_case names,
+ * matching the order data returned by sdk.fast / sdk.chain
+ */
+class EventsModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+
+    // Raw IDL coder, program.coder would camelCase event and field names
+    this.coder = new anchor.BorshCoder(spinpetIdl);
+    this.parser = new anchor.EventParser(this.sdk.programId, this.coder);
+  }
+
+  /**
+   * Parse program events from transaction log messages
+   * @param {string[]} logs - Transaction log messages (meta.logMessages)
+   * @returns {Array<Object>} Decoded events, format: [{ name: string, data: Object }, ...]
+   *
+   * @example
+   * const events = sdk.events.parseLogs(tx.meta.logMessages);
+   * // Returns: [
+   * //   {
+   * //     name: 'BuySellEvent',
+   * //     data: {
+   * //       payer: '...', mint_account: '...', is_buy: true,
+   * //       token_amount: 1000000000n, sol_amount: 2000000n, latest_price: 123456789012345678n
+   * //     }
+   * //   }
+   * // ]
+   */
+  parseLogs(logs) {
+    if (!Array.isArray(logs)) {
+      throw new ValidationError('logs must be an array of log messages');
+    }
+
+    const events = [];
+    for (const event of this.parser.parseLogs(logs)) {
+      events.push({
+        name: event.name,
+        data: this._normalizeEventData(event.data)
+      });
+    }
+    return events;
+  }
+
+  /**
+   * Fetch a confirmed transaction and parse its program events
+   * @param {string} signature - Transaction signature
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - 'confirmed' or 'finalized', default 'confirmed'
+   * @returns {Promise<Object>} Transaction receipt with decoded events
+   *
+   * @example
+   * const receipt = await sdk.events.parseTransaction(signature);
+   * // Returns:
+   * // {
+   * //   signature: '...',
+   * //   slot: 123456,
+   * //   blockTime: 1700000000,
+   * //   err: null,
+   * //   events: [{ name: 'LongShortEvent', data: { order_pda: '...', ... } }]
+   * // }
+   */
+  async parseTransaction(signature, options = {}) {
+    const { commitment = 'confirmed' } = options;
+
+    const tx = await this.sdk.connection.getTransaction(signature, {
+      commitment,
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx) {
+      throw new Error(`Transaction ${signature} not found`);
+    }
+
+    const err = tx.meta ? tx.meta.err : null;
+    const logs = (tx.meta && tx.meta.logMessages) || [];
+
+    return {
+      signature,
+      slot: tx.slot,
+      blockTime: tx.blockTime,
+      err,
+      // A failed transaction is rolled back, so its events never took effect
+      events: err ? [] : this.parseLogs(logs)
+    };
+  }
+
+  /**
+   * Subscribe to live program events
+   *
+   * Built on connection.onLogs for the program ID, filtering is done client side.
+   * Events can be consumed with `for await` or with the onEvent callback.
+   * Notifications are de-duplicated by signature inside a sliding slot window,
+   * so replays after reconnect() are not emitted twice.
+   * When no notification arrives for idleReconnectMs the subscription reconnects by itself,
+   * a dropped websocket does not always surface as an error.
+   * Events waiting for the async iterator are capped at maxQueue, the oldest are dropped with a warning.
+   *
+   * @param {Object} filters - Event filters (all optional)
+   * @param {string|PublicKey} filters.mint - Only events whose mint_account matches
+   * @param {string|PublicKey} filters.user - Only events whose payer or user matches
+   * @param {string[]} filters.types - Only these event names, e.g. ['BuySellEvent', 'LongShortEvent']
+   * @param {Object} options - Optional parameters
+   * @param {Function} options.onEvent - Callback invoked with each event
+   * @param {string} options.commitment - Subscription commitment, default sdk.options.commitment or 'confirmed'
+   * @param {number} options.dedupeSlots - Slot window for signature de-duplication, default 150
+   * @param {number} options.idleReconnectMs - Reconnect after this long without any program notification, default 60000, 0 disables
+   * @param {number} options.maxQueue - Events kept for the async iterator before the oldest are dropped, default 1000
+   * @returns {EventSubscription} Subscription object with close() and reconnect()
+   *
+   * @example
+   * const sub = sdk.events.subscribe({ mint, types: ['BuySellEvent'] });
+   * for await (const event of sub) {
+   *   console.log(event.slot, event.signature, event.name, event.data.latest_price);
+   * }
+   *
+   * // Or with a callback
+   * const sub = sdk.events.subscribe({ user: wallet.publicKey }, {
+   *   onEvent: (event) => console.log(event.name, event.data)
+   * });
+   * // ...
+   * await sub.close();
+   */
+  subscribe(filters = {}, options = {}) {
+    const { mint, user, types } = filters;
+
+    if (types) {
+      const known = spinpetIdl.events.map(e => e.name);
+      const unknown = types.filter(t => !known.includes(t));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown event types: ${unknown.join(', ')}. Available: ${known.join(', ')}`);
+      }
+    }
+
+    return new EventSubscription(this, {
+      mint: mint ? mint.toString() : null,
+      user: user ? user.toString() : null,
+      types: types || null
+    }, {
+      onEvent: options.onEvent || null,
+      commitment: options.commitment || this.sdk.options.commitment || 'confirmed',
+      dedupeSlots: options.dedupeSlots || 150,
+      idleReconnectMs: options.idleReconnectMs !== undefined ? options.idleReconnectMs : 60000,
+      maxQueue: options.maxQueue || 1000
+    });
+  }
+
+  /**
+   * Convert decoded event fields: u64/u128 BN -> BigInt, PublicKey -> base58 string
+   * @private
+   * @param {Object} data - Event data decoded by BorshCoder
+   * @returns {Object} Normalized event data
+   */
+  _normalizeEventData(data) {
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (anchor.BN.isBN(value)) {
+        result[key] = BigInt(value.toString());
+      } else if (value instanceof PublicKey) {
+        result[key] = value.toString();
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Live event subscription returned by EventsModule.subscribe()
+ * Implements the async iterator protocol, iteration ends after close()
+ */
+class EventSubscription {
+  constructor(events, filters, options) {
+    this.events = events;
+    this.connection = events.sdk.connection;
+    this.filters = filters;
+    this.options = options;
+
+    this.listenerId = null;
+    this.closed = false;
+
+    // signature -> slot, pruned as the highest seen slot advances
+    this.seen = new Map();
+    this.highestSlot = 0;
+
+    // Pending events and waiting consumers for the async iterator
+    this.queue = [];
+    this.waiters = [];
+    this.dropped = 0;
+
+    // Time of the last notification, checked by the idle watchdog
+    this.lastNotificationAt = Date.now();
+    this.reconnecting = null;
+    this.watchdog = null;
+
+    this._listen();
+    this._startWatchdog();
+  }
+
+  /**
+   * Re-create the underlying onLogs subscription
+   * Signatures already emitted inside the de-duplication window are skipped
+   * @returns {Promise<void>}
+   */
+  async reconnect() {
+    if (this.closed) {
+      throw new Error('Subscription is closed');
+    }
+    await this._unlisten();
+    this._listen();
+  }
+
+  /**
+   * Stop the subscription and finish any pending iteration
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+    await this._unlisten();
+
+    for (const resolve of this.waiters) {
+      resolve({ value: undefined, done: true });
+    }
+    this.waiters = [];
+  }
+
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({ value: this.queue.shift(), done: false });
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  async return() {
+    await this.close();
+    return { value: undefined, done: true };
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _listen() {
+    this.listenerId = this.connection.onLogs(
+      this.events.sdk.programId,
+      (logInfo, context) => this._handleLogs(logInfo, context),
+      this.options.commitment
+    );
+    this.lastNotificationAt = Date.now();
+  }
+
+  /**
+   * Reconnect when the program has been silent for idleReconnectMs
+   * @private
+   */
+  _startWatchdog() {
+    const idleMs = this.options.idleReconnectMs;
+    if (!idleMs) return;
+
+    this.watchdog = setInterval(() => {
+      if (this.closed || this.reconnecting || Date.now() - this.lastNotificationAt < idleMs) return;
+
+      console.warn(`Events subscription: no notification for ${idleMs}ms, reconnecting`);
+      this.reconnecting = this.reconnect()
+        .catch(error => console.warn('Events subscription: reconnect failed:', error.message))
+        .finally(() => { this.reconnecting = null; });
+    }, Math.ceil(idleMs / 2));
+  }
+
+  /**
+   * @private
+   */
+  async _unlisten() {
+    if (this.listenerId === null) return;
+    const id = this.listenerId;
+    this.listenerId = null;
+    await this.connection.removeOnLogsListener(id);
+  }
+
+  /**
+   * @private
+   */
+  _handleLogs(logInfo, context) {
+    if (this.closed) return;
+    this.lastNotificationAt = Date.now();
+    if (logInfo.err) return;
+
+    const { signature } = logInfo;
+    const slot = context.slot;
+
+    if (this.seen.has(signature)) return;
+    this.seen.set(signature, slot);
+    this._pruneSeen(slot);
+
+    let parsed;
+    try {
+      parsed = this.events.parseLogs(logInfo.logs);
+    } catch (error) {
+      console.log(`Events subscription: failed to parse logs of ${signature}:`, error.message);
+      return;
+    }
+
+    for (const event of parsed) {
+      if (this._matches(event)) {
+        this._emit({ ...event, signature, slot });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _pruneSeen(slot) {
+    if (slot <= this.highestSlot) return;
+    this.highestSlot = slot;
+
+    const minSlot = slot - this.options.dedupeSlots;
+    for (const [signature, seenSlot] of this.seen) {
+      if (seenSlot < minSlot) {
+        this.seen.delete(signature);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _matches(event) {
+    const { mint, user, types } = this.filters;
+    if (types && !types.includes(event.name)) return false;
+    if (mint && event.data.mint_account !== mint) return false;
+    if (user && event.data.payer !== user && event.data.user !== user) return false;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _emit(event) {
+    if (this.options.onEvent) {
+      try {
+        this.options.onEvent(event);
+      } catch (error) {
+        console.log('Events subscription: onEvent callback error:', error.message);
+      }
+      return;
+    }
+
+    if (this.waiters.length > 0) {
+      this.waiters.shift()({ value: event, done: false });
+      return;
+    }
+
+    if (this.queue.length >= this.options.maxQueue) {
+      this.queue.shift();
+      this.dropped++;
+      if ((this.dropped - 1) % this.options.maxQueue === 0) {
+        console.warn(`Events subscription: consumer is behind, dropped ${this.dropped} oldest events (maxQueue ${this.options.maxQueue})`);
+      }
+    }
+    this.queue.push(event);
+  }
+}
+
+module.exports = EventsModule;
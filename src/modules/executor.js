@@ -0,0 +1,195 @@
+const { TransactionExpiredBlockheightExceededError, VersionedTransaction } = require('@solana/web3.js');
+const ProgramErrorUtils = require('../utils/programErrors');
+const { ErrorCodes, RpcError, ValidationError } = require('../utils/errors');
+
+/**
+ * Executor Module
+ * Sends builder results ({ transaction, signers }) and waits for confirmation
+ *
+ * The SDK never holds private keys: the fee payer signature comes from the wallet
+ * passed to the SDK constructor (browser wallet adapter or anchor.Wallet),
+ * `signers` only contains keypairs generated by the builder itself (e.g. a new mint)
+ */
+class ExecutorModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Sign, send and confirm a builder result
+   *
+   * When the blockhash expires before confirmation the transaction is retried.
+   * If a factory function is passed, the transaction is rebuilt on every attempt
+   * (fresh prices and orders), otherwise only the blockhash is refreshed.
+   *
+   * @param {Object|Function} builderResult - Builder result { transaction, signers, onConfirmed? }, or an async function returning one.
+   *   onConfirmed(result) is called once the transaction is confirmed
+   * @param {Object} options - Optional parameters
+   * @param {string} options.commitment - Confirmation commitment, default sdk.options.commitment or 'confirmed'
+   * @param {boolean} options.skipPreflight - Skip preflight simulation, default sdk.options.skipPreflight or false
+   * @param {number} options.maxRetries - RPC send retries, default sdk.options.maxRetries
+   * @param {number} options.maxAttempts - Attempts on blockhash expiry, default 3
+   * @param {boolean} options.parseEvents - Fetch the confirmed transaction and decode events, default true
+   * @returns {Promise<Object>} Execution result
+   * @throws {ProgramError} The program rejected the transaction (preflight or on chain)
+   * @throws {RpcError} TRANSACTION_FAILED for other failures, TRANSACTION_EXPIRED when every attempt expired
+   *
+   * @example
+   * // Rebuild on expiry
+   * const result = await sdk.execute(() => sdk.trading.buy({
+   *   mintAccount: mint,
+   *   buyTokenAmount: new anchor.BN("1000000000"),
+   *   maxSolAmount: new anchor.BN("2000000000"),
+   *   payer: wallet.publicKey
+   * }));
+   * // Returns:
+   * // {
+   * //   signature: '5h3...',
+   * //   slot: 123456,
+   * //   attempts: 1,
+   * //   events: [{ name: 'BuySellEvent', data: { ... } }]
+   * // }
+   */
+  async execute(builderResult, options = {}) {
+    const {
+      commitment = this.sdk.options.commitment || 'confirmed',
+      skipPreflight = this.sdk.options.skipPreflight || false,
+      maxRetries = this.sdk.options.maxRetries,
+      maxAttempts = 3,
+      parseEvents = true
+    } = options;
+
+    const isFactory = typeof builderResult === 'function';
+    let built = isFactory ? null : builderResult;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (isFactory) {
+        built = await builderResult();
+      }
+      if (!built || !built.transaction) {
+        throw new ValidationError('builderResult must contain a transaction');
+      }
+
+      const { blockhash, lastValidBlockHeight } = await this.sdk.connection.getLatestBlockhash(commitment);
+
+      let signature;
+      try {
+        const rawTransaction = await this._signTransaction(built, blockhash);
+        signature = await this.sdk.connection.sendRawTransaction(rawTransaction, {
+          skipPreflight,
+          maxRetries,
+          preflightCommitment: commitment
+        });
+      } catch (error) {
+        if (this._isBlockhashError(error) && attempt < maxAttempts) {
+          console.log(`Executor: blockhash not found, retrying (${attempt}/${maxAttempts})`);
+          continue;
+        }
+        // Preflight failures carry the program logs
+        throw ProgramErrorUtils.decode(error, { programId: this.sdk.programId }) || error;
+      }
+
+      let confirmation;
+      try {
+        confirmation = await this.sdk.connection.confirmTransaction(
+          { signature, blockhash, lastValidBlockHeight },
+          commitment
+        );
+      } catch (error) {
+        if (error instanceof TransactionExpiredBlockheightExceededError && attempt < maxAttempts) {
+          console.log(`Executor: blockhash expired for ${signature}, retrying (${attempt}/${maxAttempts})`);
+          continue;
+        }
+        throw error;
+      }
+
+      if (confirmation.value.err) {
+        const programError = ProgramErrorUtils.decode(confirmation.value.err, { programId: this.sdk.programId });
+        if (programError) {
+          programError.signature = signature;
+          throw programError;
+        }
+        throw new RpcError(ErrorCodes.TRANSACTION_FAILED, `Transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`, {
+          signature,
+          err: confirmation.value.err
+        });
+      }
+
+      const events = parseEvents ? await this._fetchEvents(signature, commitment) : [];
+      const result = {
+        signature,
+        slot: confirmation.context.slot,
+        attempts: attempt,
+        events
+      };
+
+      if (typeof built.onConfirmed === 'function') {
+        try {
+          await built.onConfirmed(result);
+        } catch (error) {
+          // The transaction already landed, do not report it as failed
+          console.log(`Executor: onConfirmed callback failed for ${signature}:`, error.message);
+        }
+      }
+
+      return result;
+    }
+
+    throw new RpcError(ErrorCodes.TRANSACTION_EXPIRED, `Transaction not confirmed after ${maxAttempts} attempts`);
+  }
+
+  /**
+   * Set blockhash and fee payer, sign with builder signers and the SDK wallet
+   * Supports both legacy Transaction and v0 VersionedTransaction
+   * @private
+   * @returns {Promise<Buffer>} Serialized transaction
+   */
+  async _signTransaction(built, blockhash) {
+    const { transaction, signers = [] } = built;
+
+    if (transaction instanceof VersionedTransaction) {
+      // v0 message: fee payer is fixed at compile time
+      transaction.message.recentBlockhash = blockhash;
+      if (signers.length > 0) {
+        transaction.sign(signers);
+      }
+    } else {
+      transaction.recentBlockhash = blockhash;
+      if (!transaction.feePayer) {
+        transaction.feePayer = this.sdk.wallet.publicKey;
+      }
+      if (signers.length > 0) {
+        transaction.partialSign(...signers);
+      }
+    }
+
+    const signed = await this.sdk.wallet.signTransaction(transaction);
+    return signed.serialize();
+  }
+
+  /**
+   * Decode events of a confirmed transaction, failures only log (the transaction already landed)
+   * @private
+   */
+  async _fetchEvents(signature, commitment) {
+    try {
+      const receipt = await this.sdk.events.parseTransaction(signature, {
+        // getTransaction does not support 'processed'
+        commitment: commitment === 'finalized' ? 'finalized' : 'confirmed'
+      });
+      return receipt.events;
+    } catch (error) {
+      console.log(`Executor: failed to decode events of ${signature}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isBlockhashError(error) {
+    return /blockhash not found/i.test(error && error.message ? error.message : '');
+  }
+}
+
+module.exports = ExecutorModule;
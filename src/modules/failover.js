@@ -0,0 +1,254 @@
+const { ErrorCodes, FastApiError, SpinPetError } = require('../utils/errors');
+
+// Sources tried by dataSource 'auto', in order; chain is the last resort
+const SOURCES = ['fast', 'chain'];
+
+// RPC transport failures, as reported in the messages of @solana/web3.js connection errors
+const RPC_UNAVAILABLE = /fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|Too Many Requests|\b(429|5\d\d)\b/i;
+
+const DEFAULT_OPTIONS = {
+  fastTimeout: 3000,          // Deadline of a fast request (ms)
+  failureThreshold: 3,        // Consecutive failures that open a source's circuit
+  cooldownMs: 30000,          // Time an open circuit is skipped before it is tried again (ms)
+  maxStaleSeconds: null,      // Opt in: fast data further behind the chain is not used, null disables the check
+  staleCheckInterval: 10000,  // Staleness verdict cache per token (ms), each check costs two RPC requests
+  onDataSource: null          // Called with the served report of every 'auto' request
+};
+
+/**
+ * Failover Module
+ * Serves sdk.data requests with dataSource 'auto': fast first with a deadline, chain when fast
+ * is unreachable, too slow, behind the chain, or its circuit is open
+ *
+ * Each source has a circuit breaker: after failureThreshold consecutive failures it is skipped
+ * for cooldownMs, then tried again (half open) and closed by the next success. If every
+ * circuit is open all sources are tried anyway. Only unavailability counts as a failure,
+ * other errors (invalid input, missing accounts) are thrown as they are
+ *
+ * Configured with `options.failover` of the SDK constructor (see DEFAULT_OPTIONS)
+ */
+class FailoverModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+    this.options = { ...DEFAULT_OPTIONS, ...(sdk.options.failover || {}) };
+    this.reset();
+  }
+
+  /**
+   * Route a data request through the sources
+   * Object responses get a `source` field ('fast' or 'chain'), every request is also recorded
+   * in status().lastServed and passed to options.onDataSource
+   * @param {string} method - Data method: 'orders', 'price' or 'user_orders'
+   * @param {Array} args - Method arguments
+   * @returns {Promise<*>} Response of the serving source
+   */
+  async get(method, args) {
+    const started = Date.now();
+    const mint = method === 'user_orders' ? args[1] : args[0];
+
+    let candidates = SOURCES.filter(source => this._canTry(source));
+    if (candidates.length === 0) {
+      candidates = SOURCES;
+    }
+
+    let reason = candidates[0] === 'fast' ? null : 'circuit_open';
+    const errors = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      const source = candidates[i];
+      const isLast = i === candidates.length - 1;
+      const module = this.sdk[source];
+      if (!module[method]) {
+        throw new Error(`Method ${method} does not exist in ${source} module`);
+      }
+
+      // Staleness is checked next to the request, only when another source is left to fall back to
+      const staleCheck = source === 'fast' && !isLast && mint ? this._isStale(mint) : null;
+
+      let result;
+      try {
+        const request = module[method](...args);
+        result = source === 'fast' ? await this._withDeadline(request, this.options.fastTimeout) : await request;
+      } catch (error) {
+        if (!this._isUnavailable(source, error)) {
+          // Errors such as invalid parameters or missing accounts would fail on any source
+          throw error;
+        }
+        this._recordFailure(source, error);
+        errors.push(`${source}: ${error.message}`);
+        if (isLast) {
+          throw new Error(`${method}: all data sources failed - ${errors.join('; ')}`);
+        }
+        reason = error.code === 'TIMEOUT' ? 'timeout' : 'network_error';
+        continue;
+      }
+
+      this._recordSuccess(source);
+      if (staleCheck && await staleCheck) {
+        reason = 'stale';
+        continue;
+      }
+
+      return this._serve(method, result, source, reason, started);
+    }
+  }
+
+  /**
+   * Circuit breaker state of each source and the last served report of each method
+   * @returns {Object} Status
+   *
+   * @example
+   * const status = sdk.failover.status();
+   * // Returns:
+   * // {
+   * //   fast: { state: 'open', failures: 3, openedAt: 1756137700000, lastError: '网络请求失败: ...' },
+   * //   chain: { state: 'closed', failures: 0, openedAt: null, lastError: null },
+   * //   lastServed: {
+   * //     orders: { method: 'orders', source: 'chain', fallback: true, reason: 'circuit_open', latencyMs: 412, at: 1756137705000 }
+   * //   }
+   * // }
+   */
+  status() {
+    const status = { lastServed: { ...this.lastServed } };
+    for (const source of SOURCES) {
+      status[source] = { ...this.breakers[source] };
+    }
+    return status;
+  }
+
+  /**
+   * Close every circuit and forget cached staleness verdicts
+   */
+  reset() {
+    this.breakers = {};
+    for (const source of SOURCES) {
+      this.breakers[source] = { state: 'closed', failures: 0, openedAt: null, lastError: null };
+    }
+    this.lastServed = {};
+    this.staleCache = new Map();
+  }
+
+  /**
+   * Open circuits are skipped until cooldownMs has passed, then half open
+   * @private
+   */
+  _canTry(source) {
+    const breaker = this.breakers[source];
+    if (breaker.state !== 'open') return true;
+
+    if (Date.now() - breaker.openedAt >= this.options.cooldownMs) {
+      breaker.state = 'half_open';
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _recordSuccess(source) {
+    const breaker = this.breakers[source];
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+  }
+
+  /**
+   * @private
+   */
+  _recordFailure(source, error) {
+    const breaker = this.breakers[source];
+    breaker.failures++;
+    breaker.lastError = error.message;
+
+    if (breaker.state === 'half_open' || breaker.failures >= this.options.failureThreshold) {
+      if (breaker.state !== 'open') {
+        console.warn(`failover: ${source} circuit opened after ${breaker.failures} failures: ${error.message}`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Network errors, timeouts and 5xx responses mean fast is unavailable; for chain, RPC
+   * transport failures and rate limits. Typed SDK errors such as ValidationError or
+   * AccountNotFoundError are answers, not unavailability
+   * @private
+   */
+  _isUnavailable(source, error) {
+    if (source === 'fast') {
+      return error.code === ErrorCodes.NETWORK_ERROR || error.code === ErrorCodes.TIMEOUT || (error.status >= 500);
+    }
+    if (error instanceof SpinPetError) {
+      return error.code === ErrorCodes.RPC_ERROR;
+    }
+    return RPC_UNAVAILABLE.test(error.message || '');
+  }
+
+  /**
+   * @private
+   */
+  _withDeadline(promise, timeoutMs) {
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new FastApiError(ErrorCodes.TIMEOUT, `no response within ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Whether fast is more than maxStaleSeconds behind the chain for a token, cached per token
+   * A failed or slow check counts as not stale, the request itself decides availability
+   * @private
+   */
+  async _isStale(mint) {
+    if (this.options.maxStaleSeconds === null || this.options.maxStaleSeconds === undefined) {
+      return false;
+    }
+
+    const key = mint.toString();
+    const cached = this.staleCache.get(key);
+    if (cached && Date.now() - cached.at < this.options.staleCheckInterval) {
+      return cached.verdict;
+    }
+
+    const verdict = this._withDeadline(this.sdk.audit.staleness(key), this.options.fastTimeout)
+      .then(staleness => staleness.seconds !== null && staleness.seconds > this.options.maxStaleSeconds)
+      .catch(() => false);
+    this.staleCache.set(key, { at: Date.now(), verdict });
+    return verdict;
+  }
+
+  /**
+   * @private
+   */
+  _serve(method, result, source, reason, started) {
+    const report = {
+      method,
+      source,
+      fallback: source !== 'fast',
+      reason,
+      latencyMs: Date.now() - started,
+      at: Date.now()
+    };
+    this.lastServed[method] = report;
+
+    if (reason) {
+      console.warn(`failover: ${method} served by ${source} (${reason})`);
+    }
+    if (typeof this.options.onDataSource === 'function') {
+      this.options.onDataSource(report);
+    }
+
+    // The module's response may be cached and shared, label a copy
+    if (result && typeof result === 'object' && !Array.isArray(result)) {
+      return { ...result, source };
+    }
+    return result;
+  }
+}
+
+module.exports = FailoverModule;
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const OrderUtils = require('../utils/orderUtils');
 const CurveAMM = require('../utils/curve_amm');
+const { ErrorCodes, FastApiError } = require('../utils/errors');
 
 /**
  * Data configuration mapping
@@ -217,21 +218,32 @@ class FastModule {
 
       // 检查API响应格式
       if (!response.data || !response.data.success) {
-        throw new Error(`API请求失败: ${response.data?.message || '未知错误'}`);
+        throw new FastApiError(ErrorCodes.API_ERROR, `API请求失败: ${response.data?.message || '未知错误'}`, {
+          endpoint: config.endpoint
+        });
       }
 
       return response.data;
 
     } catch (error) {
-      if (error.response) {
+      if (error instanceof FastApiError) {
+        throw error;
+      } else if (error.response) {
         // API返回错误
-        throw new Error(`API请求失败 [${error.response.status}]: ${error.response.data?.message || error.message}`);
+        throw new FastApiError(ErrorCodes.API_ERROR, `API请求失败 [${error.response.status}]: ${error.response.data?.message || error.message}`, {
+          status: error.response.status,
+          endpoint: config.endpoint
+        });
       } else if (error.request) {
         // 网络错误
-        throw new Error(`网络请求失败: 无法连接到 ${this.baseUrl}`);
+        throw new FastApiError(ErrorCodes.NETWORK_ERROR, `网络请求失败: 无法连接到 ${this.baseUrl}`, {
+          endpoint: config.endpoint
+        });
       } else {
         // 其他错误
-        throw new Error(`请求处理失败: ${error.message}`);
+        throw new FastApiError(ErrorCodes.REQUEST_ERROR, `请求处理失败: ${error.message}`, {
+          endpoint: config.endpoint
+        });
       }
     }
   }
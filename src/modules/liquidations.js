@@ -0,0 +1,188 @@
+const PositionUtils = require('../utils/positionUtils');
+
+/**
+ * Liquidations Module
+ * Finds margin orders that can be liquidated before the ForceLiquidateEvent happens
+ *
+ * An order is flagged when:
+ * - it is past end_time: anyone can close it, the proceeds are settled to the owner
+ * - the current price has crossed into its locked range (lock_lp_start_price): the next trade
+ *   through the range force-liquidates it and the owner forfeits the margin
+ */
+class LiquidationsModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Scan both order lists of a token for liquidatable orders
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {Object} options - Optional parameters
+   * @param {string} options.dataSource - 'fast', 'chain' or 'auto', default sdk.defaultDataSource
+   * @param {number} options.now - Unix timestamp compared with end_time, default current time
+   * @param {boolean} options.valueExpired - Simulate the close of expired orders to estimate the owner loss, default true (false leaves equity and ownerLoss null)
+   * @returns {Promise<Object>} Scan result
+   *
+   * @example
+   * const result = await sdk.liquidations.scan(mint);
+   * // Returns:
+   * // {
+   * //   mint: '4Kq51Kt48FCwdo5CeKjRVPodH1ticHa7mZ5n5gqMEy1X',
+   * //   currentPrice: 13514066072452801812769n,
+   * //   now: 1756137700,
+   * //   scanned: { long: 12, short: 7 },
+   * //   orders: [
+   * //     {
+   * //       orderPda: '59yP5tpDP6DBcyy4mge9wKKKdLmk45Th4sbd6Un9LxVN',
+   * //       user: '8iGFeUkRpyRx8w5uoUMbfZepUr6BfTdPuJmqGoNBntdb',
+   * //       side: 'short',
+   * //       reasons: ['expired'],           // 'expired' and/or 'price_crossed'
+   * //       expired: true,
+   * //       secondsPastEnd: 38,
+   * //       priceCrossed: false,
+   * //       marginSolAmount: 1909140052n,
+   * //       equity: 157396230n,             // SOL settled to the owner on close, null when not valued
+   * //       ownerLoss: 1751743822n,         // Margin the owner does not get back, null when not valued
+   * //       valuationError: null,           // Message when valuing the expired order failed
+   * //       order: { ... }
+   * //     }
+   * //   ]
+   * // }
+   */
+  async scan(mint, options = {}) {
+    const {
+      dataSource,
+      now = Math.floor(Date.now() / 1000),
+      valueExpired = true
+    } = options;
+
+    const mintAddress = mint.toString();
+    const sourceOptions = dataSource ? { dataSource } : {};
+
+    const [priceString, longOrders, shortOrders] = await Promise.all([
+      this.sdk.data.price(mintAddress, sourceOptions),
+      this._fetchOrders(mintAddress, 'down_orders', sourceOptions),
+      this._fetchOrders(mintAddress, 'up_orders', sourceOptions)
+    ]);
+    const currentPrice = BigInt(priceString);
+
+    const flagged = [...longOrders, ...shortOrders]
+      .map(order => this._check(order, currentPrice, now))
+      .filter(item => item.reasons.length > 0);
+
+    // Expired orders are valued on the state read above, the curve is only needed for its swap fee
+    let market = null;
+    const getMarket = () => {
+      if (!market) {
+        market = this.sdk.chain.getCurveAccount(mintAddress).then(curve => ({
+          simulator: this.sdk.simulator.fromSnapshot({ price: currentPrice, upOrders: shortOrders, downOrders: longOrders, curve }),
+          curve
+        }));
+      }
+      return market;
+    };
+
+    for (const item of flagged) {
+      await this._estimateLoss(item, now, valueExpired, getMarket);
+    }
+
+    return {
+      mint: mintAddress,
+      currentPrice,
+      now,
+      scanned: { long: longOrders.length, short: shortOrders.length },
+      orders: flagged
+    };
+  }
+
+  /**
+   * Fetch all pages of an order list
+   * @private
+   */
+  async _fetchOrders(mint, type, sourceOptions) {
+    const orders = [];
+    let page = 1;
+
+    for (;;) {
+      const result = await this.sdk.data.orders(mint, {
+        type,
+        page,
+        limit: this.sdk.FIND_MAX_ORDERS_COUNT,
+        ...sourceOptions
+      });
+      if (!result.success || !result.data || !result.data.orders) {
+        throw new Error(`Unable to get ${type}`);
+      }
+
+      orders.push(...result.data.orders);
+      if (!result.data.has_next) break;
+      page++;
+    }
+
+    return orders;
+  }
+
+  /**
+   * Check an order against end_time and the current price
+   * @private
+   */
+  _check(order, currentPrice, now) {
+    const isLong = PositionUtils.isLong(order);
+    const startPrice = BigInt(order.lock_lp_start_price);
+
+    // Long locks a range below the price (price falls into it), short a range above
+    const priceCrossed = isLong ? currentPrice <= startPrice : currentPrice >= startPrice;
+    const expired = now >= order.end_time;
+
+    const reasons = [];
+    if (expired) reasons.push('expired');
+    if (priceCrossed) reasons.push('price_crossed');
+
+    return {
+      orderPda: order.order_pda,
+      user: order.user,
+      side: isLong ? 'long' : 'short',
+      reasons,
+      expired,
+      secondsPastEnd: expired ? now - order.end_time : 0,
+      priceCrossed,
+      marginSolAmount: BigInt(order.margin_sol_amount.toString()),
+      equity: null,
+      ownerLoss: null,
+      valuationError: null,
+      order
+    };
+  }
+
+  /**
+   * Force liquidation forfeits the margin, an expired close settles the position equity to the owner
+   * A failed valuation only leaves this order's equity and ownerLoss null
+   * @private
+   */
+  async _estimateLoss(item, now, valueExpired, getMarket) {
+    if (item.priceCrossed) {
+      item.ownerLoss = item.marginSolAmount;
+      return;
+    }
+    if (!valueExpired) return;
+
+    let valuation;
+    try {
+      valuation = await this.sdk.positions._valueOrder(item.order, now, getMarket());
+    } catch (error) {
+      console.warn(`liquidations: valuing ${item.orderPda} failed: ${error.message}`);
+      item.valuationError = error.message;
+      return;
+    }
+    if (valuation.equity === null) {
+      // Not enough liquidity to close within MAX_ORDERS_COUNT orders
+      item.ownerLoss = item.marginSolAmount;
+      return;
+    }
+
+    item.equity = valuation.equity > 0n ? valuation.equity : 0n;
+    item.ownerLoss = item.marginSolAmount > item.equity ? item.marginSolAmount - item.equity : 0n;
+  }
+}
+
+module.exports = LiquidationsModule;
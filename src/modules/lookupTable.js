@@ -0,0 +1,230 @@
+const { AddressLookupTableProgram, PublicKey, Transaction, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Lookup Table Module
+ * Creates, extends and caches per-mint address lookup tables
+ *
+ * A lookup table holds the static accounts used by every trade on a mint
+ * (mint, curve, pools, fee recipients, programs), so v0 transactions built with
+ * `options.lookupTable` reference them by 1-byte index instead of 32-byte keys
+ */
+class LookupTableModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+
+    // mint -> lookup table address
+    this.tableAddresses = new Map();
+    // lookup table address -> AddressLookupTableAccount
+    this.tableAccounts = new Map();
+  }
+
+  /**
+   * Get the static accounts shared by all trades on a mint
+   * @param {string|PublicKey} mint - Token mint address
+   * @returns {Array<PublicKey>} Static account addresses
+   */
+  getStaticAccounts(mint) {
+    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+
+    const [curveAccount] = PublicKey.findProgramAddressSync(
+      [Buffer.from('borrowing_curve'), mintPubkey.toBuffer()],
+      this.sdk.programId
+    );
+    const [poolTokenAccount] = PublicKey.findProgramAddressSync(
+      [Buffer.from('pool_token'), mintPubkey.toBuffer()],
+      this.sdk.programId
+    );
+    const [poolSolAccount] = PublicKey.findProgramAddressSync(
+      [Buffer.from('pool_sol'), mintPubkey.toBuffer()],
+      this.sdk.programId
+    );
+
+    const accounts = [
+      mintPubkey,
+      curveAccount,
+      poolTokenAccount,
+      poolSolAccount,
+      TOKEN_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+      SystemProgram.programId,
+      SYSVAR_RENT_PUBKEY
+    ];
+
+    if (this.sdk.feeRecipient) accounts.push(this.sdk.feeRecipient);
+    if (this.sdk.baseFeeRecipient) accounts.push(this.sdk.baseFeeRecipient);
+
+    return accounts;
+  }
+
+  /**
+   * Create a lookup table for a mint and fill it with the static accounts
+   * The new address is registered for the mint once sdk.execute() confirms the transaction
+   * (the result's onConfirmed), when sending it yourself call register() after confirmation
+   * @param {Object} params - Creation parameters
+   * @param {string|PublicKey} params.mint - Token mint address
+   * @param {PublicKey} params.authority - Lookup table authority
+   * @param {PublicKey} params.payer - Payer public key, defaults to authority
+   * @param {number} params.recentSlot - Recent slot used to derive the table address, default latest finalized slot
+   * @returns {Promise<Object>} Object containing transaction, signers, account info and onConfirmed
+   *
+   * @example
+   * const result = await sdk.lookupTable.create({ mint, authority: wallet.publicKey });
+   * await sdk.execute(result);
+   * // Later trades on this mint can use the table
+   * const buy = await sdk.trading.buy({ ... }, { lookupTable: true });
+   */
+  async create({ mint, authority, payer, recentSlot }) {
+    const payerPubkey = payer || authority;
+    const slot = recentSlot !== undefined ? recentSlot : await this.sdk.connection.getSlot('finalized');
+
+    const [createIx, lookupTable] = AddressLookupTableProgram.createLookupTable({
+      authority,
+      payer: payerPubkey,
+      recentSlot: slot
+    });
+
+    const addresses = this.getStaticAccounts(mint);
+    const extendIx = AddressLookupTableProgram.extendLookupTable({
+      lookupTable,
+      authority,
+      payer: payerPubkey,
+      addresses
+    });
+
+    const transaction = new Transaction();
+    transaction.add(createIx);
+    transaction.add(extendIx);
+
+    console.log('Lookup table creation transaction built:', lookupTable.toString());
+
+    return {
+      transaction,
+      signers: [], // Only authority/payer signature needed
+      accounts: {
+        lookupTable,
+        authority,
+        payer: payerPubkey,
+        addresses
+      },
+      // A table registered before it exists would break every { lookupTable: true } build
+      onConfirmed: () => this.register(mint, lookupTable)
+    };
+  }
+
+  /**
+   * Add addresses to an existing lookup table
+   * @param {Object} params - Extension parameters
+   * @param {string|PublicKey} params.lookupTable - Lookup table address
+   * @param {Array<string|PublicKey>} params.addresses - Addresses to add
+   * @param {PublicKey} params.authority - Lookup table authority
+   * @param {PublicKey} params.payer - Payer public key, defaults to authority
+   * @returns {Promise<Object>} Object containing transaction, signers and account info
+   */
+  async extend({ lookupTable, addresses, authority, payer }) {
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      throw new ValidationError('addresses must be a non-empty array');
+    }
+
+    const lookupTablePubkey = this.sdk._parsePublicKey(lookupTable);
+    const payerPubkey = payer || authority;
+
+    const extendIx = AddressLookupTableProgram.extendLookupTable({
+      lookupTable: lookupTablePubkey,
+      authority,
+      payer: payerPubkey,
+      addresses: addresses.map(a => this.sdk._parsePublicKey(a))
+    });
+
+    const transaction = new Transaction();
+    transaction.add(extendIx);
+
+    // Cached table content is outdated after extension
+    this.tableAccounts.delete(lookupTablePubkey.toString());
+
+    return {
+      transaction,
+      signers: [], // Only authority/payer signature needed
+      accounts: {
+        lookupTable: lookupTablePubkey,
+        authority,
+        payer: payerPubkey
+      }
+    };
+  }
+
+  /**
+   * Register an existing lookup table address for a mint
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {string|PublicKey} lookupTable - Lookup table address
+   */
+  register(mint, lookupTable) {
+    this.tableAddresses.set(mint.toString(), this.sdk._parsePublicKey(lookupTable));
+  }
+
+  /**
+   * Get the lookup table account registered for a mint (cached)
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {Object} options - Optional parameters
+   * @param {boolean} options.fresh - Bypass the cache, default false
+   * @returns {Promise<AddressLookupTableAccount|null>} Lookup table account, null if none registered
+   */
+  async get(mint, options = {}) {
+    const address = this.tableAddresses.get(mint.toString());
+    if (!address) return null;
+    return this.fetch(address, options);
+  }
+
+  /**
+   * Fetch a lookup table account by address (cached)
+   * @param {string|PublicKey} lookupTable - Lookup table address
+   * @param {Object} options - Optional parameters
+   * @param {boolean} options.fresh - Bypass the cache, default false
+   * @returns {Promise<AddressLookupTableAccount>} Lookup table account
+   */
+  async fetch(lookupTable, options = {}) {
+    const address = this.sdk._parsePublicKey(lookupTable);
+    const key = address.toString();
+
+    if (!options.fresh && this.tableAccounts.has(key)) {
+      return this.tableAccounts.get(key);
+    }
+
+    const result = await this.sdk.connection.getAddressLookupTable(address);
+    if (!result.value) {
+      throw new Error(`Lookup table ${key} not found`);
+    }
+
+    this.tableAccounts.set(key, result.value);
+    return result.value;
+  }
+
+  /**
+   * Resolve the `lookupTable` builder option into lookup table accounts
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {boolean|string|PublicKey|AddressLookupTableAccount} lookupTable - true for the table registered for the mint, or an address / account
+   * @returns {Promise<Array<AddressLookupTableAccount>>} Lookup table accounts
+   * @throws {ValidationError} lookupTable is true and no table is registered for the mint
+   */
+  async resolve(mint, lookupTable) {
+    if (!lookupTable) return [];
+
+    if (lookupTable === true) {
+      const account = await this.get(mint);
+      if (!account) {
+        throw new ValidationError(`No lookup table registered for mint ${mint.toString()}, execute lookupTable.create() or call lookupTable.register() first`);
+      }
+      return [account];
+    }
+
+    // Already an AddressLookupTableAccount
+    if (lookupTable.key && lookupTable.state) {
+      return [lookupTable];
+    }
+
+    return [await this.fetch(lookupTable)];
+  }
+}
+
+module.exports = LookupTableModule;
@@ -0,0 +1,456 @@
+const CurveAMM = require('../utils/curve_amm');
+const OrderUtils = require('../utils/orderUtils');
+const PositionUtils = require('../utils/positionUtils');
+const { ValidationError } = require('../utils/errors');
+
+const ORDER_TYPES = ['up_orders', 'down_orders'];
+const BOOK_EVENTS = ['BuySellEvent', 'LongShortEvent', 'PartialCloseEvent', 'FullCloseEvent', 'ForceLiquidateEvent'];
+
+/**
+ * Order Book Module
+ * Creates in-memory mirrors of a token's margin order lists
+ */
+class OrderBookModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Open an order book: seed it from sdk.data (both lists and the price) and keep it in sync
+   *
+   * Updates come from program events (LongShortEvent inserts, PartialCloseEvent replaces,
+   * FullCloseEvent / ForceLiquidateEvent remove, every event with latest_price moves the price)
+   * and from chain.watchCurve(): when upHead / downHead still differ from the book after
+   * resyncDelayMs the book is seeded again
+   *
+   * @param {string|PublicKey} mint - Token mint address
+   * @param {Object} options - Optional parameters
+   * @param {string} options.dataSource - Source used to seed the book, default sdk.defaultDataSource
+   * @param {boolean} options.watch - Subscribe to events and curve changes, default true
+   * @param {Function} options.onUpdate - Called with (book, change) after every applied change
+   * @param {number} options.resyncDelayMs - Grace period for events to catch up with a head change, default 1000
+   * @param {string} options.commitment - Subscription commitment, default sdk.options.commitment or 'confirmed'
+   * @returns {Promise<OrderBook>} Seeded order book
+   *
+   * @example
+   * const book = await sdk.orderBook.open(mint, {
+   *   onUpdate: (book, change) => console.log(change.type, change.order_pda, book.price)
+   * });
+   * console.log(book.depth());
+   * // ...
+   * await book.close();
+   */
+  async open(mint, options = {}) {
+    const book = new OrderBook(this.sdk, mint.toString(), {
+      dataSource: options.dataSource,
+      watch: options.watch !== false,
+      onUpdate: options.onUpdate || null,
+      resyncDelayMs: options.resyncDelayMs !== undefined ? options.resyncDelayMs : 1000,
+      commitment: options.commitment || this.sdk.options.commitment || 'confirmed'
+    });
+    await book._start();
+    return book;
+  }
+}
+
+/**
+ * In-memory mirror of one token's up_orders and down_orders returned by OrderBookModule.open()
+ *
+ * Orders use the Fast API format (order_type 1 = long / down_orders, 2 = short / up_orders),
+ * up_orders sorted from low to high lock_lp_start_price, down_orders from high to low
+ */
+class OrderBook {
+  constructor(sdk, mint, options) {
+    this.sdk = sdk;
+    this.mint = mint;
+    this.options = options;
+
+    this.price = null;          // bigint
+    this.slot = 0;              // Slot of the last applied event or curve update
+    this.updatedAt = null;      // Date.now() of the last change
+    this.lists = { up_orders: [], down_orders: [] };
+
+    this.closed = false;
+    this.seeding = false;
+    this.pendingEvents = [];    // Events received while seeding
+    this.subscription = null;
+    this.stopCurve = null;
+    this.heads = null;          // Latest upHead / downHead from curve updates
+    this.resyncTimer = null;
+  }
+
+  /**
+   * Orders of one list in list order
+   * @param {string} type - 'up_orders' or 'down_orders'
+   * @returns {Array<Object>} Copy of the list
+   */
+  orders(type) {
+    this._checkType(type);
+    return this.lists[type].slice();
+  }
+
+  /**
+   * Locked liquidity per order with running totals, from the current price outwards
+   * @returns {Object} { price, up_orders: [...], down_orders: [...] }
+   *
+   * @example
+   * const { up_orders } = book.depth();
+   * // up_orders[0]:
+   * // {
+   * //   order_pda: '...', user: '...',
+   * //   startPrice: 13600000000000000000000n, endPrice: 13700000000000000000000n,
+   * //   solAmount: 3299491609n, tokenAmount: 713848715669n,
+   * //   cumulativeSolAmount: 3299491609n, cumulativeTokenAmount: 713848715669n
+   * // }
+   */
+  depth() {
+    const result = { price: this.price };
+    for (const type of ORDER_TYPES) {
+      let cumulativeSolAmount = 0n;
+      let cumulativeTokenAmount = 0n;
+      result[type] = this.lists[type].map(order => {
+        const solAmount = BigInt(order.lock_lp_sol_amount);
+        const tokenAmount = BigInt(order.lock_lp_token_amount);
+        cumulativeSolAmount += solAmount;
+        cumulativeTokenAmount += tokenAmount;
+        return {
+          order_pda: order.order_pda,
+          user: order.user,
+          startPrice: BigInt(order.lock_lp_start_price),
+          endPrice: BigInt(order.lock_lp_end_price),
+          solAmount,
+          tokenAmount,
+          cumulativeSolAmount,
+          cumulativeTokenAmount
+        };
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Free curve liquidity between the current price and the orders, with the same ranges as
+   * OrderUtils.buildLpPairs (up_orders: price rising for buys, down_orders: price falling for sells)
+   * @param {string} type - 'up_orders' or 'down_orders'
+   * @param {number} maxCount - Maximum number of gaps, default sdk.MAX_ORDERS_COUNT
+   * @returns {Array<Object>} Gaps [{ startPrice, endPrice, solAmount, tokenAmount }]
+   */
+  gaps(type, maxCount = this.sdk.MAX_ORDERS_COUNT) {
+    this._checkType(type);
+    const isUp = type === 'up_orders';
+    const orders = this.lists[type];
+    const ranges = [];
+
+    // Ranges strictly between orders, like buildLpPairs
+    const first = orders.length > 0 ? BigInt(orders[0].lock_lp_start_price) : null;
+    if (first === null) {
+      ranges.push([this.price, isUp ? CurveAMM.MAX_U128_PRICE : CurveAMM.MIN_U128_PRICE]);
+    } else {
+      if (isUp ? this.price < first : this.price > first) {
+        ranges.push([this.price, isUp ? first - 1n : first + 1n]);
+      }
+      for (let i = 0; i < orders.length - 1; i++) {
+        const end = BigInt(orders[i].lock_lp_end_price);
+        const next = BigInt(orders[i + 1].lock_lp_start_price);
+        if (isUp ? end + 1n < next : end - 1n > next) {
+          ranges.push(isUp ? [end + 1n, next - 1n] : [end - 1n, next + 1n]);
+        }
+      }
+      const last = BigInt(orders[orders.length - 1].lock_lp_end_price);
+      ranges.push(isUp ? [last + 1n, CurveAMM.MAX_U128_PRICE] : [last - 1n, CurveAMM.MIN_U128_PRICE]);
+    }
+
+    const gaps = [];
+    for (const [startPrice, endPrice] of ranges.slice(0, maxCount)) {
+      const amounts = isUp
+        ? CurveAMM.buyFromPriceToPrice(startPrice, endPrice)
+        : CurveAMM.sellFromPriceToPrice(startPrice, endPrice);
+      if (!amounts) continue;
+
+      const [solAmount, tokenAmount] = isUp ? amounts : [amounts[1], amounts[0]];
+      gaps.push({ startPrice, endPrice, solAmount, tokenAmount });
+    }
+    return gaps;
+  }
+
+  /**
+   * LP pairs for trade builders, same as sdk.buildLpPairs() on this book's orders
+   * @param {string} type - 'up_orders' or 'down_orders'
+   * @returns {Array<Object>} [{ solAmount: BN, tokenAmount: BN }, ...] of length sdk.MAX_ORDERS_COUNT
+   */
+  lpPairs(type) {
+    this._checkType(type);
+    return OrderUtils.buildLpPairs(this.lists[type], type, this.price, this.sdk.MAX_ORDERS_COUNT);
+  }
+
+  /**
+   * Copy of the book state, usable without network calls
+   * @returns {Object} { mint, price, slot, updatedAt, up_orders, down_orders }
+   */
+  snapshot() {
+    return {
+      mint: this.mint,
+      price: this.price,
+      slot: this.slot,
+      updatedAt: this.updatedAt,
+      up_orders: this.lists.up_orders.map(order => ({ ...order })),
+      down_orders: this.lists.down_orders.map(order => ({ ...order }))
+    };
+  }
+
+  /**
+   * Seed the book again from sdk.data, bypassing the cache
+   * Events received meanwhile are applied after the seed
+   * @returns {Promise<void>}
+   */
+  async resync() {
+    if (this.seeding) return;
+    this.seeding = true;
+
+    try {
+      const sourceOptions = this.options.dataSource ? { dataSource: this.options.dataSource } : {};
+      const [priceString, upOrders, downOrders] = await Promise.all([
+        this.sdk.data.price(this.mint, { ...sourceOptions, fresh: true }),
+        this._fetchOrders('up_orders', sourceOptions),
+        this._fetchOrders('down_orders', sourceOptions)
+      ]);
+
+      this.price = priceString && priceString !== '0' ? BigInt(priceString) : CurveAMM.getInitialPrice();
+      this.lists = {
+        up_orders: upOrders.map(order => this._normalizeOrder(order)),
+        down_orders: downOrders.map(order => this._normalizeOrder(order))
+      };
+      this._changed({ type: 'resync', order_pda: null });
+    } finally {
+      this.seeding = false;
+    }
+
+    const pending = this.pendingEvents;
+    this.pendingEvents = [];
+    for (const event of pending) {
+      this._applyEvent(event);
+    }
+  }
+
+  /**
+   * Stop the event and curve subscriptions
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    clearTimeout(this.resyncTimer);
+    if (this.subscription) await this.subscription.close();
+    if (this.stopCurve) await this.stopCurve();
+  }
+
+  /**
+   * Subscribe first so no event between the seed read and the subscription is lost
+   * @private
+   */
+  async _start() {
+    if (this.options.watch) {
+      this.subscription = this.sdk.events.subscribe({ mint: this.mint, types: BOOK_EVENTS }, {
+        commitment: this.options.commitment,
+        onEvent: event => this._onEvent(event)
+      });
+      this.stopCurve = this.sdk.chain.watchCurve(this.mint, update => this._onCurve(update), {
+        commitment: this.options.commitment
+      });
+    }
+
+    try {
+      await this.resync();
+    } catch (error) {
+      await this.close();
+      throw new Error(`Failed to seed order book: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch every page of an order list
+   * @private
+   */
+  async _fetchOrders(type, sourceOptions) {
+    const orders = [];
+    let page = 1;
+
+    for (;;) {
+      const result = await this.sdk.data.orders(this.mint, {
+        type,
+        page,
+        limit: this.sdk.FIND_MAX_ORDERS_COUNT,
+        fresh: true,
+        ...sourceOptions
+      });
+      if (!result.success || !result.data || !result.data.orders) {
+        throw new Error(`Unable to get ${type}`);
+      }
+
+      orders.push(...result.data.orders);
+      if (!result.data.has_next) break;
+      page++;
+    }
+
+    return orders;
+  }
+
+  /**
+   * @private
+   */
+  _onEvent(event) {
+    if (this.closed) return;
+    if (this.seeding) {
+      this.pendingEvents.push(event);
+      return;
+    }
+    this._applyEvent(event);
+  }
+
+  /**
+   * @private
+   */
+  _applyEvent(event) {
+    const { name, data, slot } = event;
+
+    if (data.latest_price !== undefined && slot >= this.slot) {
+      this.price = BigInt(data.latest_price);
+    }
+    this.slot = Math.max(this.slot, slot || 0);
+
+    switch (name) {
+      case 'LongShortEvent':
+      case 'PartialCloseEvent':
+        // A partial close carries the remaining order
+        this._remove(data.order_pda);
+        this._insert(this._normalizeOrder(data));
+        break;
+      case 'FullCloseEvent':
+      case 'ForceLiquidateEvent':
+        this._remove(data.order_pda);
+        break;
+      default:
+        break;
+    }
+
+    this._changed({ type: name, order_pda: data.order_pda || null, slot });
+  }
+
+  /**
+   * Heads that still differ from the book after the grace period trigger a resync
+   * @private
+   */
+  _onCurve(update) {
+    if (this.closed) return;
+
+    if (update.slot >= this.slot) {
+      this.price = update.curve.price;
+      this.slot = update.slot;
+    }
+    this.heads = { up_orders: update.curve.upHead, down_orders: update.curve.downHead };
+
+    if (!this.resyncTimer && !this._headsMatch()) {
+      this.resyncTimer = setTimeout(() => {
+        this.resyncTimer = null;
+        if (this.closed || this._headsMatch()) return;
+
+        console.warn(`OrderBook: ${this.mint} list heads differ from chain, resyncing`);
+        this.resync().catch(error => {
+          console.warn(`OrderBook: resync of ${this.mint} failed:`, error.message);
+        });
+      }, this.options.resyncDelayMs);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _headsMatch() {
+    if (!this.heads) return true;
+    return ORDER_TYPES.every(type => {
+      const head = this.lists[type].length > 0 ? this.lists[type][0].order_pda : null;
+      return head === this.heads[type];
+    });
+  }
+
+  /**
+   * Insert keeping the list sorted by lock_lp_start_price
+   * @private
+   */
+  _insert(order) {
+    const type = order.order_type === 1 ? 'down_orders' : 'up_orders';
+    const list = this.lists[type];
+    const start = BigInt(order.lock_lp_start_price);
+
+    let index = list.findIndex(other => {
+      const otherStart = BigInt(other.lock_lp_start_price);
+      return type === 'up_orders' ? otherStart > start : otherStart < start;
+    });
+    if (index < 0) index = list.length;
+    list.splice(index, 0, order);
+  }
+
+  /**
+   * @private
+   */
+  _remove(orderPda) {
+    for (const type of ORDER_TYPES) {
+      const index = this.lists[type].findIndex(order => order.order_pda === orderPda);
+      if (index >= 0) {
+        this.lists[type].splice(index, 1);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Same fields as data.orders items: amounts as numbers, prices as strings
+   * @private
+   */
+  _normalizeOrder(order) {
+    return {
+      order_type: PositionUtils.isLong(order) ? 1 : 2,
+      mint: order.mint.toString(),
+      user: order.user.toString(),
+      lock_lp_start_price: order.lock_lp_start_price.toString(),
+      lock_lp_end_price: order.lock_lp_end_price.toString(),
+      lock_lp_sol_amount: Number(order.lock_lp_sol_amount),
+      lock_lp_token_amount: Number(order.lock_lp_token_amount),
+      start_time: Number(order.start_time),
+      end_time: Number(order.end_time),
+      margin_sol_amount: Number(order.margin_sol_amount),
+      borrow_amount: Number(order.borrow_amount),
+      position_asset_amount: Number(order.position_asset_amount),
+      borrow_fee: Number(order.borrow_fee),
+      order_pda: order.order_pda.toString()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _changed(change) {
+    this.updatedAt = Date.now();
+    if (typeof this.options.onUpdate === 'function') {
+      try {
+        this.options.onUpdate(this, change);
+      } catch (error) {
+        console.warn('OrderBook: onUpdate failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _checkType(type) {
+    if (!ORDER_TYPES.includes(type)) {
+      throw new ValidationError('order type must be "up_orders" or "down_orders"');
+    }
+  }
+}
+
+OrderBookModule.OrderBook = OrderBook;
+
+module.exports = OrderBookModule;
@@ -68,76 +68,34 @@ class ParamModule {
   /**
    * Get partner parameters account data
    * @param {PublicKey} partner - Partner public key
-   * @returns {Promise<Object>} Parameters account data
+   * @returns {Promise<Object>} { address, data } with data normalized by sdk.accounts (see AccountsModule)
+   * @throws {AccountNotFoundError} The partner has no parameters account
+   *
+   * @example
+   * const { data } = await sdk.param.getParams(partner);
+   * console.log(data.baseSwapFeePercent, data.feeRecipient);
    */
   async getParams(partner) {
-    // 计算合作伙伴参数账户地址
-    const [paramsAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("params"), partner.toBuffer()],
-      this.sdk.programId
-    );
-
-    try {
-      // Check if account exists
-      const accountInfo = await this.sdk.connection.getAccountInfo(paramsAccount);
-      if (!accountInfo) {
-        throw new Error('Partner parameters account does not exist');
-      }
-      
-      // Try to parse data using Anchor
-      if (this.sdk.program.account.params) {
-        const paramsData = await this.sdk.program.account.params.fetch(paramsAccount);
-        return {
-          address: paramsAccount,
-          data: paramsData
-        };
-      } else {
-        // If Anchor is not available, return basic info
-        return {
-          address: paramsAccount,
-          accountInfo: accountInfo
-        };
-      }
-    } catch (error) {
-      throw new Error(`Failed to get partner parameters: ${error.message}`);
-    }
+    const paramsAccount = this.getParamsAddress(partner);
+    const data = await this.sdk.accounts.fetch('Params', paramsAccount);
+    return {
+      address: paramsAccount,
+      data
+    };
   }
 
   /**
    * Get Admin account data
-   * @returns {Promise<Object>} Admin account data
+   * @returns {Promise<Object>} { address, data } with data normalized by sdk.accounts (see AccountsModule)
+   * @throws {AccountNotFoundError} The program is not initialized
    */
   async getAdmin() {
-    // Calculate Admin account address
-    const [adminAccount] = PublicKey.findProgramAddressSync(
-      [Buffer.from("admin")],
-      this.sdk.programId
-    );
-
-    try {
-      // 检查账户是否存在
-      const accountInfo = await this.sdk.connection.getAccountInfo(adminAccount);
-      if (!accountInfo) {
-        throw new Error('Admin account does not exist');
-      }
-      
-      // 尝试使用 Anchor 解析数据
-      if (this.sdk.program.account.admin) {
-        const adminData = await this.sdk.program.account.admin.fetch(adminAccount);
-        return {
-          address: adminAccount,
-          data: adminData
-        };
-      } else {
-        // 如果 Anchor 不可用，返回基本信息
-        return {
-          address: adminAccount,
-          accountInfo: accountInfo
-        };
-      }
-    } catch (error) {
-      throw new Error(`Failed to get Admin account: ${error.message}`);
-    }
+    const adminAccount = this.getAdminAddress();
+    const data = await this.sdk.accounts.fetch('Admin', adminAccount);
+    return {
+      address: adminAccount,
+      data
+    };
   }
 
   /**
@@ -0,0 +1,337 @@
+const PositionUtils = require('../utils/positionUtils');
+const { ValidationError } = require('../utils/errors');
+
+// Fractions are converted to integers with this precision (1000000 = 100%)
+const FRACTION_PRECISION = 1000000n;
+
+/**
+ * Positions Module
+ * Lists, values and closes a user's margin orders (long / short positions)
+ *
+ * Valuation simulates the close against the current orders (the position's own order is skipped),
+ * see PositionUtils for the mark value, PnL and borrow fee formulas. Price, orders and curve are
+ * read once per token and every position of that token is quoted from the same snapshot
+ */
+class PositionsModule {
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * List a user's margin orders with their current valuation
+   * @param {string|PublicKey} user - User address
+   * @param {Object} options - Optional parameters
+   * @param {string|PublicKey} options.mint - Only orders of this token
+   * @param {number} options.now - Unix timestamp used for borrow fee and time to end, default current time
+   * @param {string} options.dataSource - 'fast', 'chain' or 'auto', default sdk.defaultDataSource
+   * @returns {Promise<Array<Object>>} Positions
+   *
+   * @example
+   * const positions = await sdk.positions.list(wallet.publicKey, { mint });
+   * // Returns: [
+   * //   {
+   * //     orderPda: '59yP5tpDP6DBcyy4mge9wKKKdLmk45Th4sbd6Un9LxVN',
+   * //     mint: '4Kq51Kt48FCwdo5CeKjRVPodH1ticHa7mZ5n5gqMEy1X',
+   * //     side: 'short',
+   * //     closeTokenAmount: 32000000000000n,   // Tokens to buy back
+   * //     marginSolAmount: 1909140052n,
+   * //     markValue: 2401231234n,              // Buy-back cost with swap fee
+   * //     borrowFeeAccrued: 96000000000n,      // In tokens for short, SOL for long
+   * //     borrowFeeAccruedSol: 7203693n,
+   * //     equity: 157396230n,                  // SOL returned to the user on close
+   * //     unrealizedPnl: -1751743822n,
+   * //     timeToEnd: 86400,                    // Seconds until end_time, negative once expired
+   * //     expired: false,
+   * //     canClose: true,                      // Liquidity within MAX_ORDERS_COUNT orders is enough
+   * //     currentPrice: 13514066072452801812769n,
+   * //     order: { ... }                       // Raw order data
+   * //   }
+   * // ]
+   */
+  async list(user, options = {}) {
+    const { mint, now = Math.floor(Date.now() / 1000), dataSource } = options;
+
+    const orders = await this._fetchUserOrders(user.toString(), mint ? mint.toString() : undefined, dataSource);
+
+    const markets = this._loadMarkets(orders, dataSource);
+    return Promise.all(orders.map(order => this._valueOrder(order, now, markets.get(order.mint))));
+  }
+
+  /**
+   * Value a single order, same fields as the items returned by list()
+   * @param {Object} order - Order data from data.orders / data.user_orders / chain.order
+   * @param {Object} options - Optional parameters
+   * @param {number} options.now - Unix timestamp used for borrow fee and time to end, default current time
+   * @returns {Promise<Object>} Position valuation
+   */
+  async value(order, { now = Math.floor(Date.now() / 1000) } = {}) {
+    return this._valueOrder(order, now, this._loadMarkets([order]).get(order.mint));
+  }
+
+  /**
+   * Build the close transaction of a position, closeLong or closeShort is chosen from the order type
+   * @param {string|PublicKey} orderPda - Order PDA address
+   * @param {Object} params - Close parameters
+   * @param {number} params.fraction - Part of the position to close, (0, 1], default 1 (full close)
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key, default the order owner
+   * @param {Object} options - Same options as trading.closeLong() / closeShort()
+   * @returns {Promise<Object>} Close builder result plus `quote` and `position` (the order data)
+   *
+   * @example
+   * // Close half of the position
+   * const result = await sdk.positions.close(orderPda, { fraction: 0.5, slippageBps: 100 });
+   * await sdk.execute(result);
+   */
+  async close(orderPda, { fraction = 1, slippageBps = 100, payer } = {}, options = {}) {
+    if (typeof fraction !== 'number' || !(fraction > 0 && fraction <= 1)) {
+      throw new ValidationError('fraction must be a number in (0, 1]');
+    }
+
+    const order = await this.sdk.chain.order(orderPda);
+    const amount = this._closeTokenAmount(order, fraction);
+
+    const params = {
+      mint: order.mint,
+      closeOrder: order.order_pda,
+      slippageBps,
+      payer: payer || this.sdk._parsePublicKey(order.user)
+    };
+
+    const built = PositionUtils.isLong(order)
+      ? await this.sdk.trading.closeLongWithSlippage({ ...params, sellTokenAmount: amount }, options)
+      : await this.sdk.trading.closeShortWithSlippage({ ...params, buyTokenAmount: amount }, options);
+
+    return { ...built, position: order };
+  }
+
+  /**
+   * Preview closing a percentage of a position without building a transaction
+   * The token amount is the percentage of position_asset_amount (long) or borrow_amount (short),
+   * the expected amounts use the same field names as PartialCloseEvent / FullCloseEvent
+   * @param {string|PublicKey} orderPda - Order PDA address
+   * @param {Object} params - Preview parameters
+   * @param {number} params.percent - Percentage of the position to close, (0, 100], default 100
+   * @param {number} params.now - Unix timestamp used for the borrow fee, default current time
+   * @returns {Promise<Object>} Close preview
+   *
+   * @example
+   * const preview = await sdk.positions.previewClose(orderPda, { percent: 25 });
+   * // Returns:
+   * // {
+   * //   orderPda: '...', mint: '...', side: 'long', percent: 25,
+   * //   canClose: true, forceCloseNum: 0, currentPrice: 838769804287045666356n,
+   * //   is_close_long: true,
+   * //   isFullClose: false,
+   * //   final_token_amount: 10091742182859n,  // Tokens sold (long) or bought back (short)
+   * //   final_sol_amount: 786735803n,         // Proceeds after swap fee (long) or buy-back cost with swap fee (short)
+   * //   user_close_profit: 284235803n,        // SOL returned to the user
+   * //   borrowFeeSol: 2500000n,
+   * //   remainingTokenAmount: 30275226548578n,
+   * //   order: { ... }
+   * // }
+   */
+  async previewClose(orderPda, { percent = 100, now = Math.floor(Date.now() / 1000) } = {}) {
+    const order = await this.sdk.chain.order(orderPda);
+    const amount = this._closeTokenAmount(order, this._percentToFraction(percent));
+
+    const [simulation, curve] = await Promise.all([
+      PositionUtils.isLong(order)
+        ? this.sdk.simulator.simulateTokenSell(order.mint, amount, order.order_pda)
+        : this.sdk.simulator.simulateTokenBuy(order.mint, amount, order.order_pda),
+      this.sdk.chain.getCurveAccount(order.mint)
+    ]);
+
+    if (!simulation.success) {
+      throw new Error(`Close simulation failed: ${simulation.errorMessage}`);
+    }
+    if (!simulation.data.canComplete) {
+      throw new Error(`Insufficient liquidity to close ${amount} tokens within ${this.sdk.MAX_ORDERS_COUNT} orders`);
+    }
+
+    return {
+      orderPda: order.order_pda,
+      mint: order.mint,
+      side: PositionUtils.isLong(order) ? 'long' : 'short',
+      percent,
+      canClose: true,
+      forceCloseNum: simulation.data.forceCloseNum,
+      currentPrice: simulation.data.currentPrice,
+      ...PositionUtils.previewClose(order, {
+        tokenAmount: amount,
+        closeSolAmount: simulation.data.solAmount,
+        swapFee: curve.swapFee,
+        now
+      }),
+      order
+    };
+  }
+
+  /**
+   * Build the close transaction for a percentage of a position, with the close preview
+   * @param {string|PublicKey} orderPda - Order PDA address
+   * @param {Object} params - Close parameters
+   * @param {number} params.percent - Percentage of the position to close, (0, 100]
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key, default the order owner
+   * @param {number} params.now - Unix timestamp used for the borrow fee, default current time
+   * @param {Object} options - Same options as trading.closeLong() / closeShort()
+   * @returns {Promise<Object>} close() result plus `preview` (same fields as previewClose())
+   *
+   * @example
+   * const result = await sdk.positions.partialClose(orderPda, { percent: 50 });
+   * console.log('Expected profit:', result.preview.user_close_profit.toString());
+   * await sdk.execute(result);
+   */
+  async partialClose(orderPda, { percent, slippageBps = 100, payer, now = Math.floor(Date.now() / 1000) } = {}, options = {}) {
+    const built = await this.close(orderPda, { fraction: this._percentToFraction(percent), slippageBps, payer }, options);
+    const { quote, position } = built;
+
+    return {
+      ...built,
+      preview: {
+        percent,
+        forceCloseNum: quote.forceCloseNum,
+        currentPrice: quote.currentPrice,
+        ...PositionUtils.previewClose(position, {
+          tokenAmount: quote.tokenAmount,
+          closeSolAmount: quote.solAmount,
+          swapFee: quote.swapFee,
+          now
+        })
+      }
+    };
+  }
+
+  /**
+   * Convert a percentage (0, 100] to a fraction (0, 1]
+   * @private
+   */
+  _percentToFraction(percent) {
+    if (typeof percent !== 'number' || !(percent > 0 && percent <= 100)) {
+      throw new ValidationError('percent must be a number in (0, 100]');
+    }
+    return percent / 100;
+  }
+
+  /**
+   * Token amount traded when closing a fraction of an order
+   * @private
+   */
+  _closeTokenAmount(order, fraction) {
+    const total = PositionUtils.closeTokenAmount(order);
+    if (fraction === 1) return total;
+
+    const amount = total * BigInt(Math.round(fraction * Number(FRACTION_PRECISION))) / FRACTION_PRECISION;
+    if (amount <= 0n) {
+      throw new ValidationError(`fraction ${fraction} of ${total} rounds to zero tokens`);
+    }
+    return amount;
+  }
+
+  /**
+   * Fetch all pages of a user's orders
+   * @private
+   */
+  async _fetchUserOrders(user, mint, dataSource) {
+    const orders = [];
+    let page = 1;
+
+    for (;;) {
+      const result = await this.sdk.data.user_orders(user, mint, dataSource ? { page, dataSource } : { page });
+      if (!result.success || !result.data || !result.data.orders) {
+        throw new Error('Unable to get user orders');
+      }
+
+      orders.push(...result.data.orders);
+      if (!result.data.has_next) break;
+      page++;
+    }
+
+    return orders;
+  }
+
+  /**
+   * Start reading each token's market once, with only the order lists its positions close into
+   * @private
+   * @returns {Map<string, Promise<Object>>} mint -> { simulator, curve }
+   */
+  _loadMarkets(orders, dataSource) {
+    const types = new Map();
+    for (const order of orders) {
+      if (!types.has(order.mint)) {
+        types.set(order.mint, new Set());
+      }
+      // Longs close by selling into down_orders, shorts by buying back from up_orders
+      types.get(order.mint).add(PositionUtils.isLong(order) ? 'down_orders' : 'up_orders');
+    }
+
+    const markets = new Map();
+    for (const [mint, mintTypes] of types) {
+      markets.set(mint, this._loadMarket(mint, mintTypes, dataSource));
+    }
+    return markets;
+  }
+
+  /**
+   * Read price, order lists and curve of a token into a snapshot simulator
+   * @private
+   */
+  async _loadMarket(mint, types, dataSource) {
+    const readOptions = dataSource ? { dataSource } : {};
+    const [price, upOrders, downOrders, curve] = await Promise.all([
+      this.sdk.data.price(mint, readOptions),
+      types.has('up_orders') ? this._fetchOrders(mint, 'up_orders', readOptions) : [],
+      types.has('down_orders') ? this._fetchOrders(mint, 'down_orders', readOptions) : [],
+      this.sdk.chain.getCurveAccount(mint)
+    ]);
+
+    return {
+      simulator: this.sdk.simulator.fromSnapshot({ price, upOrders, downOrders, curve }),
+      curve
+    };
+  }
+
+  /**
+   * The orders the simulators look at, MAX_ORDERS_COUNT + 1 tells whether the list ends
+   * @private
+   */
+  async _fetchOrders(mint, type, readOptions) {
+    const result = await this.sdk.data.orders(mint, { ...readOptions, type, limit: this.sdk.MAX_ORDERS_COUNT + 1 });
+    if (!result.success || !result.data || !result.data.orders) {
+      throw new Error(`Unable to get ${type} of ${mint}`);
+    }
+    return result.data.orders;
+  }
+
+  /**
+   * Simulate the close of an order on its token's snapshot and value it
+   * @private
+   */
+  async _valueOrder(order, now, market) {
+    const { simulator, curve } = await market;
+
+    const amount = PositionUtils.closeTokenAmount(order);
+    const simulation = PositionUtils.isLong(order)
+      ? simulator.simulateTokenSell(amount, order.order_pda)
+      : simulator.simulateTokenBuy(amount, order.order_pda);
+
+    const canClose = simulation.success && simulation.data.canComplete;
+    const valuation = PositionUtils.value(order, {
+      closeSolAmount: canClose ? simulation.data.solAmount : null,
+      swapFee: curve.swapFee,
+      now
+    });
+
+    return {
+      orderPda: order.order_pda,
+      mint: order.mint,
+      ...valuation,
+      canClose,
+      currentPrice: simulation.success ? simulation.data.currentPrice : null,
+      order
+    };
+  }
+}
+
+module.exports = PositionsModule;
@@ -1,6 +1,8 @@
 const CurveAMM = require('../utils/curve_amm');
 const { simulateLongStopLoss,simulateSellStopLoss } = require('./simulator/long_shrot_stop');
 const { simulateTokenBuy, simulateTokenSell } = require('./simulator/buy_sell_token');
+const { simulateSolBuy, simulateSolSell } = require('./simulator/buy_sell_sol');
+const SimulatorSnapshot = require('./simulator/snapshot');
 
 
 
@@ -24,10 +26,12 @@ class SimulatorModule {
      * @param {string} mint - Token address 代币地址
      * @param {bigint|string|number} buyTokenAmount - Target token amount to buy 目标购买的 Token 数量
      * @param {string} passOrder - Optional order address to skip (won't be liquidated) 可选的跳过订单地址
+     * @param {Object} options - Optional parameters 可选参数
+     * @param {boolean} options.fresh - Read price and orders past the cache, default false 跳过缓存读取价格和订单
      * @returns {Promise<Object>} Token buy simulation result 模拟结果
      */
-    async simulateTokenBuy(mint, buyTokenAmount, passOrder = null) {
-        return simulateTokenBuy.call(this, mint, buyTokenAmount, passOrder);
+    async simulateTokenBuy(mint, buyTokenAmount, passOrder = null, options = {}) {
+        return simulateTokenBuy.call(this, mint, buyTokenAmount, passOrder, options);
     }
 
     /**
@@ -35,10 +39,38 @@ class SimulatorModule {
      * @param {string} mint - Token address
      * @param {bigint|string|number} sellTokenAmount - Token amount to sell (u64 format, precision 10^6)
      * @param {string} passOrder - Optional order address to skip (won't be liquidated) 可选的跳过订单地址
+     * @param {Object} options - Optional parameters 可选参数
+     * @param {boolean} options.fresh - Read price and orders past the cache, default false 跳过缓存读取价格和订单
      * @returns {Promise<Object>} Sell analysis result
      */
-    async simulateTokenSell(mint, sellTokenAmount, passOrder = null) {
-        return simulateTokenSell.call(this, mint, sellTokenAmount, passOrder);
+    async simulateTokenSell(mint, sellTokenAmount, passOrder = null, options = {}) {
+        return simulateTokenSell.call(this, mint, sellTokenAmount, passOrder, options);
+    }
+
+    /**
+     * Simulate buy by SOL amount - calculate how many tokens the SOL can buy
+     * 模拟以 SOL 数量为输入的买入交易 - 计算指定 SOL 能买到多少 Token
+     * @param {string} mint - Token address 代币地址
+     * @param {bigint|string|number} buySolAmount - SOL amount paid to the curve, before fees (u64, precision 10^9) 投入曲线的 SOL 数量（不含手续费）
+     * @param {Object} options - Optional parameters 可选参数
+     * @param {boolean} options.fresh - Read price and orders past the cache, default false 跳过缓存读取价格和订单
+     * @returns {Promise<Object>} SOL buy simulation result 模拟结果
+     */
+    async simulateSolBuy(mint, buySolAmount, options = {}) {
+        return simulateSolBuy.call(this, mint, buySolAmount, options);
+    }
+
+    /**
+     * Simulate sell for SOL amount - calculate how many tokens must be sold to receive the SOL
+     * 模拟以 SOL 数量为目标的卖出交易 - 计算获得指定 SOL 需要卖出多少 Token
+     * @param {string} mint - Token address 代币地址
+     * @param {bigint|string|number} sellSolAmount - SOL amount received from the curve, before fees (u64, precision 10^9) 从曲线获得的 SOL 数量（不含手续费）
+     * @param {Object} options - Optional parameters 可选参数
+     * @param {boolean} options.fresh - Read price and orders past the cache, default false 跳过缓存读取价格和订单
+     * @returns {Promise<Object>} SOL sell simulation result 模拟结果
+     */
+    async simulateSolSell(mint, sellSolAmount, options = {}) {
+        return simulateSolSell.call(this, mint, sellSolAmount, options);
     }
 
     /**
@@ -67,6 +99,28 @@ class SimulatorModule {
         return simulateSellStopLoss.call(this, mint, sellTokenAmount, stopLossPrice, mintInfo, ordersData);
     }
 
+    /**
+     * Create a synchronous simulator over a state snapshot, no network requests are made
+     * 基于状态快照创建同步模拟器，不发起网络请求
+     *
+     * The returned object has simulateTokenBuy/Sell(amount, passOrder), simulateSolBuy/Sell(amount)
+     * and simulateLongStopLoss/simulateSellStopLoss(tokenAmount, stopLossPrice), without the mint argument
+     *
+     * @param {Object} snapshot - State snapshot 状态快照
+     * @param {bigint|string|null} snapshot.price - Current price, falls back to curve.price, then the initial price 当前价格
+     * @param {Array<Object>} snapshot.upOrders - up_orders in list order, sdk.data.orders() item format 做空订单
+     * @param {Array<Object>} snapshot.downOrders - down_orders in list order 做多订单
+     * @param {Object|null} snapshot.curve - Optional curve account from chain.getCurveAccount() 可选的曲线账户
+     * @returns {SimulatorSnapshot} Synchronous simulator 同步模拟器
+     *
+     * @example
+     * const sim = sdk.simulator.fromSnapshot(book.snapshot());
+     * const quotes = amounts.map(amount => sim.simulateTokenBuy(amount));
+     */
+    fromSnapshot(snapshot) {
+        return new SimulatorSnapshot(snapshot, this.sdk.MAX_ORDERS_COUNT);
+    }
+
 
 
     
@@ -0,0 +1,262 @@
+const CurveAMM = require('../../utils/curve_amm');
+const { calcLiqTokenBuy, calcLiqTokenSell } = require('./calcLiq');
+const { fetchPriceAndOrders, failedResult } = require('./utils');
+
+
+/**
+ * Simulate buy by SOL amount - calculate how many tokens the SOL can buy
+ * 模拟以 SOL 数量为输入的买入交易 - 计算指定 SOL 能买到多少 Token
+ * @param {string} mint - Token address 代币地址
+ * @param {bigint|string|number} buySolAmount - SOL amount paid to the curve, before fees (u64, precision 10^9) 投入曲线的 SOL 数量（不含手续费）
+ * @param {Object} options - 可选参数 Optional parameters
+ * @param {boolean} options.fresh - 跳过缓存读取价格和订单，默认 false Read price and orders past the cache, default false
+ * @returns {Promise<Object>} SOL buy simulation result 模拟结果
+ */
+async function simulateSolBuy(mint, buySolAmount, options = {}) {
+    return simulateSol.call(this, 'buy', mint, buySolAmount, options);
+}
+
+
+/**
+ * Simulate sell for SOL amount - calculate how many tokens must be sold to receive the SOL
+ * 模拟以 SOL 数量为目标的卖出交易 - 计算获得指定 SOL 需要卖出多少 Token
+ * @param {string} mint - Token address 代币地址
+ * @param {bigint|string|number} sellSolAmount - SOL amount received from the curve, before fees (u64, precision 10^9) 从曲线获得的 SOL 数量（不含手续费）
+ * @param {Object} options - 可选参数 Optional parameters
+ * @param {boolean} options.fresh - 跳过缓存读取价格和订单，默认 false Read price and orders past the cache, default false
+ * @returns {Promise<Object>} SOL sell simulation result 模拟结果
+ */
+async function simulateSolSell(mint, sellSolAmount, options = {}) {
+    return simulateSol.call(this, 'sell', mint, sellSolAmount, options);
+}
+
+
+/**
+ * 按 SOL 数量模拟买入/卖出的公共流程：获取价格和订单后计算 Shared flow of SOL-amount buy/sell simulation: fetch price and orders, then compute
+ *
+ * @param {string} side - 'buy' 或 'sell' 'buy' or 'sell'
+ * @param {string} mint - Token address 代币地址
+ * @param {bigint|string|number} solAmount - SOL amount SOL 数量
+ * @param {Object} options - { fresh } 读取选项 Read options
+ * @returns {Promise<Object>} { success, errorCode, errorMessage, data }
+ */
+async function simulateSol(side, mint, solAmount, options) {
+    // 参数验证 Parameter validation
+    if (!mint || typeof mint !== 'string') {
+        return failedResult('INVALID_MINT', 'Invalid mint address');
+    }
+
+    const input = parseSolInput(solAmount);
+    if (input.error) {
+        return input.error;
+    }
+
+    let currentPrice, orders;
+    try {
+        ({ currentPrice, orders } = await fetchPriceAndOrders(this.sdk, mint, side, options));
+    } catch (error) {
+        return failedResult('API_ERROR', error.message);
+    }
+
+    return quoteSol(side, currentPrice, orders, input.amount, this.sdk.MAX_ORDERS_COUNT);
+}
+
+
+/**
+ * 基于给定价格和订单同步模拟按 SOL 数量买入/卖出，不发起网络请求
+ * Synchronously simulate a SOL-amount buy/sell on the given price and orders, without network requests
+ *
+ * @param {string} side - 'buy' 或 'sell' 'buy' or 'sell'
+ * @param {bigint} currentPrice - 当前价格 Current price
+ * @param {Array<Object>} orders - 交易方向上的订单（buy 为 up_orders，sell 为 down_orders） Orders on the trade side (up_orders for buy, down_orders for sell)
+ * @param {bigint|string|number} solAmount - SOL amount SOL 数量
+ * @param {number} maxOrders - 一次处理的最大订单数 Maximum orders processed at once
+ * @returns {Object} { success, errorCode, errorMessage, data }，与 simulateSolBuy/simulateSolSell 相同 Same as simulateSolBuy/simulateSolSell
+ */
+function simulateSolWithState(side, currentPrice, orders, solAmount, maxOrders) {
+    const input = parseSolInput(solAmount);
+    if (input.error) {
+        return input.error;
+    }
+    return quoteSol(side, currentPrice, orders, input.amount, maxOrders);
+}
+
+
+/**
+ * 校验 SOL 数量 Validate the SOL amount
+ * @param {bigint|string|number} solAmount - SOL amount SOL 数量
+ * @returns {Object} { amount: bigint } 或 { error: 失败结果 } { amount: bigint } or { error: failed result }
+ */
+function parseSolInput(solAmount) {
+    let amount;
+    try {
+        amount = typeof solAmount === 'bigint' ? solAmount : BigInt(solAmount.toString());
+    } catch (error) {
+        return { error: failedResult('INVALID_AMOUNT', `Invalid SOL amount: ${error.message}`) };
+    }
+    if (amount <= 0n) {
+        return { error: failedResult('INVALID_AMOUNT', 'SOL amount must be positive') };
+    }
+    return { amount };
+}
+
+
+/**
+ * 计算按 SOL 数量买入/卖出的结果 Compute the SOL-amount buy/sell result
+ *
+ * 先沿价格间隙把 SOL 换算成 Token 数量，再用 calcLiq 按该 Token 数量复核，保证结果与 simulateTokenBuy/simulateTokenSell 一致
+ * First converts the SOL amount into a token amount along the price gaps, then checks that token amount with calcLiq,
+ * so the result matches simulateTokenBuy/simulateTokenSell
+ *
+ * @param {string} side - 'buy' 或 'sell' 'buy' or 'sell'
+ * @param {bigint} currentPrice - 当前价格 Current price
+ * @param {Array<Object>} orders - 交易方向上的订单 Orders on the trade side
+ * @param {bigint} inputAmount - 已校验的 SOL 数量 Validated SOL amount
+ * @param {number} maxOrders - 一次处理的最大订单数 Maximum orders processed at once
+ * @returns {Object} { success, errorCode, errorMessage, data }
+ */
+function quoteSol(side, currentPrice, orders, inputAmount, maxOrders) {
+    // 初始化返回结果 Initialize return result
+    const result = {
+        success: false,
+        errorCode: null,
+        errorMessage: null,
+        data: null
+    };
+
+    try {
+        const tokenAmount = side === 'buy'
+            ? solToTokenBuy(currentPrice, inputAmount, orders, maxOrders)
+            : solToTokenSell(currentPrice, inputAmount, orders, maxOrders);
+
+        // 不考虑订单的理论 Token 数量 Theoretical token amount ignoring orders
+        const ideal = side === 'buy'
+            ? CurveAMM.buyFromPriceWithSolInput(currentPrice, inputAmount)
+            : CurveAMM.sellFromPriceWithSolOutput(currentPrice, inputAmount);
+        const idealTokenAmount = ideal ? ideal[1] : 0n;
+
+        // 按换算出的 Token 数量复核 Check the converted token amount
+        let liquidity = null;
+        if (tokenAmount > 0n) {
+            const calcLiq = side === 'buy' ? calcLiqTokenBuy : calcLiqTokenSell;
+            liquidity = calcLiq(currentPrice, tokenAmount, orders, maxOrders, null);
+        }
+        const canComplete = liquidity !== null && liquidity.real_lp_sol_amount > 0n;
+
+        result.success = true;
+        result.data = {
+            inputType: 'sol',
+            inputAmount: inputAmount,
+            currentPrice: currentPrice,
+            canComplete: canComplete,
+            idealTokenAmount: idealTokenAmount,                              // 不考虑订单的理论Token数量 Theoretical tokens ignoring orders
+            tokenAmount: canComplete ? tokenAmount : 0n,                     // 买入可得/卖出需付出的Token Tokens bought (buy) or needed (sell)
+            solAmount: canComplete ? liquidity.real_lp_sol_amount : 0n,      // 该Token数量对应的SOL（不含手续费）SOL for that token amount, before fees
+            forceCloseNum: canComplete ? liquidity.force_close_num : 0,
+            hasMoreOrders: orders.length > maxOrders,
+            liquidity: liquidity
+        };
+    } catch (error) {
+        result.success = false;
+        result.errorCode = 'DATA_ERROR';
+        result.errorMessage = `Error occurred during calculation: ${error.message}`;
+    }
+
+    return result;
+}
+
+
+/**
+ * 沿做空订单之间的价格间隙把买入 SOL 换算成 Token 数量（向下取整）
+ * Convert buy SOL into a token amount along the gaps between short orders (rounded down)
+ * @param {bigint} price - 当前价格 Current price
+ * @param {bigint} solAmount - 投入的 SOL SOL input
+ * @param {Array<Object>} orders - up_orders，按 lock_lp_start_price 从小到大 up_orders, ascending lock_lp_start_price
+ * @param {number} onceMaxOrder - 一次处理的最大订单数 Maximum orders processed at once
+ * @returns {bigint} Token 数量，0n 表示流动性不足 Token amount, 0n means insufficient liquidity
+ */
+function solToTokenBuy(price, solAmount, orders, onceMaxOrder) {
+    const segments = gapSegments(price, orders, onceMaxOrder, CurveAMM.MAX_U128_PRICE);
+
+    let solLeft = solAmount;
+    let tokenSum = 0n;
+    for (const [startPrice, endPrice] of segments) {
+        if (endPrice <= startPrice) continue;
+
+        const [gapSol, gapToken] = CurveAMM.buyFromPriceToPrice(startPrice, endPrice);
+        if (gapSol >= solLeft) {
+            const [, token] = CurveAMM.buyFromPriceWithSolInput(startPrice, solLeft);
+            return tokenSum + token;
+        }
+        solLeft -= gapSol;
+        tokenSum += gapToken;
+    }
+
+    return 0n;
+}
+
+
+/**
+ * 沿做多订单之间的价格间隙把卖出 SOL 换算成 Token 数量（向上取整）
+ * Convert sell SOL into a token amount along the gaps between long orders (rounded up)
+ * @param {bigint} price - 当前价格 Current price
+ * @param {bigint} solAmount - 需要获得的 SOL SOL output
+ * @param {Array<Object>} orders - down_orders，按 lock_lp_start_price 从大到小 down_orders, descending lock_lp_start_price
+ * @param {number} onceMaxOrder - 一次处理的最大订单数 Maximum orders processed at once
+ * @returns {bigint} Token 数量，0n 表示流动性不足 Token amount, 0n means insufficient liquidity
+ */
+function solToTokenSell(price, solAmount, orders, onceMaxOrder) {
+    const segments = gapSegments(price, orders, onceMaxOrder, CurveAMM.MIN_U128_PRICE);
+
+    let solLeft = solAmount;
+    let tokenSum = 0n;
+    for (const [startPrice, endPrice] of segments) {
+        if (startPrice <= endPrice) continue;
+
+        const [gapToken, gapSol] = CurveAMM.sellFromPriceToPrice(startPrice, endPrice);
+        if (gapSol >= solLeft) {
+            const [, token] = CurveAMM.sellFromPriceWithSolOutput(startPrice, solLeft);
+            return tokenSum + token;
+        }
+        solLeft -= gapSol;
+        tokenSum += gapToken;
+    }
+
+    return 0n;
+}
+
+
+/**
+ * 列出可自由成交的价格区间 [起始价格, 结束价格]，与 calcLiq 的间隙划分一致
+ * List the freely tradable price ranges [startPrice, endPrice], same gaps as calcLiq
+ * @param {bigint} price - 当前价格 Current price
+ * @param {Array<Object>} orders - 订单列表 Order list
+ * @param {number} onceMaxOrder - 一次处理的最大订单数 Maximum orders processed at once
+ * @param {bigint} limitPrice - 链表结束后的极限价格 Limit price after the list ends
+ * @returns {Array<Array<bigint>>} 价格区间 Price ranges
+ */
+function gapSegments(price, orders, onceMaxOrder, limitPrice) {
+    const segments = [];
+    const loopCount = Math.min(orders.length, onceMaxOrder);
+
+    let startPrice = price;
+    for (let i = 0; i < loopCount; i++) {
+        segments.push([startPrice, BigInt(orders[i].lock_lp_start_price)]);
+        startPrice = BigInt(orders[i].lock_lp_end_price);
+    }
+
+    // 链表已结束，剩余价格区间全部可成交 List ended, the remaining range is all tradable
+    if (orders.length <= onceMaxOrder) {
+        segments.push([startPrice, limitPrice]);
+    }
+
+    return segments;
+}
+
+
+
+module.exports = {
+    simulateSolBuy,
+    simulateSolSell,
+    simulateSolWithState
+};
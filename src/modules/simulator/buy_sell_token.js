@@ -1,4 +1,5 @@
-
+const { calcLiqTokenBuy, calcLiqTokenSell } = require('./calcLiq');
+const { fetchPriceAndOrders, failedResult } = require('./utils');
 
 
 /**
@@ -7,12 +8,12 @@
  * @param {string} mint - Token address 代币地址
  * @param {bigint|string|number} buyTokenAmount - Target token amount to buy 目标购买的 Token 数量
  * @param {string} passOrder - Optional order address to skip (won't be liquidated) 可选的跳过订单地址
+ * @param {Object} options - 可选参数 Optional parameters
+ * @param {boolean} options.fresh - 跳过缓存读取价格和订单，默认 false Read price and orders past the cache, default false
  * @returns {Promise<Object>} Token buy simulation result 模拟结果
  */
-async function simulateTokenBuy(mint, buyTokenAmount, passOrder = null) {
-
-
-
+async function simulateTokenBuy(mint, buyTokenAmount, passOrder = null, options = {}) {
+    return simulateToken.call(this, 'buy', mint, buyTokenAmount, passOrder, options);
 }
 
 
@@ -21,17 +22,148 @@ async function simulateTokenBuy(mint, buyTokenAmount, passOrder = null) {
  * @param {string} mint - Token address
  * @param {bigint|string|number} sellTokenAmount - Token amount to sell (u64 format, precision 10^6)
  * @param {string} passOrder - Optional order address to skip (won't be liquidated) 可选的跳过订单地址
+ * @param {Object} options - 可选参数 Optional parameters
+ * @param {boolean} options.fresh - 跳过缓存读取价格和订单，默认 false Read price and orders past the cache, default false
 * @returns {Promise<Object>} Sell analysis result
  */
-async function simulateTokenSell(mint, sellTokenAmount, passOrder = null) {
+async function simulateTokenSell(mint, sellTokenAmount, passOrder = null, options = {}) {
+    return simulateToken.call(this, 'sell', mint, sellTokenAmount, passOrder, options);
+}
+
+
+/**
+ * 按 Token 数量模拟买入/卖出的公共流程 Shared flow of token-amount buy/sell simulation
+ *
+ * 买入遍历 up_orders（做空订单），卖出遍历 down_orders（做多订单），最多取合约一次能处理的订单数
+ * Buy walks up_orders (short orders), sell walks down_orders (long orders), up to the orders the program can process at once
+ *
+ * @param {string} side - 'buy' 或 'sell' 'buy' or 'sell'
+ * @param {string} mint - Token address 代币地址
+ * @param {bigint|string|number} tokenAmount - Token amount 代币数量
+ * @param {string|null} passOrder - Order address to skip 跳过的订单地址
+ * @param {Object} options - { fresh } 读取选项 Read options
+ * @returns {Promise<Object>} { success, errorCode, errorMessage, data }
+ */
+async function simulateToken(side, mint, tokenAmount, passOrder, options) {
+    // 参数验证 Parameter validation
+    if (!mint || typeof mint !== 'string') {
+        return failedResult('INVALID_MINT', 'Invalid mint address');
+    }
+
+    const input = parseTokenInput(tokenAmount, passOrder);
+    if (input.error) {
+        return input.error;
+    }
+
+    let currentPrice, orders;
+    try {
+        ({ currentPrice, orders } = await fetchPriceAndOrders(this.sdk, mint, side, options));
+    } catch (error) {
+        return failedResult('API_ERROR', error.message);
+    }
+
+    return quoteToken(side, currentPrice, orders, input.amount, passOrder, this.sdk.MAX_ORDERS_COUNT);
+}
+
+
+/**
+ * 基于给定价格和订单同步模拟按 Token 数量买入/卖出，不发起网络请求
+ * Synchronously simulate a token-amount buy/sell on the given price and orders, without network requests
+ *
+ * @param {string} side - 'buy' 或 'sell' 'buy' or 'sell'
+ * @param {bigint} currentPrice - 当前价格 Current price
+ * @param {Array<Object>} orders - 交易方向上的订单（buy 为 up_orders，sell 为 down_orders） Orders on the trade side (up_orders for buy, down_orders for sell)
+ * @param {bigint|string|number} tokenAmount - Token amount 代币数量
+ * @param {string|null} passOrder - Order address to skip 跳过的订单地址
+ * @param {number} maxOrders - 一次处理的最大订单数 Maximum orders processed at once
+ * @returns {Object} { success, errorCode, errorMessage, data }，与 simulateTokenBuy/simulateTokenSell 相同 Same as simulateTokenBuy/simulateTokenSell
+ */
+function simulateTokenWithState(side, currentPrice, orders, tokenAmount, passOrder, maxOrders) {
+    const input = parseTokenInput(tokenAmount, passOrder);
+    if (input.error) {
+        return input.error;
+    }
+    return quoteToken(side, currentPrice, orders, input.amount, passOrder, maxOrders);
+}
+
+
+/**
+ * 校验 Token 数量和跳过订单参数 Validate the token amount and pass order
+ * @param {bigint|string|number} tokenAmount - Token amount 代币数量
+ * @param {string|null} passOrder - Order address to skip 跳过的订单地址
+ * @returns {Object} { amount: bigint } 或 { error: 失败结果 } { amount: bigint } or { error: failed result }
+ */
+function parseTokenInput(tokenAmount, passOrder) {
+    let amount;
+    try {
+        amount = typeof tokenAmount === 'bigint' ? tokenAmount : BigInt(tokenAmount.toString());
+    } catch (error) {
+        return { error: failedResult('INVALID_AMOUNT', `Invalid token amount: ${error.message}`) };
+    }
+    if (amount <= 0n) {
+        return { error: failedResult('INVALID_AMOUNT', 'Token amount must be positive') };
+    }
 
+    if (passOrder !== null && typeof passOrder !== 'string') {
+        return { error: failedResult('INVALID_PASS_ORDER', 'Pass order must be a valid address string') };
+    }
 
+    return { amount };
 }
 
 
+/**
+ * 计算按 Token 数量买入/卖出的结果 Compute the token-amount buy/sell result
+ * @param {string} side - 'buy' 或 'sell' 'buy' or 'sell'
+ * @param {bigint} currentPrice - 当前价格 Current price
+ * @param {Array<Object>} orders - 交易方向上的订单 Orders on the trade side
+ * @param {bigint} inputAmount - 已校验的 Token 数量 Validated token amount
+ * @param {string|null} passOrder - Order address to skip 跳过的订单地址
+ * @param {number} maxOrders - 一次处理的最大订单数 Maximum orders processed at once
+ * @returns {Object} { success, errorCode, errorMessage, data }
+ */
+function quoteToken(side, currentPrice, orders, inputAmount, passOrder, maxOrders) {
+    // 初始化返回结果 Initialize return result
+    const result = {
+        success: false,
+        errorCode: null,
+        errorMessage: null,
+        data: null
+    };
+
+    try {
+        const calcLiq = side === 'buy' ? calcLiqTokenBuy : calcLiqTokenSell;
+        const liquidity = calcLiq(currentPrice, inputAmount, orders, maxOrders, passOrder);
+
+        // real_lp_sol_amount 为 0 表示合约一次能处理的订单范围内流动性不足
+        // real_lp_sol_amount of 0 means liquidity within the processable orders is insufficient
+        const canComplete = liquidity.real_lp_sol_amount > 0n;
+
+        result.success = true;
+        result.data = {
+            inputType: 'token',
+            inputAmount: inputAmount,
+            currentPrice: currentPrice,
+            canComplete: canComplete,
+            idealSolAmount: liquidity.ideal_lp_sol_amount, // 不考虑订单的理论SOL数量 Theoretical SOL ignoring orders
+            solAmount: liquidity.real_lp_sol_amount,       // 买入需付出/卖出可获得的SOL（不含手续费）SOL paid (buy) or received (sell), before fees
+            forceCloseNum: liquidity.force_close_num,
+            passOrderIndex: liquidity.pass_order_id >= 0 ? liquidity.pass_order_id : null,
+            hasMoreOrders: orders.length > maxOrders,
+            liquidity: liquidity
+        };
+    } catch (error) {
+        result.success = false;
+        result.errorCode = 'DATA_ERROR';
+        result.errorMessage = `Error occurred during calculation: ${error.message}`;
+    }
+
+    return result;
+}
+
 
 module.exports = {
     simulateTokenBuy,
-    simulateTokenSell
+    simulateTokenSell,
+    simulateTokenWithState
 };
-
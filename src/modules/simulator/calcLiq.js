@@ -109,7 +109,8 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
 
   try {
     const priceBigInt = BigInt(price);
-    [_, result.ideal_lp_sol_amount] = CurveAMM.buyFromPriceWithTokenOutput(priceBigInt, buyTokenAmountBigInt);
+    const [, idealSol] = CurveAMM.buyFromPriceWithTokenOutput(priceBigInt, buyTokenAmountBigInt);
+    result.ideal_lp_sol_amount = idealSol;
   } catch (error) {
     throw new Error(`流动性计算错误：理想流动性计算失败 Liquidity calculation error: Ideal liquidity calculation failed - ${error.message}`);
   }
@@ -160,6 +161,7 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
         if (gapLiquidity && Array.isArray(gapLiquidity) && gapLiquidity.length === 2) {
           const [solAmount, tokenAmount] = gapLiquidity;
 
+          let prve_free_lp_sol_amount_sum;
           try {
             prve_free_lp_sol_amount_sum = result.free_lp_sol_amount_sum; // 上次的值
             result.free_lp_sol_amount_sum += BigInt(solAmount);
@@ -171,13 +173,13 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
 
           // 计算实际使用的SOL数量 到能买到为止
           if (result.real_lp_sol_amount === 0n) {
-            if (result.free_lp_token_amount_sum > buyTokenAmountBigInt) {
+            if (result.free_lp_token_amount_sum >= buyTokenAmountBigInt) {
               // 这时间隙流动性已经够买入的了
-              // 计算最后精确需要买多少token
+              // 计算在本间隙中还需要买入的token数量 Tokens still needed inside this gap
               try {
-                const lastFreeToken = result.free_lp_token_amount_sum - buyTokenAmountBigInt;
-                const [_, lastFreeSol] = CurveAMM.buyFromPriceWithTokenOutput(startPrice, lastFreeToken)
-                result.real_lp_sol_amount += prve_free_lp_sol_amount_sum + BigInt(lastFreeSol);
+                const actualBuyAmount = buyTokenAmountBigInt - (result.free_lp_token_amount_sum - BigInt(tokenAmount));
+                const [, preciseSol] = CurveAMM.buyFromPriceWithTokenOutput(startPrice, actualBuyAmount);
+                result.real_lp_sol_amount = prve_free_lp_sol_amount_sum + preciseSol;
                 result.force_close_num = counti; // 强平订单数量
                 console.log(`间隙流动性已满足买入需求，实际使用SOL: ${result.real_lp_sol_amount}, 标记`);
               } catch (error) {
@@ -230,11 +232,12 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
           if (result.free_lp_token_amount_sum >= buyTokenAmountBigInt) {
             // 自由流动性已经够买入需求了
             try {
-              const remainingToken = result.free_lp_token_amount_sum - buyTokenAmountBigInt;
-              // 从当前价格开始计算需要多少SOL来买到精确的token数量
-              const targetPrice = i === 0 ? BigInt(price) : BigInt(orders[i - 1].lock_lp_end_price);
-              const [_, preciseSol] = CurveAMM.buyFromPriceWithTokenOutput(targetPrice, buyTokenAmountBigInt - (result.free_lp_token_amount_sum - BigInt(order.lock_lp_token_amount)));
-              result.real_lp_sol_amount = prevFreeSolSum + BigInt(preciseSol);
+              // 跳过订单之前的自由流动性已用完，剩余部分从该订单的开始价格买入
+              // Free liquidity before the skipped order is used up, the rest is bought from the order's start price
+              const targetPrice = BigInt(order.lock_lp_start_price);
+              const actualBuyAmount = buyTokenAmountBigInt - (result.free_lp_token_amount_sum - BigInt(order.lock_lp_token_amount));
+              const [, preciseSol] = CurveAMM.buyFromPriceWithTokenOutput(targetPrice, actualBuyAmount);
+              result.real_lp_sol_amount = prevFreeSolSum + preciseSol;
               result.force_close_num = counti;
               console.log(`跳过订单后流动性已满足买入需求，实际使用SOL: ${result.real_lp_sol_amount}`);
             } catch (error) {
@@ -287,17 +290,18 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
   }
 
   // 如果遍历的订单数小于等于onceMaxOrder，说明链表结束，需要计算无限流动性
-  if (orders.length <= onceMaxOrder && orders.length > 0) {
+  // 没有订单时，从当前价格开始全部是无限流动性 Without orders, the whole range from the current price is free liquidity
+  if (orders.length <= onceMaxOrder) {
     console.log('\n计算无限流动性（链表已结束）');
 
-    const lastOrder = orders[orders.length - 1];
-    if (!lastOrder || !lastOrder.lock_lp_end_price) {
+    const lastOrder = orders.length > 0 ? orders[orders.length - 1] : null;
+    if (lastOrder && !lastOrder.lock_lp_end_price) {
       throw new Error(`订单数据格式错误：最后一个订单缺少 lock_lp_end_price Order data format error: Last order missing lock_lp_end_price`);
     }
 
     let lastEndPrice, maxPrice;
     try {
-      lastEndPrice = BigInt(lastOrder.lock_lp_end_price);
+      lastEndPrice = lastOrder ? BigInt(lastOrder.lock_lp_end_price) : BigInt(price);
       maxPrice = CurveAMM.MAX_U128_PRICE;
     } catch (error) {
       throw new Error(`价格转换错误：无法转换最后订单价格或最大价格 Price conversion error: Cannot convert last order price or max price - ${error.message}`);
@@ -312,7 +316,9 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
         if (infiniteLiquidity && Array.isArray(infiniteLiquidity) && infiniteLiquidity.length === 2) {
           const [solAmount, tokenAmount] = infiniteLiquidity;
 
+          let prevFreeSolSum;
           try {
+            prevFreeSolSum = result.free_lp_sol_amount_sum;
             result.free_lp_sol_amount_sum += BigInt(solAmount);
             result.free_lp_token_amount_sum += BigInt(tokenAmount);
             result.has_infinite_lp = true;
@@ -322,13 +328,13 @@ function calcLiqTokenBuy(price, buyTokenAmount, orders, onceMaxOrder, passOrder
 
           // 进入无限流动性后 也要 , 计算实际使用的SOL数量 到能买到为止
           if (result.real_lp_sol_amount === 0n) {
-            if (result.free_lp_token_amount_sum > buyTokenAmountBigInt) {
-              // 这时间隙流动性已经够买入的了
-              // 计算最后精确需要买多少token
+            if (result.free_lp_token_amount_sum >= buyTokenAmountBigInt) {
+              // 无限流动性够买入需求了
+              // 计算在无限流动性中还需要买入的token数量 Tokens still needed inside the infinite range
               try {
-                const lastFreeToken = result.free_lp_token_amount_sum - buyTokenAmountBigInt;
-                const [_, lastFreeSol] = CurveAMM.buyFromPriceWithTokenOutput(lastEndPrice, lastFreeToken)
-                result.real_lp_sol_amount += BigInt(lastFreeSol);
+                const actualBuyAmount = buyTokenAmountBigInt - (result.free_lp_token_amount_sum - BigInt(tokenAmount));
+                const [, preciseSol] = CurveAMM.buyFromPriceWithTokenOutput(lastEndPrice, actualBuyAmount);
+                result.real_lp_sol_amount = prevFreeSolSum + preciseSol;
                 result.force_close_num = counti; // 强平订单数量
                 console.log(`无限流动性才满足买入需求，实际使用SOL: ${result.real_lp_sol_amount}, 标记`);
               } catch (error) {
@@ -468,7 +474,8 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
   // 计算理想情况下卖出能获得的SOL数量
   try {
     const priceBigInt = BigInt(price);
-    [_, result.ideal_lp_sol_amount] = CurveAMM.sellFromPriceWithTokenInput(priceBigInt, sellTokenAmountBigInt);
+    const [, idealSol] = CurveAMM.sellFromPriceWithTokenInput(priceBigInt, sellTokenAmountBigInt);
+    result.ideal_lp_sol_amount = idealSol;
   } catch (error) {
     throw new Error(`流动性计算错误：理想流动性计算失败 Liquidity calculation error: Ideal liquidity calculation failed - ${error.message}`);
   }
@@ -588,7 +595,9 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
             // 自由流动性已经够卖出需求了
             try {
               // 计算精确能获得多少SOL
-              const targetPrice = i === 0 ? BigInt(price) : BigInt(orders[i - 1].lock_lp_end_price);
+              // 跳过订单之前的自由流动性已用完，剩余部分从该订单的开始价格卖出
+              // Free liquidity before the skipped order is used up, the rest is sold from the order's start price
+              const targetPrice = BigInt(order.lock_lp_start_price);
               const actualSellAmount = sellTokenAmountBigInt - (result.free_lp_token_amount_sum - BigInt(order.lock_lp_token_amount));
               const [_, preciseSol] = CurveAMM.sellFromPriceWithTokenInput(targetPrice, actualSellAmount);
               result.real_lp_sol_amount = prevFreeSolSum + preciseSol;
@@ -641,17 +650,18 @@ function calcLiqTokenSell(price, sellTokenAmount, orders, onceMaxOrder, passOrde
   }
 
   // 如果遍历的订单数小于等于onceMaxOrder，说明链表结束，需要计算无限流动性
-  if (orders.length <= onceMaxOrder && orders.length > 0) {
+  // 没有订单时，从当前价格开始全部是无限流动性 Without orders, the whole range from the current price is free liquidity
+  if (orders.length <= onceMaxOrder) {
     console.log('\n计算无限流动性（链表已结束）');
 
-    const lastOrder = orders[orders.length - 1];
-    if (!lastOrder || !lastOrder.lock_lp_end_price) {
+    const lastOrder = orders.length > 0 ? orders[orders.length - 1] : null;
+    if (lastOrder && !lastOrder.lock_lp_end_price) {
       throw new Error(`订单数据格式错误：最后一个订单缺少 lock_lp_end_price Order data format error: Last order missing lock_lp_end_price`);
     }
 
     let lastEndPrice, minPrice;
     try {
-      lastEndPrice = BigInt(lastOrder.lock_lp_end_price);
+      lastEndPrice = lastOrder ? BigInt(lastOrder.lock_lp_end_price) : BigInt(price);
       minPrice = CurveAMM.MIN_U128_PRICE;
     } catch (error) {
       throw new Error(`价格转换错误：无法转换最后订单价格或最小价格 Price conversion error: Cannot convert last order price or min price - ${error.message}`);
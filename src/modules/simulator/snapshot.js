@@ -0,0 +1,140 @@
+const CurveAMM = require('../../utils/curve_amm');
+const { simulateTokenWithState } = require('./buy_sell_token');
+const { simulateSolWithState } = require('./buy_sell_sol');
+const { calcLongStopLoss, calcSellStopLoss } = require('./long_shrot_stop');
+const { transformOrdersData } = require('./stop_loss_utils');
+const { ValidationError } = require('../../utils/errors');
+
+
+/**
+ * 基于状态快照的同步模拟器，不发起任何网络请求
+ * Synchronous simulator over a state snapshot, without any network requests
+ *
+ * 同一个快照可以重复用于多次报价，结果只取决于快照内容，适合回测和单元测试
+ * One snapshot can be reused across many quotes, results only depend on the snapshot, suited to backtests and unit tests
+ *
+ * 结果格式与 SimulatorModule 的同名异步方法相同
+ * Results have the same format as the async methods of the same name in SimulatorModule
+ */
+class SimulatorSnapshot {
+
+    /**
+     * @param {Object} snapshot - 状态快照 State snapshot
+     * @param {bigint|string|null} snapshot.price - 当前价格，为空时取 curve.price，再为空时使用初始价格 Current price, falls back to curve.price, then the initial price
+     * @param {Array<Object>} snapshot.upOrders - up_orders（做空订单），按价格从低到高，sdk.data.orders() 的订单格式 up_orders (short orders), ascending price, sdk.data.orders() item format
+     * @param {Array<Object>} snapshot.downOrders - down_orders（做多订单），按价格从高到低 down_orders (long orders), descending price
+     * @param {Object|null} snapshot.curve - 可选的曲线账户（chain.getCurveAccount() 格式） Optional curve account (chain.getCurveAccount() format)
+     * @param {number} maxOrders - 一次处理的最大订单数 Maximum orders processed at once
+     */
+    constructor(snapshot, maxOrders) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            throw new ValidationError('快照必须是对象 Snapshot must be an object');
+        }
+
+        // 兼容 OrderBook.snapshot() 的 up_orders / down_orders 字段 Also accepts up_orders / down_orders of OrderBook.snapshot()
+        const upOrders = snapshot.upOrders || snapshot.up_orders || [];
+        const downOrders = snapshot.downOrders || snapshot.down_orders || [];
+        if (!Array.isArray(upOrders) || !Array.isArray(downOrders)) {
+            throw new ValidationError('快照订单必须是数组 Snapshot orders must be arrays');
+        }
+
+        this.curve = snapshot.curve || null;
+        this.price = resolvePrice(snapshot.price, this.curve);
+        this.upOrders = upOrders.slice();
+        this.downOrders = downOrders.slice();
+        this.maxOrders = maxOrders;
+    }
+
+    /**
+     * 模拟以 Token 数量为目标的买入 Simulate a buy of a target token amount
+     * @param {bigint|string|number} buyTokenAmount - 目标购买的 Token 数量 Target token amount to buy
+     * @param {string|null} passOrder - 可选的跳过订单地址 Optional order address to skip
+     * @returns {Object} 模拟结果 Simulation result
+     */
+    simulateTokenBuy(buyTokenAmount, passOrder = null) {
+        return simulateTokenWithState('buy', this.price, this.upOrders, buyTokenAmount, passOrder, this.maxOrders);
+    }
+
+    /**
+     * 模拟卖出指定数量的 Token Simulate a sell of a token amount
+     * @param {bigint|string|number} sellTokenAmount - 卖出的 Token 数量 Token amount to sell
+     * @param {string|null} passOrder - 可选的跳过订单地址 Optional order address to skip
+     * @returns {Object} 模拟结果 Simulation result
+     */
+    simulateTokenSell(sellTokenAmount, passOrder = null) {
+        return simulateTokenWithState('sell', this.price, this.downOrders, sellTokenAmount, passOrder, this.maxOrders);
+    }
+
+    /**
+     * 模拟以 SOL 数量为输入的买入 Simulate a buy with a SOL amount
+     * @param {bigint|string|number} buySolAmount - 投入曲线的 SOL 数量（不含手续费） SOL paid to the curve, before fees
+     * @returns {Object} 模拟结果 Simulation result
+     */
+    simulateSolBuy(buySolAmount) {
+        return simulateSolWithState('buy', this.price, this.upOrders, buySolAmount, this.maxOrders);
+    }
+
+    /**
+     * 模拟以 SOL 数量为目标的卖出 Simulate a sell for a SOL amount
+     * @param {bigint|string|number} sellSolAmount - 从曲线获得的 SOL 数量（不含手续费） SOL received from the curve, before fees
+     * @returns {Object} 模拟结果 Simulation result
+     */
+    simulateSolSell(sellSolAmount) {
+        return simulateSolWithState('sell', this.price, this.downOrders, sellSolAmount, this.maxOrders);
+    }
+
+    /**
+     * 计算做多止损价格 Calculate the long stop loss price
+     * @param {bigint|string|number} buyTokenAmount - 做多买入的 Token 数量 Token amount to buy for long position
+     * @param {bigint|string|number} stopLossPrice - 期望的止损价格 Desired stop loss price
+     * @returns {Object} 止损分析结果 Stop loss analysis result
+     * @throws {Error} 参数缺失或找不到可执行的止损价格 Missing parameters or no executable stop loss price
+     */
+    simulateLongStopLoss(buyTokenAmount, stopLossPrice) {
+        if (!buyTokenAmount || !stopLossPrice) {
+            throw new Error('Missing required parameters');
+        }
+        const downOrders = transformOrdersData({ success: true, data: { orders: this.downOrders } });
+        return calcLongStopLoss(this.price, downOrders, buyTokenAmount, stopLossPrice);
+    }
+
+    /**
+     * 计算做空止损价格 Calculate the short stop loss price
+     * @param {bigint|string|number} sellTokenAmount - 做空卖出的 Token 数量 Token amount to sell for short position
+     * @param {bigint|string|number} stopLossPrice - 期望的止损价格 Desired stop loss price
+     * @returns {Object} 止损分析结果 Stop loss analysis result
+     * @throws {Error} 参数缺失或找不到可执行的止损价格 Missing parameters or no executable stop loss price
+     */
+    simulateSellStopLoss(sellTokenAmount, stopLossPrice) {
+        if (!sellTokenAmount || !stopLossPrice) {
+            throw new Error('Missing required parameters');
+        }
+        const upOrders = transformOrdersData({ success: true, data: { orders: this.upOrders } });
+        return calcSellStopLoss(this.price, upOrders, sellTokenAmount, stopLossPrice);
+    }
+}
+
+
+/**
+ * 解析快照价格，与在线模拟一致：为空或为 0 时使用初始价格
+ * Resolve the snapshot price like the online simulation: empty or 0 falls back to the initial price
+ * @param {bigint|string|number|null} price - 快照价格 Snapshot price
+ * @param {Object|null} curve - 曲线账户 Curve account
+ * @returns {bigint} 当前价格 Current price
+ */
+function resolvePrice(price, curve) {
+    let value = price;
+    if ((value === null || value === undefined) && curve && curve.price !== undefined) {
+        value = curve.price;
+    }
+    if (value === null || value === undefined) {
+        return CurveAMM.getInitialPrice();
+    }
+
+    const currentPrice = typeof value === 'bigint' ? value : BigInt(value.toString());
+    return currentPrice === 0n ? CurveAMM.getInitialPrice() : currentPrice;
+}
+
+
+
+module.exports = SimulatorSnapshot;
@@ -1,3 +1,4 @@
+const CurveAMM = require('../../utils/curve_amm');
 
 
 // Liquidity reservation ratio - how much liquidity to reserve relative to the last locked liquidity
@@ -36,9 +37,68 @@ function absoluteValue(value) {
 
 
 
+/**
+ * 构造失败的模拟结果 Build a failed simulation result
+ * @param {string} errorCode - 错误码 Error code
+ * @param {string} errorMessage - 错误信息 Error message
+ * @returns {Object} { success: false, errorCode, errorMessage, data: null }
+ */
+function failedResult(errorCode, errorMessage) {
+    return {
+        success: false,
+        errorCode: errorCode,
+        errorMessage: errorMessage,
+        data: null
+    };
+}
+
+
+
+/**
+ * 获取当前价格和交易方向上的订单（多取一个用于判断链表是否结束）
+ * Get the current price and the orders on the trade side (one extra to know whether the list ends)
+ * @param {Object} sdk - SDK 实例 SDK instance
+ * @param {string} mint - 代币地址 Token address
+ * @param {string} side - 'buy' 取 up_orders（做空订单），'sell' 取 down_orders（做多订单） 'buy' uses up_orders (short orders), 'sell' uses down_orders (long orders)
+ * @param {Object} options - 可选参数 Optional parameters
+ * @param {boolean} options.fresh - 跳过缓存，交易边界应基于最新状态计算 Skip the cache, trade bounds should be computed from the latest state
+ * @returns {Promise<Object>} { currentPrice: bigint, orders: Array }
+ * @throws {Error} 价格或订单获取失败 Price or order request failed
+ */
+async function fetchPriceAndOrders(sdk, mint, side, { fresh = false } = {}) {
+    // 价格为空时使用初始价格 Fall back to initial price when empty
+    let currentPrice;
+    try {
+        const priceString = await sdk.data.price(mint, { fresh });
+        currentPrice = priceString && priceString !== '0' ? BigInt(priceString) : CurveAMM.getInitialPrice();
+    } catch (error) {
+        throw new Error(`Failed to get price: ${error.message}`);
+    }
+
+    let ordersData;
+    try {
+        ordersData = await sdk.data.orders(mint, {
+            type: side === 'buy' ? 'up_orders' : 'down_orders',
+            limit: sdk.MAX_ORDERS_COUNT + 1,
+            fresh
+        });
+    } catch (error) {
+        throw new Error(`Failed to get orders: ${error.message}`);
+    }
+    if (!ordersData.success || !ordersData.data || !ordersData.data.orders) {
+        throw new Error('Unable to get order info');
+    }
+
+    return { currentPrice, orders: ordersData.data.orders };
+}
+
+
+
 module.exports = {
     convertApiOrdersFormat,
     absoluteValue,
+    fetchPriceAndOrders,
+    failedResult,
     LIQUIDITY_RESERVATION,
     PRICE_ADJUSTMENT_PERCENTAGE
-};
\ No newline at end of file
+};
\ No newline at end of file
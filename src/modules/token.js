@@ -1,6 +1,11 @@
 const { PublicKey, Transaction, Keypair, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
-const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { createAssociatedTokenAccountInstruction, getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const anchor = require('@coral-xyz/anchor');
+const ComputeBudgetUtils = require('../utils/computeBudget');
+const CurveAMM = require('../utils/curve_amm');
+const MetadataUtils = require('../utils/metadataUtils');
+const MintGrinder = require('../utils/mintGrinder');
+const { ValidationError } = require('../utils/errors');
 
 /**
  * Token Module
@@ -11,6 +16,140 @@ class TokenModule {
     this.sdk = sdk;
   }
 
+  /**
+   * Generate a mint keypair whose address matches a prefix and/or suffix, for branded launches
+   *
+   * Node.js grinds with worker_threads, browsers (or workers 0) grind on the main thread in
+   * batches that keep the page responsive. Every extra character multiplies the expected
+   * attempts by about 58, so keep patterns short
+   *
+   * A match is only returned when the mint and its borrowing_curve, pool_token and pool_sol
+   * PDAs are all unused on chain, otherwise the search goes on with the remaining attempts
+   *
+   * @param {Object} params - Search parameters
+   * @param {string} params.prefix - Address prefix, default ''
+   * @param {string} params.suffix - Address suffix, default ''
+   * @param {boolean} params.caseSensitive - Case sensitive match, default true
+   * @param {number} params.maxAttempts - Maximum keypairs generated, default 10000000
+   * @param {number} params.workers - Worker threads, default CPU cores minus one in Node.js, 0 in browsers
+   * @param {Function} params.onProgress - Called with the number of attempts so far
+   * @param {boolean} params.checkAccounts - Check the mint and PDAs are unused, default true
+   * @returns {Promise<Object>} { mint: Keypair, attempts, accounts: { curveAccount, poolTokenAccount, poolSolAccount } }
+   * @throws {Error} Invalid pattern, or no unused match within maxAttempts
+   *
+   * @example
+   * const { mint } = await sdk.token.generateMint({ suffix: 'pet' });
+   * const result = await sdk.token.create({ mint, name, symbol, uri, payer: wallet.publicKey });
+   */
+  async generateMint({
+    prefix = '',
+    suffix = '',
+    caseSensitive = true,
+    maxAttempts = 10000000,
+    workers = MintGrinder.defaultWorkers(),
+    onProgress = null,
+    checkAccounts = true
+  } = {}) {
+    MintGrinder.validatePattern('prefix', prefix, caseSensitive);
+    MintGrinder.validatePattern('suffix', suffix, caseSensitive);
+    if (!prefix && !suffix) {
+      throw new ValidationError('generateMint: prefix or suffix is required');
+    }
+    if (!Number.isInteger(maxAttempts) || maxAttempts <= 0) {
+      throw new ValidationError('generateMint: maxAttempts must be a positive integer');
+    }
+
+    let attempts = 0;
+    while (attempts < maxAttempts) {
+      const result = await MintGrinder.grind({
+        prefix,
+        suffix,
+        caseSensitive,
+        maxAttempts: maxAttempts - attempts,
+        workers,
+        onProgress: onProgress ? count => onProgress(attempts + count) : null
+      });
+      attempts += result.attempts;
+      if (!result.keypair) break;
+
+      const accounts = this._mintAccounts(result.keypair.publicKey);
+      if (!checkAccounts) {
+        return { mint: result.keypair, attempts, accounts };
+      }
+
+      const infos = await this.sdk.connection.getMultipleAccountsInfo([
+        result.keypair.publicKey,
+        accounts.curveAccount,
+        accounts.poolTokenAccount,
+        accounts.poolSolAccount
+      ]);
+      if (infos.every(info => info === null)) {
+        return { mint: result.keypair, attempts, accounts };
+      }
+      console.warn(`generateMint: ${result.keypair.publicKey.toString()} or its PDAs already exist, searching on`);
+    }
+
+    throw new Error(`generateMint: no unused address matching prefix "${prefix}" suffix "${suffix}" in ${attempts} attempts`);
+  }
+
+  /**
+   * Build the off-chain metadata JSON and upload it through a storage adapter
+   * The returned uri is what create() / createAndBuy() expect
+   *
+   * A storage adapter implements `upload(content, { contentType, extension })` and resolves to the
+   * public URI of the stored content. LocalFileStorage (Node.js) writes to a directory, other adapters
+   * (IPFS, Arweave, a backend endpoint) plug in the same way
+   *
+   * @param {Object} params - Metadata fields
+   * @param {string} params.name - Token name
+   * @param {string} params.symbol - Token symbol
+   * @param {string} params.description - Description
+   * @param {string|Uint8Array} params.image - Image URI, or image bytes to upload first
+   * @param {string} params.imageType - Image MIME type, default 'image/png'
+   * @param {string} params.website - Website
+   * @param {string} params.twitter - Twitter / X link
+   * @param {string} params.telegram - Telegram link
+   * @param {Array<Object>} params.attributes - Attributes [{ trait_type, value }]
+   * @param {Object} storage - Storage adapter
+   * @returns {Promise<Object>} { uri, metadata }
+   * @throws {ValidationError} name or symbol is not a non-empty string, the storage has no upload(), or the resulting uri is not a URL.
+   *   Values over the recommended Metaplex lengths (see MetadataUtils) only log a warning, as in create()
+   *
+   * @example
+   * const { LocalFileStorage } = require('spin-sdk');
+   * const storage = new LocalFileStorage({ directory: './public/metadata', baseUrl: 'https://cdn.example.com/metadata' });
+   * const { uri } = await sdk.token.uploadMetadata({
+   *   name: 'My Token',
+   *   symbol: 'MYT',
+   *   description: 'Community token',
+   *   image: fs.readFileSync('./logo.png'),
+   *   twitter: 'https://x.com/mytoken'
+   * }, storage);
+   * const result = await sdk.token.create({ mint, name: 'My Token', symbol: 'MYT', uri, payer });
+   */
+  async uploadMetadata(params, storage) {
+    if (!storage || typeof storage.upload !== 'function') {
+      throw new ValidationError('storage must implement upload(content, options)');
+    }
+
+    // Fail on name / symbol before anything is uploaded
+    MetadataUtils.buildJson({ ...params, image: null });
+    this._warnLengths('Upload metadata', { name: params.name, symbol: params.symbol });
+
+    let image = params.image || null;
+    const imageType = params.imageType || 'image/png';
+    if (image instanceof Uint8Array) {
+      image = await storage.upload(image, { contentType: imageType, extension: imageType.split('/')[1] || 'png' });
+    }
+
+    const metadata = MetadataUtils.buildJson({ ...params, image, imageType });
+    const uri = await storage.upload(JSON.stringify(metadata), { contentType: 'application/json', extension: 'json' });
+    MetadataUtils.validateUri(uri);
+    this._warnLengths('Upload metadata', { uri });
+
+    return { uri, metadata };
+  }
+
   /**
    * Create new token
    * @param {Object} params - Creation parameters
@@ -20,6 +159,7 @@ class TokenModule {
    * @param {string} params.uri - Metadata URI
    * @param {PublicKey} params.payer - Creator public key (payer)
    * @returns {Promise<Object>} Object containing transaction, signers and account info
+   * @throws {ValidationError} name, symbol or uri is not a string
    */
   async create({ 
     mint, 
@@ -28,6 +168,13 @@ class TokenModule {
     uri, 
     payer
   }) {
+    for (const [field, value] of Object.entries({ name, symbol, uri })) {
+      if (typeof value !== 'string') {
+        throw new ValidationError(`${field} must be a string`);
+      }
+    }
+    this._warnLengths('Create', { name, symbol, uri });
+
     console.log('Token Module - Create:', { 
       mint: mint.publicKey.toString(), 
       name, 
@@ -36,32 +183,7 @@ class TokenModule {
       payer: payer.toString()
     });
     
-    // Calculate borrowing liquidity pool account address (borrowing_curve)
-    const [curveAccount] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("borrowing_curve"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
-
-    // Calculate liquidity pool token account address (pool_token)
-    const [poolTokenAccount] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("pool_token"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
-    
-    // Calculate liquidity pool SOL account address (pool_sol)
-    const [poolSolAccount] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("pool_sol"),
-        mint.publicKey.toBuffer(),
-      ],
-      this.sdk.programId
-    );
+    const { curveAccount, poolTokenAccount, poolSolAccount } = this._mintAccounts(mint.publicKey);
 
     console.log('Calculated account addresses:');
     console.log('  Borrowing liquidity pool account:', curveAccount.toString());
@@ -71,7 +193,7 @@ class TokenModule {
 
     // Validate required configuration
     if (!this.sdk.paramsAccount) {
-      throw new Error('SDK paramsAccount not configured, please provide params_account configuration during initialization');
+      throw new ValidationError('SDK paramsAccount not configured, please provide params_account configuration during initialization');
     }
 
     // Create transaction instructions
@@ -109,7 +231,167 @@ class TokenModule {
     };
   }
 
+  /**
+   * Create new token and buy its first allocation in the same transaction
+   *
+   * A fresh curve has no orders, so the quote comes from the initial price alone. The swap fee
+   * is the partner's base swap fee, read from the params account unless options.swapFee is given
+   *
+   * @param {Object} params - Creation and buy parameters
+   * @param {Keypair} params.mint - Token mint keypair
+   * @param {string} params.name - Token name
+   * @param {string} params.symbol - Token symbol
+   * @param {string} params.uri - Metadata URI
+   * @param {anchor.BN} params.buyTokenAmount - Amount of tokens to buy
+   * @param {anchor.BN} params.maxSolAmount - Maximum SOL to spend, including fees
+   * @param {PublicKey} params.payer - Creator public key (payer)
+   * @param {Object} options - Optional parameters
+   * @param {number} options.swapFee - Swap fee rate of the new curve, denominator CurveAMM.FEE_DENOMINATOR; default reads baseSwapFee from sdk.paramsAccount
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'simulate' to size from a simulation
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per CU, or 'auto' from recent fees on the curve/pool accounts
+   * @returns {Promise<Object>} Object containing transaction, signers, account info and the quote
+   * @throws {ValidationError} maxSolAmount is below the quoted SOL including the swap fee
+   *
+   * @example
+   * const mint = Keypair.generate();
+   * const result = await sdk.token.createAndBuy({
+   *   mint,
+   *   name: 'My Token',
+   *   symbol: 'MYT',
+   *   uri: 'https://example.com/metadata.json',
+   *   buyTokenAmount: new anchor.BN('10000000000000'),
+   *   maxSolAmount: new anchor.BN('500000000'),
+   *   payer: wallet.publicKey
+   * });
+   * // result.quote.totalSolAmount is the SOL spent including the swap fee
+   */
+  async createAndBuy({
+    mint,
+    name,
+    symbol,
+    uri,
+    buyTokenAmount,
+    maxSolAmount,
+    payer
+  }, options = {}) {
+    if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount)) {
+      throw new ValidationError('buyTokenAmount and maxSolAmount must be anchor.BN type');
+    }
+
+    const created = await this.create({ mint, name, symbol, uri, payer });
+
+    // Quote on the initial curve
+    const startPrice = CurveAMM.getInitialPrice();
+    const tokenAmount = BigInt(buyTokenAmount.toString());
+    const buyResult = CurveAMM.buyFromPriceWithTokenOutput(startPrice, tokenAmount);
+    if (!buyResult) {
+      throw new Error('Unable to quote buyTokenAmount on the initial curve');
+    }
+    const [endPrice, solAmount] = buyResult;
+
+    // The create instruction copies the partner's base swap fee into the new curve
+    let swapFee = options.swapFee;
+    if (swapFee === undefined || swapFee === null) {
+      swapFee = (await this.sdk.accounts.fetch('Params', this.sdk.paramsAccount)).baseSwapFee;
+    }
+    const fee = BigInt(swapFee);
+    if (fee < 0n || fee >= CurveAMM.FEE_DENOMINATOR) {
+      throw new ValidationError(`swapFee must be between 0 and ${CurveAMM.FEE_DENOMINATOR - 1n}`);
+    }
+    // The input after the fee still has to cover the curve cost (rounded up)
+    const totalSolAmount = (solAmount * CurveAMM.FEE_DENOMINATOR + CurveAMM.FEE_DENOMINATOR - fee - 1n) / (CurveAMM.FEE_DENOMINATOR - fee);
+    if (totalSolAmount > BigInt(maxSolAmount.toString())) {
+      throw new ValidationError(`maxSolAmount ${maxSolAmount.toString()} is below the quoted ${totalSolAmount} lamports including fees`);
+    }
+
+    const createIx = created.transaction.instructions[0];
+    const { curveAccount, poolTokenAccount, poolSolAccount } = created.accounts;
+
+    // The mint is new, so the payer's token account does not exist yet
+    const userTokenAccount = getAssociatedTokenAddressSync(mint.publicKey, payer);
+    const createAtaIx = createAssociatedTokenAccountInstruction(
+      payer,
+      userTokenAccount,
+      payer,
+      mint.publicKey,
+      TOKEN_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+
+    // No orders: lp pairs cover the whole curve and every order account is empty
+    const lpPairs = this.sdk.buildLpPairs([], 'up_orders', startPrice, this.sdk.MAX_ORDERS_COUNT);
+    const orderAccountsParams = {};
+    for (let i = 0; i < this.sdk.MAX_ORDERS_COUNT; i++) {
+      orderAccountsParams[`order${i}`] = null;
+    }
+
+    const buyIx = await this.sdk.program.methods
+      .buy(lpPairs, buyTokenAmount, maxSolAmount)
+      .accounts({
+        payer: payer,
+        mintAccount: mint.publicKey,
+        curveAccount: curveAccount,
+        poolTokenAccount: poolTokenAccount,
+        poolSolAccount: poolSolAccount,
+        userTokenAccount: userTokenAccount,
+        tokenProgram: TOKEN_PROGRAM_ID,
+        systemProgram: SystemProgram.programId,
+        rent: SYSVAR_RENT_PUBKEY,
+        associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+        feeRecipientAccount: this.sdk.feeRecipient,
+        baseFeeRecipientAccount: this.sdk.baseFeeRecipient,
+        ...orderAccountsParams
+      })
+      .instruction();
+
+    const computeBudgetIxs = await ComputeBudgetUtils.buildInstructions(this.sdk.connection, {
+      instructions: [createIx, createAtaIx, buyIx],
+      payer,
+      writableAccounts: [curveAccount, poolTokenAccount, poolSolAccount]
+    }, options);
+
+    const transaction = new Transaction();
+    transaction.add(...computeBudgetIxs, createIx, createAtaIx, buyIx);
+
+    return {
+      transaction,
+      signers: created.signers, // mint keypair, the buy only needs the payer
+      accounts: {
+        ...created.accounts,
+        userTokenAccount
+      },
+      quote: {
+        startPrice,
+        endPrice,
+        tokenAmount,
+        solAmount,                           // SOL paid to the curve, before fees
+        swapFee: Number(swapFee),            // Fee rate, denominator CurveAMM.FEE_DENOMINATOR
+        feeAmount: totalSolAmount - solAmount,
+        totalSolAmount                       // solAmount + feeAmount, checked against maxSolAmount
+      }
+    };
+  }
+
+  /**
+   * The program declares no length limits, the Metaplex ones are only reported
+   * @private
+   */
+  _warnLengths(method, fields) {
+    for (const warning of MetadataUtils.lengthWarnings(fields)) {
+      console.warn(`Token Module - ${method}: ${warning}`);
+    }
+  }
 
+  /**
+   * PDAs created by the create instruction for a mint
+   * @private
+   */
+  _mintAccounts(mint) {
+    const [curveAccount] = PublicKey.findProgramAddressSync([Buffer.from('borrowing_curve'), mint.toBuffer()], this.sdk.programId);
+    const [poolTokenAccount] = PublicKey.findProgramAddressSync([Buffer.from('pool_token'), mint.toBuffer()], this.sdk.programId);
+    const [poolSolAccount] = PublicKey.findProgramAddressSync([Buffer.from('pool_sol'), mint.toBuffer()], this.sdk.programId);
+    return { curveAccount, poolTokenAccount, poolSolAccount };
+  }
 }
 
 module.exports = TokenModule;
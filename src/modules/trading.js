@@ -1,6 +1,20 @@
-const { ComputeBudgetProgram, PublicKey, Transaction, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
+const { PublicKey, Transaction, TransactionMessage, VersionedTransaction, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
 const { createAssociatedTokenAccountInstruction, getAssociatedTokenAddress, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const anchor = require('@coral-xyz/anchor');
+const ComputeBudgetUtils = require('../utils/computeBudget');
+const CurveAMM = require('../utils/curve_amm');
+const { ValidationError } = require('../utils/errors');
+
+// Basis points denominator used by slippage tolerance (10000 = 100%)
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * BigInt division rounded up
+ * @private
+ */
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
 
 /**
  * Trading Module
@@ -19,7 +33,11 @@ class TradingModule {
    * @param {anchor.BN} params.maxSolAmount - Maximum SOL to spend
    * @param {PublicKey} params.payer - Payer public key
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'simulate' to size from a simulation
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per CU, or 'auto' from recent fees on the curve/pool accounts
+   * @param {boolean} options.versioned - Build a v0 VersionedTransaction, default false
+   * @param {boolean|string|PublicKey|AddressLookupTableAccount} options.lookupTable - Lookup table for the v0 message, true for the table registered for the mint (implies versioned)
+   * @param {boolean} options.fresh - Read price and orders past the cache, default true
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    * 
    * @example
@@ -31,21 +49,20 @@ class TradingModule {
    * });
    */
   async buy({ mintAccount, buyTokenAmount, maxSolAmount, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
-
     // 1. Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
 
     if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount)) {
-      throw new Error('buyTokenAmount and maxSolAmount must be anchor.BN type');
+      throw new ValidationError('buyTokenAmount and maxSolAmount must be anchor.BN type');
     }
 
-    const currentPrice = await this.sdk.data.price(mintAccount);
+    const currentPrice = await this.sdk.data.price(mintAccount, { fresh: options.fresh !== false });
 
     // 2. Get orders data
     const ordersData = await this.sdk.data.orders(mint.toString(), {
       type: 'up_orders',
-      limit: this.sdk.MAX_ORDERS_COUNT + 1
+      limit: this.sdk.MAX_ORDERS_COUNT + 1,
+      fresh: options.fresh !== false
     });
 
     // 3. Build transaction data
@@ -79,10 +96,6 @@ class TradingModule {
 
     // 8. 构建交易指令
 
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
-    });
-
     const buyIx = await this.sdk.program.methods
       .buy(lpPairs, buyTokenAmount, maxSolAmount)
       .accounts({
@@ -103,15 +116,9 @@ class TradingModule {
       .instruction();
 
     // 9. Create transaction and add instructions
-    const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    const computeBudgetIxs = await this._buildComputeBudgetIxs([createAtaIx, buyIx], payer, accounts, options);
 
-    // If user token account doesn't exist, create it first
-    if (createAtaIx) {
-      transaction.add(createAtaIx);
-    }
-
-    transaction.add(buyIx);
+    const transaction = await this._buildTransaction([...computeBudgetIxs, createAtaIx, buyIx], payer, mint, options);
 
     // 9. Return transaction object and related info
     return {
@@ -144,7 +151,11 @@ class TradingModule {
    * @param {anchor.BN} params.minSolOutput - Minimum SOL output
    * @param {PublicKey} params.payer - Payer public key
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'simulate' to size from a simulation
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per CU, or 'auto' from recent fees on the curve/pool accounts
+   * @param {boolean} options.versioned - Build a v0 VersionedTransaction, default false
+   * @param {boolean|string|PublicKey|AddressLookupTableAccount} options.lookupTable - Lookup table for the v0 message, true for the table registered for the mint (implies versioned)
+   * @param {boolean} options.fresh - Read price and orders past the cache, default true
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    * 
    * @example
@@ -156,21 +167,20 @@ class TradingModule {
    * });
    */
   async sell({ mintAccount, sellTokenAmount, minSolOutput, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
-
     // 1. 参数验证和转换
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
 
     if (!anchor.BN.isBN(sellTokenAmount) || !anchor.BN.isBN(minSolOutput)) {
-      throw new Error('sellTokenAmount and minSolOutput must be anchor.BN type');
+      throw new ValidationError('sellTokenAmount and minSolOutput must be anchor.BN type');
     }
 
-    const currentPrice = await this.sdk.data.price(mintAccount);
+    const currentPrice = await this.sdk.data.price(mintAccount, { fresh: options.fresh !== false });
 
     // 2. Get orders data (sell uses long orders)
     const ordersData = await this.sdk.data.orders(mint.toString(), {
       type: 'down_orders',
-      limit: this.sdk.MAX_ORDERS_COUNT + 1
+      limit: this.sdk.MAX_ORDERS_COUNT + 1,
+      fresh: options.fresh !== false
     });
 
     // 3. Build transaction data
@@ -203,10 +213,6 @@ class TradingModule {
     const orderAccountsParams = this._buildOrderAccountsParams(orderAccounts);
 
     // 8. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
-    });
-
     const sellIx = await this.sdk.program.methods
       .sell(lpPairs, sellTokenAmount, minSolOutput)
       .accounts({
@@ -227,15 +233,9 @@ class TradingModule {
       .instruction();
 
     // 9. Create transaction and add instructions
-    const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
+    const computeBudgetIxs = await this._buildComputeBudgetIxs([createAtaIx, sellIx], payer, accounts, options);
 
-    // If user token account doesn't exist, create it first
-    if (createAtaIx) {
-      transaction.add(createAtaIx);
-    }
-
-    transaction.add(sellIx);
+    const transaction = await this._buildTransaction([...computeBudgetIxs, createAtaIx, sellIx], payer, mint, options);
 
     // 9. Return transaction object and related info
     return {
@@ -268,7 +268,11 @@ class TradingModule {
    * @param {anchor.BN} params.closePrice - Close price
    * @param {PublicKey} params.payer - Payer public key
    * @param {Object} options - Optional parameters
-   * @param {number} options.computeUnits - Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - Compute units limit, default 1400000, or 'simulate' to size from a simulation
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per CU, or 'auto' from recent fees on the curve/pool accounts
+   * @param {boolean} options.versioned - Build a v0 VersionedTransaction, default false
+   * @param {boolean|string|PublicKey|AddressLookupTableAccount} options.lookupTable - Lookup table for the v0 message, true for the table registered for the mint (implies versioned)
+   * @param {boolean} options.fresh - Read price and orders past the cache, default true
    * @returns {Promise<Object>} Object containing transaction, signers and account info
    * 
    * @example
@@ -282,21 +286,20 @@ class TradingModule {
    * });
    */
   async long({ mintAccount, buyTokenAmount, maxSolAmount, marginSol, closePrice, prevOrder, nextOrder, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
-
     // 1. 参数验证和转换
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
 
     if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount) ||
       !anchor.BN.isBN(marginSol) || !anchor.BN.isBN(closePrice)) {
-      throw new Error('All parameters must be anchor.BN type');
+      throw new ValidationError('All parameters must be anchor.BN type');
     }
-    const currentPrice = await this.sdk.data.price(mintAccount);
+    const currentPrice = await this.sdk.data.price(mintAccount, { fresh: options.fresh !== false });
 
     // 2. Get orders data (long uses short orders)
     const ordersData = await this.sdk.data.orders(mint.toString(), {
       type: 'up_orders',
-      limit: this.sdk.MAX_ORDERS_COUNT + 1
+      limit: this.sdk.MAX_ORDERS_COUNT + 1,
+      fresh: options.fresh !== false
     });
 
     // 3. Build transaction data
@@ -329,10 +332,6 @@ class TradingModule {
     // const nextOrder = null; // Can calculate as needed
 
     // 9. Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
-    });
-
     const longIx = await this.sdk.program.methods
       .long(
         uniqueSeed,
@@ -362,9 +361,9 @@ class TradingModule {
       .instruction();
 
     // 10. Create transaction and add instructions
-    const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
-    transaction.add(longIx);
+    const computeBudgetIxs = await this._buildComputeBudgetIxs([longIx], payer, accounts, options);
+
+    const transaction = await this._buildTransaction([...computeBudgetIxs, longIx], payer, mint, options);
 
     // 11. Return transaction object and related info
     return {
@@ -402,7 +401,11 @@ class TradingModule {
    * @param {PublicKey|null} params.nextOrder - 下一个订单 / Next order
    * @param {PublicKey} params.payer - 支付者公钥 / Payer public key
    * @param {Object} options - 可选参数 / Optional parameters
-   * @param {number} options.computeUnits - 计算单元限制，默认 1400000 / Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - 计算单元限制，默认 1400000 / Compute units limit, default 1400000, or 'simulate' to size from a simulation
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per CU, or 'auto' from recent fees on the curve/pool accounts
+   * @param {boolean} options.versioned - Build a v0 VersionedTransaction, default false
+   * @param {boolean|string|PublicKey|AddressLookupTableAccount} options.lookupTable - Lookup table for the v0 message, true for the table registered for the mint (implies versioned)
+   * @param {boolean} options.fresh - Read price and orders past the cache, default true
    * @returns {Promise<Object>} 包含交易对象、签名者和账户信息的对象 / Object containing transaction, signers and account info
    * 
    * @example
@@ -418,21 +421,20 @@ class TradingModule {
    * });
    */
   async short({ mintAccount, borrowSellTokenAmount, minSolOutput, marginSol, closePrice, prevOrder, nextOrder, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
-
     // 1. 参数验证和转换 / Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
 
     if (!anchor.BN.isBN(borrowSellTokenAmount) || !anchor.BN.isBN(minSolOutput) ||
       !anchor.BN.isBN(marginSol) || !anchor.BN.isBN(closePrice)) {
-      throw new Error('所有参数必须是 anchor.BN 类型 / All parameters must be anchor.BN type');
+      throw new ValidationError('所有参数必须是 anchor.BN 类型 / All parameters must be anchor.BN type');
     }
-    const currentPrice = await this.sdk.data.price(mintAccount);
+    const currentPrice = await this.sdk.data.price(mintAccount, { fresh: options.fresh !== false });
 
     // 2. 获取订单数据（做空使用做多订单）/ Get orders data (short uses long orders)
     const ordersData = await this.sdk.data.orders(mint.toString(), {
       type: 'down_orders',
-      limit: this.sdk.MAX_ORDERS_COUNT + 1
+      limit: this.sdk.MAX_ORDERS_COUNT + 1,
+      fresh: options.fresh !== false
     });
 
     // 3. 构建交易数据 / Build transaction data
@@ -468,10 +470,6 @@ class TradingModule {
     );
 
     // 9. 构建交易指令 / Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
-    });
-
     const shortIx = await this.sdk.program.methods
       .short(
         uniqueSeed,
@@ -502,9 +500,9 @@ class TradingModule {
       .instruction();
 
     // 10. 创建交易并添加指令 / Create transaction and add instructions
-    const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
-    transaction.add(shortIx);
+    const computeBudgetIxs = await this._buildComputeBudgetIxs([shortIx], payer, accounts, options);
+
+    const transaction = await this._buildTransaction([...computeBudgetIxs, shortIx], payer, mint, options);
 
     // 11. 返回交易对象和相关信息 / Return transaction object and related info
     return {
@@ -541,7 +539,11 @@ class TradingModule {
    * @param {anchor.BN} params.minSolOutput - 卖出后最少得到的sol数量 / Minimum SOL output after selling
    * @param {PublicKey} params.payer - 支付者公钥 / Payer public key
    * @param {Object} options - 可选参数 / Optional parameters
-   * @param {number} options.computeUnits - 计算单元限制，默认1400000 / Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - 计算单元限制，默认1400000 / Compute units limit, default 1400000, or 'simulate' to size from a simulation
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per CU, or 'auto' from recent fees on the curve/pool accounts
+   * @param {boolean} options.versioned - Build a v0 VersionedTransaction, default false
+   * @param {boolean|string|PublicKey|AddressLookupTableAccount} options.lookupTable - Lookup table for the v0 message, true for the table registered for the mint (implies versioned)
+   * @param {boolean} options.fresh - Read price and orders past the cache, default true
    * @returns {Promise<Object>} 包含交易对象、签名者和账户信息的对象 / Object containing transaction, signers and account info
    * 
    * @example
@@ -562,24 +564,23 @@ class TradingModule {
    * });
    */
   async closeLong({ mintAccount, closeOrder, lpPairs, sellTokenAmount, minSolOutput, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
-
     // 1. 参数验证和转换 / Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
     const closeOrderPubkey = typeof closeOrder === 'string' ? new PublicKey(closeOrder) : closeOrder;
 
     if (!anchor.BN.isBN(sellTokenAmount) || !anchor.BN.isBN(minSolOutput)) {
-      throw new Error('sellTokenAmount 和 minSolOutput 必须是 anchor.BN 类型 / sellTokenAmount and minSolOutput must be anchor.BN type');
+      throw new ValidationError('sellTokenAmount 和 minSolOutput 必须是 anchor.BN 类型 / sellTokenAmount and minSolOutput must be anchor.BN type');
     }
 
     if (!Array.isArray(lpPairs)) {
-      throw new Error('lpPairs 必须是数组 / lpPairs must be an array');
+      throw new ValidationError('lpPairs 必须是数组 / lpPairs must be an array');
     }
 
     // 2. 获取订单数据以便查找前后节点 / Get orders data to find prev/next nodes
     const ordersData = await this.sdk.data.orders(mint.toString(), {
       type: 'down_orders',
-      limit: this.sdk.FIND_MAX_ORDERS_COUNT
+      limit: this.sdk.FIND_MAX_ORDERS_COUNT,
+      fresh: options.fresh !== false
     });
 
     // 3. 使用 findPrevNext 查找前后订单 / Use findPrevNext to find prev/next orders
@@ -600,10 +601,6 @@ class TradingModule {
     const orderAccountsParams = this._buildOrderAccountsParams(orderAccounts);
 
     // 7. 构建交易指令 / Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
-    });
-
     const closeLongIx = await this.sdk.program.methods
       .closeLong(
         lpPairs,           // lp_pairs: LP配对数组 / LP pairs array
@@ -630,9 +627,9 @@ class TradingModule {
       .instruction();
 
     // 8. 创建交易并添加指令 / Create transaction and add instructions
-    const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
-    transaction.add(closeLongIx);
+    const computeBudgetIxs = await this._buildComputeBudgetIxs([closeLongIx], payer, accounts, options);
+
+    const transaction = await this._buildTransaction([...computeBudgetIxs, closeLongIx], payer, mint, options);
 
     // 9. 返回交易对象和相关信息 / Return transaction object and related info
     return {
@@ -670,7 +667,11 @@ class TradingModule {
    * @param {anchor.BN} params.maxSolAmount - 愿意给出的最大sol数量 Maximum SOL amount to spend
    * @param {PublicKey} params.payer - 支付者公钥 Payer public key
    * @param {Object} options - 可选参数 Optional parameters
-   * @param {number} options.computeUnits - 计算单元限制，默认1400000 Compute units limit, default 1400000
+   * @param {number|string} options.computeUnits - 计算单元限制，默认1400000 Compute units limit, default 1400000, or 'simulate' to size from a simulation
+   * @param {number|string} options.priorityFee - Priority fee in micro-lamports per CU, or 'auto' from recent fees on the curve/pool accounts
+   * @param {boolean} options.versioned - Build a v0 VersionedTransaction, default false
+   * @param {boolean|string|PublicKey|AddressLookupTableAccount} options.lookupTable - Lookup table for the v0 message, true for the table registered for the mint (implies versioned)
+   * @param {boolean} options.fresh - Read price and orders past the cache, default true
    * @returns {Promise<Object>} 包含交易对象、签名者和账户信息的对象 Object containing transaction, signers and account info
    * 
    * @example
@@ -691,24 +692,23 @@ class TradingModule {
    * });
    */
   async closeShort({ mintAccount, closeOrder, lpPairs, buyTokenAmount, maxSolAmount, payer }, options = {}) {
-    const { computeUnits = 1400000 } = options;
-
     // 1. 参数验证和转换 Parameter validation and conversion
     const mint = typeof mintAccount === 'string' ? new PublicKey(mintAccount) : mintAccount;
     const closeOrderPubkey = typeof closeOrder === 'string' ? new PublicKey(closeOrder) : closeOrder;
 
     if (!anchor.BN.isBN(buyTokenAmount) || !anchor.BN.isBN(maxSolAmount)) {
-      throw new Error('buyTokenAmount 和 maxSolAmount 必须是 anchor.BN 类型 buyTokenAmount and maxSolAmount must be anchor.BN type');
+      throw new ValidationError('buyTokenAmount 和 maxSolAmount 必须是 anchor.BN 类型 buyTokenAmount and maxSolAmount must be anchor.BN type');
     }
 
     if (!Array.isArray(lpPairs)) {
-      throw new Error('lpPairs 必须是数组 lpPairs must be an array');
+      throw new ValidationError('lpPairs 必须是数组 lpPairs must be an array');
     }
 
     // 2. 获取订单数据以便查找前后节点 Get orders data to find prev/next nodes
     const ordersData = await this.sdk.data.orders(mint.toString(), {
       type: 'up_orders',
-      limit: this.sdk.FIND_MAX_ORDERS_COUNT
+      limit: this.sdk.FIND_MAX_ORDERS_COUNT,
+      fresh: options.fresh !== false
     });
 
     // 3. 使用 findPrevNext 查找前后订单 Use findPrevNext to find prev/next orders
@@ -748,10 +748,6 @@ class TradingModule {
       : null;
 
     // 9. 构建交易指令 Build transaction instructions
-    const modifyComputeUnits = ComputeBudgetProgram.setComputeUnitLimit({
-      units: computeUnits
-    });
-
     const closeShortIx = await this.sdk.program.methods
       .closeShort(
         lpPairs,           // lp_pairs: LP配对数组 LP pairs array
@@ -780,15 +776,9 @@ class TradingModule {
       .instruction();
 
     // 10. 创建交易并添加指令 Create transaction and add instructions
-    const transaction = new Transaction();
-    transaction.add(modifyComputeUnits);
-
-    // 如果用户代币账户不存在，先创建账户 If user token account doesn't exist, create it first
-    if (createAtaIx) {
-      transaction.add(createAtaIx);
-    }
+    const computeBudgetIxs = await this._buildComputeBudgetIxs([createAtaIx, closeShortIx], payer, accounts, options);
 
-    transaction.add(closeShortIx);
+    const transaction = await this._buildTransaction([...computeBudgetIxs, createAtaIx, closeShortIx], payer, mint, options);
 
     // 11. 返回交易对象和相关信息 Return transaction object and related info
     return {
@@ -817,6 +807,411 @@ class TradingModule {
     };
   }
 
+  /**
+   * Buy tokens with slippage tolerance
+   * maxSolAmount is derived from simulator.simulateTokenBuy plus the curve swap fee and slippage
+   * @param {Object} params - Buy parameters
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {anchor.BN|bigint|string|number} params.tokenAmount - Amount of tokens to buy
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as buy()
+   * @returns {Promise<Object>} buy() result plus the `quote` used to derive maxSolAmount
+   *
+   * @example
+   * const result = await sdk.trading.buyWithSlippage({
+   *   mint: "HZBos3RNhExDcAtzmdKXhTd4sVcQFBiT3FDBgmBBMk7",
+   *   tokenAmount: new anchor.BN("1000000000"),
+   *   slippageBps: 50,
+   *   payer: wallet.publicKey
+   * });
+   * console.log('Max SOL:', result.quote.maxSolAmount.toString());
+   */
+  async buyWithSlippage({ mint, tokenAmount, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteWithSlippage('buy', mint, tokenAmount, slippageBps, null, options);
+
+    const built = await this.buy({
+      mintAccount: mint,
+      buyTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      maxSolAmount: new anchor.BN(quote.maxSolAmount.toString()),
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * Sell tokens with slippage tolerance
+   * minSolOutput is derived from simulator.simulateTokenSell minus the curve swap fee and slippage
+   * @param {Object} params - Sell parameters
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {anchor.BN|bigint|string|number} params.tokenAmount - Amount of tokens to sell
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as sell()
+   * @returns {Promise<Object>} sell() result plus the `quote` used to derive minSolOutput
+   */
+  async sellWithSlippage({ mint, tokenAmount, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteWithSlippage('sell', mint, tokenAmount, slippageBps, null, options);
+
+    const built = await this.sell({
+      mintAccount: mint,
+      sellTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      minSolOutput: new anchor.BN(quote.minSolOutput.toString()),
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * Margin long with slippage tolerance
+   * maxSolAmount is derived the same way as buyWithSlippage()
+   * @param {Object} params - Long parameters, same as long() with `mint` and `tokenAmount`
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {anchor.BN|bigint|string|number} params.tokenAmount - Amount of tokens to buy
+   * @param {anchor.BN} params.marginSol - Margin amount
+   * @param {anchor.BN} params.closePrice - Close price
+   * @param {PublicKey|null} params.prevOrder - Previous order
+   * @param {PublicKey|null} params.nextOrder - Next order
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as long()
+   * @returns {Promise<Object>} long() result plus the `quote` used to derive maxSolAmount
+   */
+  async longWithSlippage({ mint, tokenAmount, marginSol, closePrice, prevOrder, nextOrder, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteWithSlippage('buy', mint, tokenAmount, slippageBps, null, options);
+
+    const built = await this.long({
+      mintAccount: mint,
+      buyTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      maxSolAmount: new anchor.BN(quote.maxSolAmount.toString()),
+      marginSol,
+      closePrice,
+      prevOrder,
+      nextOrder,
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * Margin short with slippage tolerance
+   * minSolOutput is derived the same way as sellWithSlippage()
+   * @param {Object} params - Short parameters, same as short() with `mint` and `tokenAmount`
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {anchor.BN|bigint|string|number} params.tokenAmount - Amount of borrowed tokens to sell
+   * @param {anchor.BN} params.marginSol - Margin amount
+   * @param {anchor.BN} params.closePrice - Close price
+   * @param {PublicKey|null} params.prevOrder - Previous order
+   * @param {PublicKey|null} params.nextOrder - Next order
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as short()
+   * @returns {Promise<Object>} short() result plus the `quote` used to derive minSolOutput
+   */
+  async shortWithSlippage({ mint, tokenAmount, marginSol, closePrice, prevOrder, nextOrder, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteWithSlippage('sell', mint, tokenAmount, slippageBps, null, options);
+
+    const built = await this.short({
+      mintAccount: mint,
+      borrowSellTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      minSolOutput: new anchor.BN(quote.minSolOutput.toString()),
+      marginSol,
+      closePrice,
+      prevOrder,
+      nextOrder,
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * Buy tokens by spending an exact SOL amount
+   * The SOL amount (fee included) is quoted into a token amount with simulator.simulateSolBuy(),
+   * the token amount is reduced by the slippage tolerance and maxSolAmount is the SOL amount itself
+   * @param {Object} params - Buy parameters
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {anchor.BN|bigint|string|number} params.solAmount - SOL to spend, swap fee included (lamports)
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as buy()
+   * @returns {Promise<Object>} buy() result plus the `quote` used to derive buyTokenAmount
+   *
+   * @example
+   * const result = await sdk.trading.buyExactSol({
+   *   mint: "HZBos3RNhExDcAtzmdKXhTd4sVcQFBiT3FDBgmBBMk7",
+   *   solAmount: new anchor.BN("100000000"), // 0.1 SOL
+   *   slippageBps: 100,
+   *   payer: wallet.publicKey
+   * });
+   * console.log('Min tokens:', result.quote.tokenAmount.toString());
+   */
+  async buyExactSol({ mint, solAmount, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteExactSol('buy', mint, solAmount, slippageBps, options);
+
+    const built = await this.buy({
+      mintAccount: mint,
+      buyTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      maxSolAmount: new anchor.BN(quote.maxSolAmount.toString()),
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * Sell tokens to receive an exact SOL amount
+   * The SOL amount (after fee) is quoted into a token amount with simulator.simulateSolSell(),
+   * the token amount is raised by the slippage tolerance and minSolOutput is the SOL amount itself
+   * @param {Object} params - Sell parameters
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {anchor.BN|bigint|string|number} params.solAmount - SOL to receive, after swap fee (lamports)
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as sell()
+   * @returns {Promise<Object>} sell() result plus the `quote` used to derive sellTokenAmount
+   */
+  async sellForExactSol({ mint, solAmount, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteExactSol('sell', mint, solAmount, slippageBps, options);
+
+    const built = await this.sell({
+      mintAccount: mint,
+      sellTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      minSolOutput: new anchor.BN(quote.minSolOutput.toString()),
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * Close a long position with slippage tolerance
+   * minSolOutput is derived like sellWithSlippage(), with the closed order skipped in the simulation,
+   * lpPairs are built from the current long orders
+   * @param {Object} params - Close parameters
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {string|PublicKey} params.closeOrder - Order address to close
+   * @param {anchor.BN|bigint|string|number} params.sellTokenAmount - Amount of position tokens to sell
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as closeLong()
+   * @returns {Promise<Object>} closeLong() result plus the `quote` used to derive minSolOutput
+   */
+  async closeLongWithSlippage({ mint, closeOrder, sellTokenAmount, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteWithSlippage('sell', mint, sellTokenAmount, slippageBps, closeOrder.toString(), options);
+    const lpPairs = await this._fetchLpPairs(mint, 'down_orders', quote.currentPrice, options);
+
+    const built = await this.closeLong({
+      mintAccount: mint,
+      closeOrder,
+      lpPairs,
+      sellTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      minSolOutput: new anchor.BN(quote.minSolOutput.toString()),
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * Close a short position with slippage tolerance
+   * maxSolAmount is derived like buyWithSlippage(), with the closed order skipped in the simulation,
+   * lpPairs are built from the current short orders
+   * @param {Object} params - Close parameters
+   * @param {string|PublicKey} params.mint - Token mint account address
+   * @param {string|PublicKey} params.closeOrder - Order address to close
+   * @param {anchor.BN|bigint|string|number} params.buyTokenAmount - Amount of borrowed tokens to buy back
+   * @param {number} params.slippageBps - Slippage tolerance in basis points, default 100 (1%)
+   * @param {PublicKey} params.payer - Payer public key
+   * @param {Object} options - Same options as closeShort()
+   * @returns {Promise<Object>} closeShort() result plus the `quote` used to derive maxSolAmount
+   */
+  async closeShortWithSlippage({ mint, closeOrder, buyTokenAmount, slippageBps = 100, payer }, options = {}) {
+    const quote = await this._quoteWithSlippage('buy', mint, buyTokenAmount, slippageBps, closeOrder.toString(), options);
+    const lpPairs = await this._fetchLpPairs(mint, 'up_orders', quote.currentPrice, options);
+
+    const built = await this.closeShort({
+      mintAccount: mint,
+      closeOrder,
+      lpPairs,
+      buyTokenAmount: new anchor.BN(quote.tokenAmount.toString()),
+      maxSolAmount: new anchor.BN(quote.maxSolAmount.toString()),
+      payer
+    }, options);
+
+    return { ...built, quote };
+  }
+
+  /**
+   * 根据模拟结果、曲线手续费和滑点计算 SOL 边界
+   * @private
+   * @param {string} side - 'buy' 或 'sell'
+   * @param {string|PublicKey} mint - 代币铸造账户
+   * @param {anchor.BN|bigint|string|number} tokenAmount - 代币数量
+   * @param {number} slippageBps - 滑点（基点）
+   * @param {string|null} passOrder - 平仓时跳过的订单（即被平仓的订单）
+   * @param {Object} options - { fresh } 读取选项，默认跳过缓存
+   * @returns {Promise<Object>} 报价对象，买入包含 maxSolAmount，卖出包含 minSolOutput
+   */
+  async _quoteWithSlippage(side, mint, tokenAmount, slippageBps, passOrder = null, options = {}) {
+    this._validateSlippageBps(slippageBps);
+    if (tokenAmount === undefined || tokenAmount === null) {
+      throw new ValidationError('tokenAmount is required');
+    }
+
+    const mintAddress = mint.toString();
+    const amount = BigInt(tokenAmount.toString());
+
+    const readOptions = { fresh: options.fresh !== false };
+    const [simulation, curve] = await Promise.all([
+      side === 'buy'
+        ? this.sdk.simulator.simulateTokenBuy(mintAddress, amount, passOrder, readOptions)
+        : this.sdk.simulator.simulateTokenSell(mintAddress, amount, passOrder, readOptions),
+      this.sdk.chain.getCurveAccount(mintAddress, readOptions)
+    ]);
+
+    if (!simulation.success) {
+      throw new Error(`${side} simulation failed: ${simulation.errorMessage}`);
+    }
+    if (!simulation.data.canComplete) {
+      throw new Error(`Insufficient liquidity to ${side} ${amount} tokens within ${this.sdk.MAX_ORDERS_COUNT} orders`);
+    }
+
+    const swapFee = BigInt(curve.swapFee);
+    const solAmount = simulation.data.solAmount;
+
+    const quote = {
+      side,
+      tokenAmount: amount,
+      currentPrice: simulation.data.currentPrice,
+      solAmount,              // SOL moved by the curve, before fees
+      swapFee: curve.swapFee, // Fee rate, denominator CurveAMM.FEE_DENOMINATOR
+      slippageBps,
+      forceCloseNum: simulation.data.forceCloseNum,
+      simulation: simulation.data
+    };
+
+    if (side === 'buy') {
+      // 买入：输入扣除手续费后仍需覆盖曲线成本（向上取整）
+      const solWithFee = ceilDiv(solAmount * CurveAMM.FEE_DENOMINATOR, CurveAMM.FEE_DENOMINATOR - swapFee);
+      quote.feeAmount = solWithFee - solAmount;
+      quote.maxSolAmount = ceilDiv(solWithFee * (BPS_DENOMINATOR + BigInt(slippageBps)), BPS_DENOMINATOR);
+    } else {
+      // 卖出：输出扣除手续费后再扣除滑点（向下取整）
+      const solAfterFee = CurveAMM.calculateAmountAfterFee(solAmount, curve.swapFee);
+      quote.feeAmount = solAmount - solAfterFee;
+      quote.minSolOutput = solAfterFee * (BPS_DENOMINATOR - BigInt(slippageBps)) / BPS_DENOMINATOR;
+    }
+
+    return quote;
+  }
+
+  /**
+   * 将指定 SOL（含手续费）换算为 Token 数量，并按滑点收紧 Token 边界
+   * @private
+   * @param {string} side - 'buy' 或 'sell'
+   * @param {string|PublicKey} mint - 代币铸造账户
+   * @param {anchor.BN|bigint|string|number} solAmount - 买入花费 / 卖出获得的 SOL（含手续费）
+   * @param {number} slippageBps - 滑点（基点）
+   * @param {Object} options - { fresh } 读取选项，默认跳过缓存
+   * @returns {Promise<Object>} 报价对象，买入包含 maxSolAmount，卖出包含 minSolOutput
+   */
+  async _quoteExactSol(side, mint, solAmount, slippageBps, options = {}) {
+    this._validateSlippageBps(slippageBps);
+    if (solAmount === undefined || solAmount === null) {
+      throw new ValidationError('solAmount is required');
+    }
+
+    const mintAddress = mint.toString();
+    const amount = BigInt(solAmount.toString());
+
+    // 手续费决定进入曲线的 SOL，需先获取 The fee decides the SOL that reaches the curve, fetch it first
+    const readOptions = { fresh: options.fresh !== false };
+    const curve = await this.sdk.chain.getCurveAccount(mintAddress, readOptions);
+    const swapFee = BigInt(curve.swapFee);
+
+    let curveSolAmount;
+    if (side === 'buy') {
+      // 买入：花费中扣除手续费后进入曲线（向下取整）
+      curveSolAmount = amount * (CurveAMM.FEE_DENOMINATOR - swapFee) / CurveAMM.FEE_DENOMINATOR;
+    } else {
+      // 卖出：曲线输出扣除手续费后仍需达到目标（向上取整）
+      curveSolAmount = ceilDiv(amount * CurveAMM.FEE_DENOMINATOR, CurveAMM.FEE_DENOMINATOR - swapFee);
+    }
+
+    const simulation = side === 'buy'
+      ? await this.sdk.simulator.simulateSolBuy(mintAddress, curveSolAmount, readOptions)
+      : await this.sdk.simulator.simulateSolSell(mintAddress, curveSolAmount, readOptions);
+
+    if (!simulation.success) {
+      throw new Error(`${side} simulation failed: ${simulation.errorMessage}`);
+    }
+    if (!simulation.data.canComplete) {
+      throw new Error(`Insufficient liquidity to ${side} for ${amount} lamports within ${this.sdk.MAX_ORDERS_COUNT} orders`);
+    }
+
+    const quote = {
+      side,
+      solAmount: amount,
+      currentPrice: simulation.data.currentPrice,
+      curveSolAmount,         // SOL moved by the curve, before fees
+      swapFee: curve.swapFee, // Fee rate, denominator CurveAMM.FEE_DENOMINATOR
+      feeAmount: side === 'buy' ? amount - curveSolAmount : curveSolAmount - amount,
+      expectedTokenAmount: simulation.data.tokenAmount,
+      slippageBps,
+      forceCloseNum: simulation.data.forceCloseNum,
+      simulation: simulation.data
+    };
+
+    if (side === 'buy') {
+      // 少买一些 Token，价格上涨时花费仍不超过指定 SOL
+      quote.tokenAmount = simulation.data.tokenAmount * (BPS_DENOMINATOR - BigInt(slippageBps)) / BPS_DENOMINATOR;
+      quote.maxSolAmount = amount;
+    } else {
+      // 多卖一些 Token，价格下跌时仍能获得指定 SOL
+      quote.tokenAmount = ceilDiv(simulation.data.tokenAmount * (BPS_DENOMINATOR + BigInt(slippageBps)), BPS_DENOMINATOR);
+      quote.minSolOutput = amount;
+    }
+
+    if (quote.tokenAmount <= 0n) {
+      throw new Error(`SOL amount ${amount} is too small to ${side} any token`);
+    }
+
+    return quote;
+  }
+
+  /**
+   * 获取订单并构建 LP 配对数组
+   * @private
+   * @param {string|PublicKey} mint - 代币铸造账户
+   * @param {string} direction - 'up_orders' 或 'down_orders'
+   * @param {bigint|string} price - 当前价格
+   * @param {Object} options - { fresh } 读取选项
+   * @returns {Promise<Array>} LP 配对数组
+   */
+  async _fetchLpPairs(mint, direction, price, options = {}) {
+    const ordersData = await this.sdk.data.orders(mint.toString(), {
+      type: direction,
+      limit: this.sdk.MAX_ORDERS_COUNT + 1,
+      fresh: options.fresh !== false
+    });
+    return this.sdk.buildLpPairs(ordersData.data.orders, direction, price);
+  }
+
+  /**
+   * 校验滑点参数
+   * @private
+   * @param {number} slippageBps - 滑点（基点）
+   */
+  _validateSlippageBps(slippageBps) {
+    if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > Number(BPS_DENOMINATOR)) {
+      throw new ValidationError(`slippageBps must be an integer between 0 and ${BPS_DENOMINATOR}`);
+    }
+  }
+
   /**
    * 计算 PDA 账户
    * @private
@@ -851,6 +1246,54 @@ class TradingModule {
 
 
 
+  /**
+   * 构建计算预算指令（计算单元上限和优先费）
+   * @private
+   * @param {Array} instructions - 交易主指令，用于 'simulate' 模式
+   * @param {PublicKey} payer - 支付者
+   * @param {Object} accounts - PDA 账户对象，用于 'auto' 优先费查询
+   * @param {Object} options - 交易构建选项
+   * @returns {Promise<Array>} 计算预算指令数组
+   */
+  _buildComputeBudgetIxs(instructions, payer, accounts, options) {
+    return ComputeBudgetUtils.buildInstructions(this.sdk.connection, {
+      instructions,
+      payer,
+      writableAccounts: [accounts.curveAccount, accounts.poolTokenAccount, accounts.poolSolAccount]
+    }, options);
+  }
+
+  /**
+   * 构建交易：默认 legacy Transaction，versioned/lookupTable 时构建 v0 VersionedTransaction
+   * @private
+   * @param {Array} instructions - 交易指令，null 会被忽略
+   * @param {PublicKey} payer - 支付者
+   * @param {PublicKey} mint - 代币铸造账户，用于查找已注册的地址查找表
+   * @param {Object} options - 交易构建选项
+   * @returns {Promise<Transaction|VersionedTransaction>} 交易对象
+   */
+  async _buildTransaction(instructions, payer, mint, options) {
+    const { versioned = false, lookupTable } = options;
+    const ixs = instructions.filter(ix => ix);
+
+    if (!versioned && !lookupTable) {
+      const transaction = new Transaction();
+      transaction.add(...ixs);
+      return transaction;
+    }
+
+    const lookupTables = await this.sdk.lookupTable.resolve(mint, lookupTable);
+    const { blockhash } = await this.sdk.connection.getLatestBlockhash();
+
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: blockhash,
+      instructions: ixs
+    }).compileToV0Message(lookupTables);
+
+    return new VersionedTransaction(message);
+  }
+
   /**
    * 构建订单账户参数
    * @private
@@ -3,11 +3,23 @@ const { PublicKey } = require('@solana/web3.js');
 const TradingModule = require('./modules/trading');
 const TokenModule = require('./modules/token');
 const ParamModule = require('./modules/param');
+const AdminModule = require('./modules/admin');
+const EventsModule = require('./modules/events');
+const ExecutorModule = require('./modules/executor');
+const LookupTableModule = require('./modules/lookupTable');
+const PositionsModule = require('./modules/positions');
+const LiquidationsModule = require('./modules/liquidations');
+const AuditModule = require('./modules/audit');
+const FailoverModule = require('./modules/failover');
+const CacheModule = require('./modules/cache');
+const OrderBookModule = require('./modules/orderBook');
 const FastModule = require('./modules/fast');
 const SimulatorModule = require('./modules/simulator');
 const ChainModule = require('./modules/chain');
+const AccountsModule = require('./modules/accounts');
 const OrderUtils = require('./utils/orderUtils');
 const spinpetIdl = require('./idl/spinpet.json');
+const { ValidationError } = require('./utils/errors');
 
 /**
  * SpinPet SDK Main Class
@@ -17,7 +29,7 @@ class SpinPetSdk {
   /**
    * Constructor
    * @param {Connection} connection - Solana connection instance
-   * @param {Wallet|Keypair} wallet - Wallet instance
+   * @param {Wallet|Keypair} wallet - Wallet with publicKey and signTransaction (anchor.Wallet, browser wallet adapter), or a Keypair
    * @param {PublicKey|string} programId - Program ID
    * @param {Object} options - Configuration options (optional)
    */
@@ -26,15 +38,16 @@ class SpinPetSdk {
     this.options = options;
     
     // Validate defaultDataSource configuration
-    if (options.defaultDataSource && !['fast', 'chain'].includes(options.defaultDataSource)) {
-      throw new Error('defaultDataSource must be "fast" or "chain"');
+    if (options.defaultDataSource && !['fast', 'chain', 'auto'].includes(options.defaultDataSource)) {
+      throw new ValidationError('defaultDataSource must be "fast", "chain" or "auto"');
     }
     this.defaultDataSource = options.defaultDataSource || 'fast';
     console.log('Data source method:', this.defaultDataSource);
     
     // Basic configuration
     this.connection = connection;
-    this.wallet = wallet instanceof anchor.Wallet ? wallet : new anchor.Wallet(wallet);
+    // Wallets that sign themselves (anchor.Wallet, browser wallet adapters) are used as they are, Keypairs are wrapped
+    this.wallet = typeof wallet.signTransaction === 'function' ? wallet : new anchor.Wallet(wallet);
     this.programId = typeof programId === 'string' ? new PublicKey(programId) : programId;
     
     // Initialize account configuration with options
@@ -55,14 +68,26 @@ class SpinPetSdk {
     this.trading = new TradingModule(this);
     this.token = new TokenModule(this);
     this.param = new ParamModule(this);
+    this.admin = new AdminModule(this);
     this.fast = new FastModule(this);
     this.simulator = new SimulatorModule(this);
     this.chain = new ChainModule(this);
+    this.events = new EventsModule(this);
+    this.executor = new ExecutorModule(this);
+    this.lookupTable = new LookupTableModule(this);
+    this.positions = new PositionsModule(this);
+    this.liquidations = new LiquidationsModule(this);
+    this.audit = new AuditModule(this);
+    this.failover = new FailoverModule(this);
+    this.cache = new CacheModule(this);
+    this.orderBook = new OrderBookModule(this);
+    this.accounts = new AccountsModule(this);
     
-    // Initialize unified data interface
+    // Initialize unified data interface (cached, pass { fresh: true } to skip the cache)
     this.data = {
-      orders: (mint, options = {}) => this._getDataWithSource('orders', [mint, options]),
-      price: (mint, options = {}) => this._getDataWithSource('price', [mint, options])
+      orders: (mint, options = {}) => this._getCachedData('orders', mint, [mint, options]),
+      price: (mint, options = {}) => this._getCachedData('price', mint, [mint, options]),
+      user_orders: (user, mint, options = {}) => this._getCachedData('user_orders', mint, [user, mint, options])
     };
   }
 
@@ -100,6 +125,23 @@ class SpinPetSdk {
     return new anchor.Program(spinpetIdl, this.programId);
   }
 
+  // ========== Transaction Execution ==========
+
+  /**
+   * Sign, send and confirm a builder result (see ExecutorModule.execute)
+   *
+   * @param {Object|Function} builderResult - Builder result { transaction, signers }, or an async function returning one
+   * @param {Object} options - Send and confirm options
+   * @returns {Promise<Object>} Returns { signature, slot, attempts, events }
+   *
+   * @example
+   * const result = await sdk.execute(await sdk.trading.sell({ ... }));
+   * console.log(result.signature, result.events);
+   */
+  execute(builderResult, options = {}) {
+    return this.executor.execute(builderResult, options);
+  }
+
   // ========== Order Processing Utility Methods ==========
 
   /**
@@ -166,6 +208,26 @@ class SpinPetSdk {
 
   // ========== Unified Data Interface Routing Method ==========
 
+  /**
+   * Read data through the cache, `fresh` is not part of the cache key
+   * 
+   * @private
+   * @param {string} method - Method name
+   * @param {string|PublicKey} mint - Token the data belongs to, used for invalidation
+   * @param {Array} args - Arguments array, options last
+   * @returns {Promise} Cached or routed result
+   */
+  _getCachedData(method, mint, args) {
+    const { fresh, ...options } = args[args.length - 1];
+    const keyParts = [
+      options.dataSource || this.defaultDataSource,
+      ...args.slice(0, -1).map(arg => arg ? arg.toString() : null),
+      options
+    ];
+
+    return this.cache.wrap(method, mint ? mint.toString() : null, keyParts, () => this._getDataWithSource(method, args), { fresh });
+  }
+
   /**
    * Route data requests based on configuration
    * 
@@ -178,6 +240,11 @@ class SpinPetSdk {
     // Extract dataSource configuration from last parameter
     const lastArg = args[args.length - 1] || {};
     const dataSource = lastArg.dataSource || this.defaultDataSource;
+
+    // 'auto' tries fast first and falls back to chain
+    if (dataSource === 'auto') {
+      return this.failover.get(method, args);
+    }
     
     // Route to corresponding module based on data source
     const module = dataSource === 'chain' ? this.chain : this.fast;
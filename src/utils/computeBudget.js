@@ -0,0 +1,164 @@
+const { ComputeBudgetProgram, PublicKey, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const ProgramErrorUtils = require('./programErrors');
+const { ErrorCodes, RpcError } = require('./errors');
+
+/**
+ * 计算单元上限（单笔交易最大值）
+ * Compute unit limit (per-transaction maximum)
+ */
+const MAX_COMPUTE_UNITS = 1400000;
+
+/**
+ * 计算预算工具模块
+ * Compute Budget Utilities Module
+ *
+ * 为交易构建 setComputeUnitLimit / setComputeUnitPrice 指令，支持模拟估算计算单元和自动优先费
+ * Builds setComputeUnitLimit / setComputeUnitPrice instructions, with simulated compute sizing and automatic priority fee
+ */
+class ComputeBudgetUtils {
+
+  /**
+   * 构建计算预算指令（需在主指令构建完成后调用）
+   * Build compute budget instructions (call after the main instructions are built)
+   *
+   * @param {Connection} connection - Solana 连接 Solana connection
+   * @param {Object} params - 参数 Parameters
+   * @param {Array<TransactionInstruction|null>} params.instructions - 交易的主指令，null 会被忽略 Main instructions, nulls are ignored
+   * @param {PublicKey} params.payer - 支付者 Payer
+   * @param {Array<PublicKey>} params.writableAccounts - 用于 'auto' 优先费查询的可写账户 Writable accounts for 'auto' priority fee lookup
+   * @param {Object} options - 交易构建选项 Builder options
+   * @param {number|string} options.computeUnits - 计算单元数量或 'simulate'，默认 1400000 Compute units or 'simulate', default 1400000
+   * @param {number} options.computeUnitMargin - 'simulate' 模式的安全余量，默认 0.1 (10%) Safety margin for 'simulate', default 0.1 (10%)
+   * @param {number|string} options.priorityFee - 优先费 (micro-lamports/CU) 或 'auto'，默认不设置 Priority fee (micro-lamports per CU) or 'auto', default none
+   * @param {number} options.priorityFeePercentile - 'auto' 模式取最近费用的百分位，默认 75 Percentile of recent fees for 'auto', default 75
+   * @param {number} options.maxPriorityFee - 优先费上限 (micro-lamports/CU) Priority fee cap (micro-lamports per CU)
+   * @returns {Promise<Array<TransactionInstruction>>} 计算预算指令，需放在交易最前面 Compute budget instructions, to be placed first in the transaction
+   *
+   * @example
+   * const budgetIxs = await ComputeBudgetUtils.buildInstructions(connection, {
+   *   instructions: [buyIx],
+   *   payer,
+   *   writableAccounts: [curveAccount, poolSolAccount]
+   * }, { computeUnits: 'simulate', priorityFee: 'auto' });
+   * transaction.add(...budgetIxs, buyIx);
+   */
+  static async buildInstructions(connection, { instructions, payer, writableAccounts = [] }, options = {}) {
+    const {
+      computeUnits = MAX_COMPUTE_UNITS,
+      computeUnitMargin = 0.1,
+      priorityFee,
+      priorityFeePercentile = 75,
+      maxPriorityFee
+    } = options;
+
+    const mainInstructions = instructions.filter(ix => ix);
+
+    let units;
+    if (computeUnits === 'simulate') {
+      units = await ComputeBudgetUtils.simulateComputeUnits(connection, mainInstructions, payer, computeUnitMargin);
+    } else if (Number.isInteger(computeUnits) && computeUnits > 0) {
+      units = computeUnits;
+    } else {
+      throw new Error('computeUnits 必须是正整数或 "simulate" computeUnits must be a positive integer or "simulate"');
+    }
+
+    const budgetInstructions = [
+      ComputeBudgetProgram.setComputeUnitLimit({ units })
+    ];
+
+    let microLamports = 0;
+    if (priorityFee === 'auto') {
+      microLamports = await ComputeBudgetUtils.estimatePriorityFee(connection, writableAccounts, priorityFeePercentile);
+    } else if (priorityFee !== undefined && priorityFee !== null) {
+      if (!Number.isInteger(priorityFee) || priorityFee < 0) {
+        throw new Error('priorityFee 必须是非负整数或 "auto" priorityFee must be a non-negative integer or "auto"');
+      }
+      microLamports = priorityFee;
+    }
+
+    if (maxPriorityFee !== undefined && microLamports > maxPriorityFee) {
+      microLamports = maxPriorityFee;
+    }
+
+    if (microLamports > 0) {
+      budgetInstructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+    }
+
+    return budgetInstructions;
+  }
+
+  /**
+   * 模拟交易估算所需计算单元，并加上安全余量
+   * Simulate the transaction to size the compute unit limit, plus a safety margin
+   *
+   * 模拟不需要签名 (sigVerify: false)，并由节点替换 blockhash
+   * Simulation needs no signatures (sigVerify: false) and the node replaces the blockhash
+   *
+   * @param {Connection} connection - Solana 连接 Solana connection
+   * @param {Array<TransactionInstruction>} instructions - 主指令 Main instructions
+   * @param {PublicKey} payer - 支付者 Payer
+   * @param {number} margin - 安全余量比例 Safety margin ratio
+   * @returns {Promise<number>} 计算单元数量 Compute units
+   */
+  static async simulateComputeUnits(connection, instructions, payer, margin = 0.1) {
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions: [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+        ...instructions
+      ]
+    }).compileToV0Message();
+
+    const simulation = await connection.simulateTransaction(new VersionedTransaction(message), {
+      sigVerify: false,
+      replaceRecentBlockhash: true
+    });
+
+    if (simulation.value.err) {
+      // 合约错误按 IDL 解析，其他失败保留日志 Program errors are decoded from the IDL, other failures keep the logs
+      const programError = ProgramErrorUtils.decode(simulation.value);
+      if (programError) {
+        throw programError;
+      }
+      const logs = (simulation.value.logs || []).slice(-5).join('\n');
+      throw new RpcError(ErrorCodes.SIMULATION_FAILED, `计算单元模拟失败 Compute unit simulation failed: ${JSON.stringify(simulation.value.err)}\n${logs}`, {
+        err: simulation.value.err,
+        logs: simulation.value.logs || []
+      });
+    }
+
+    const consumed = simulation.value.unitsConsumed;
+    if (!consumed) {
+      // 旧版本节点不返回 unitsConsumed Older nodes don't return unitsConsumed
+      return MAX_COMPUTE_UNITS;
+    }
+
+    return Math.min(MAX_COMPUTE_UNITS, Math.ceil(consumed * (1 + margin)));
+  }
+
+  /**
+   * 根据最近的优先费估算优先费 (micro-lamports/CU)
+   * Estimate priority fee (micro-lamports per CU) from recent prioritization fees
+   *
+   * @param {Connection} connection - Solana 连接 Solana connection
+   * @param {Array<PublicKey>} writableAccounts - 交易会写入的账户（如曲线账户、池子账户）Accounts the transaction writes (curve and pool accounts)
+   * @param {number} percentile - 百分位 (0-100) Percentile (0-100)
+   * @returns {Promise<number>} 优先费 Priority fee
+   */
+  static async estimatePriorityFee(connection, writableAccounts = [], percentile = 75) {
+    const recentFees = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts
+    });
+
+    if (!recentFees || recentFees.length === 0) {
+      return 0;
+    }
+
+    const fees = recentFees.map(f => f.prioritizationFee).sort((a, b) => a - b);
+    const index = Math.min(fees.length - 1, Math.floor((fees.length - 1) * percentile / 100));
+    return fees[index];
+  }
+}
+
+module.exports = ComputeBudgetUtils;
@@ -99,6 +99,20 @@ class CurveAMM {
     static MIN_U128_PRICE = 11958993476234855500n;
 
 
+    /**
+     * 手续费计算使用的分母 (10^5)
+     * @type {bigint}
+     */
+    static FEE_DENOMINATOR = FEE_DENOMINATOR;
+
+
+    /**
+     * 最大手续费率（10%），与合约限制一致
+     * @type {bigint}
+     */
+    static MAX_FEE_RATE = MAX_FEE_RATE;
+
+
     
 
     /**
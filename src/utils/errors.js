@@ -0,0 +1,195 @@
+/**
+ * SDK 错误类型
+ * SDK Error Types
+ *
+ * 所有 SDK 错误都继承 SpinPetError，调用方可以用 instanceof 或 code 字段区分错误，不必解析错误信息
+ * Every SDK error extends SpinPetError, callers can tell errors apart with instanceof or the code field instead of parsing messages
+ *
+ * SpinPetError
+ * ├── ValidationError       VALIDATION_ERROR                           参数不合法 Invalid argument
+ * ├── FastApiError          API_ERROR / NETWORK_ERROR / TIMEOUT / REQUEST_ERROR   Fast API 请求失败 Fast API request failed
+ * ├── RpcError              RPC_ERROR / SIMULATION_FAILED / TRANSACTION_FAILED / TRANSACTION_EXPIRED   RPC 或交易失败 RPC or transaction failed
+ * ├── ProgramError          PROGRAM_ERROR                              合约返回的自定义错误 Custom program error
+ * ├── AccountNotFoundError  ACCOUNT_NOT_FOUND                          链上账户不存在 On-chain account does not exist
+ * └── CursorNotFoundError   CURSOR_NOT_FOUND                           分页游标订单已不在链表中 Page cursor order left the list
+ */
+
+/**
+ * 错误代码 Error codes
+ */
+const ErrorCodes = Object.freeze({
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  API_ERROR: 'API_ERROR',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  REQUEST_ERROR: 'REQUEST_ERROR',
+  RPC_ERROR: 'RPC_ERROR',
+  SIMULATION_FAILED: 'SIMULATION_FAILED',
+  TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+  TRANSACTION_EXPIRED: 'TRANSACTION_EXPIRED',
+  PROGRAM_ERROR: 'PROGRAM_ERROR',
+  ACCOUNT_NOT_FOUND: 'ACCOUNT_NOT_FOUND',
+  CURSOR_NOT_FOUND: 'CURSOR_NOT_FOUND'
+});
+
+/**
+ * SDK 错误基类
+ * Base class of SDK errors
+ */
+class SpinPetError extends Error {
+
+  /**
+   * @param {string} code - 错误代码（见 ErrorCodes） Error code (see ErrorCodes)
+   * @param {string} message - 错误信息 Error message
+   * @param {Object} details - 附加字段，合并到错误对象上（如 status、logs、cause） Extra fields merged onto the error (e.g. status, logs, cause)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SpinPetError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * 参数不合法，发送任何请求之前抛出
+ * Invalid argument, thrown before any request is sent
+ */
+class ValidationError extends SpinPetError {
+
+  /**
+   * @param {string} message - 错误信息 Error message
+   * @param {Object} details - 附加字段 Extra fields
+   */
+  constructor(message, details = {}) {
+    super(ErrorCodes.VALIDATION_ERROR, message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Fast API 请求失败
+ * Fast API request failed
+ *
+ * API_ERROR：服务器返回错误，status 为 HTTP 状态码（业务失败时为空） Server returned an error, status is the HTTP status (empty on business failures)
+ * NETWORK_ERROR：无法连接服务器 Server unreachable
+ * TIMEOUT：超时未响应 No response in time
+ * REQUEST_ERROR：请求无法发出 Request could not be sent
+ */
+class FastApiError extends SpinPetError {
+
+  /**
+   * @param {string} code - API_ERROR / NETWORK_ERROR / TIMEOUT / REQUEST_ERROR
+   * @param {string} message - 错误信息 Error message
+   * @param {Object} details - 附加字段（status、endpoint） Extra fields (status, endpoint)
+   */
+  constructor(code, message, details = {}) {
+    super(code, message, details);
+    this.name = 'FastApiError';
+  }
+}
+
+/**
+ * RPC 请求或交易失败（不是合约自定义错误）
+ * RPC request or transaction failed (not a custom program error)
+ */
+class RpcError extends SpinPetError {
+
+  /**
+   * @param {string} code - RPC_ERROR / SIMULATION_FAILED / TRANSACTION_FAILED / TRANSACTION_EXPIRED
+   * @param {string} message - 错误信息 Error message
+   * @param {Object} details - 附加字段（signature、err、logs、cause） Extra fields (signature, err, logs, cause)
+   */
+  constructor(code, message, details = {}) {
+    super(code, message, details);
+    this.name = 'RpcError';
+  }
+}
+
+/**
+ * 合约返回的自定义错误，由 ProgramErrorUtils.decode() 从模拟或发送的日志中解析
+ * Custom program error, decoded by ProgramErrorUtils.decode() from simulation or send logs
+ *
+ * @example
+ * if (error instanceof ProgramError && error.category === 'slippage') {
+ *   // 提高滑点后重试 Retry with a higher slippage
+ * }
+ */
+class ProgramError extends SpinPetError {
+
+  /**
+   * @param {Object} entry - 错误目录条目（见 ProgramErrorUtils.get()） Catalog entry (see ProgramErrorUtils.get())
+   * @param {Object} details - 附加字段（logs、instructionIndex、signature、cause） Extra fields (logs, instructionIndex, signature, cause)
+   */
+  constructor(entry, details = {}) {
+    super(
+      ErrorCodes.PROGRAM_ERROR,
+      `${entry.name} (${entry.number}): ${entry.message} ${entry.messageEn}`,
+      details
+    );
+    this.name = 'ProgramError';
+    this.errorNumber = entry.number;       // 如 6016 e.g. 6016
+    this.errorName = entry.name;           // IDL 名称，如 'ExceedsMaxSolAmount' IDL name, e.g. 'ExceedsMaxSolAmount'
+    this.errorMessage = entry.message;     // IDL 中文信息 IDL message (Chinese)
+    this.errorMessageEn = entry.messageEn; // 英文信息 English message
+    this.category = entry.category;        // 如 'slippage'，见 ProgramErrorUtils e.g. 'slippage', see ProgramErrorUtils
+  }
+}
+
+/**
+ * 链上账户不存在
+ * On-chain account does not exist
+ *
+ * @example
+ * try {
+ *   await sdk.param.getParams(partner);
+ * } catch (error) {
+ *   if (error instanceof AccountNotFoundError) {
+ *     // 合作伙伴还没有创建参数账户 The partner has not created the params account yet
+ *   }
+ * }
+ */
+class AccountNotFoundError extends SpinPetError {
+
+  /**
+   * @param {string} accountType - 账户类型（IDL 名称，如 'Params'） Account type (IDL name, e.g. 'Params')
+   * @param {string|PublicKey} address - 账户地址 Account address
+   */
+  constructor(accountType, address) {
+    super(ErrorCodes.ACCOUNT_NOT_FOUND, `${accountType} 账户不存在 ${accountType} account does not exist: ${address}`, {
+      accountType,
+      address: address ? address.toString() : null
+    });
+    this.name = 'AccountNotFoundError';
+  }
+}
+
+/**
+ * chain.orders() 的游标订单已不在链表中（两次分页之间被平仓或清算），且没有提供 cursorPrice 无法按价格续读
+ * The cursor order of chain.orders() left the list (closed or liquidated between two pages) and no cursorPrice was given to resume by price
+ */
+class CursorNotFoundError extends SpinPetError {
+
+  /**
+   * @param {string} cursor - 游标订单地址 Cursor order address
+   * @param {string} orderType - 'up_orders' 或 'down_orders' 'up_orders' or 'down_orders'
+   */
+  constructor(cursor, orderType) {
+    super(ErrorCodes.CURSOR_NOT_FOUND, `游标订单不在 ${orderType} 链表中 Cursor order is not in the ${orderType} list: ${cursor}`, {
+      cursor,
+      orderType
+    });
+    this.name = 'CursorNotFoundError';
+  }
+}
+
+module.exports = {
+  ErrorCodes,
+  SpinPetError,
+  ValidationError,
+  FastApiError,
+  RpcError,
+  ProgramError,
+  AccountNotFoundError,
+  CursorNotFoundError
+};
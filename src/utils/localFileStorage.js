@@ -0,0 +1,59 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * 本地文件存储适配器（仅 Node.js）
+ * Local File Storage Adapter (Node.js only)
+ *
+ * 元数据上传的存储适配器需实现 upload(content, { contentType, extension })，返回可访问的 URI
+ * Metadata storage adapters implement upload(content, { contentType, extension }) returning a reachable URI
+ *
+ * fs 在上传时才加载，浏览器构建中 require('fs') 被替换为 null
+ * fs is loaded on upload, the browser build replaces require('fs') with null
+ */
+class LocalFileStorage {
+
+  /**
+   * @param {Object} options - 参数 Options
+   * @param {string} options.directory - 保存目录，不存在时自动创建 Target directory, created when missing
+   * @param {string} options.baseUrl - 目录对外的访问地址，省略时返回 file:// URI Public URL of the directory, file:// URIs when omitted
+   */
+  constructor({ directory, baseUrl = null }) {
+    if (!directory || typeof directory !== 'string') {
+      throw new ValidationError('directory 必须是字符串 directory must be a string');
+    }
+    this.directory = directory;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+  }
+
+  /**
+   * 保存内容并返回 URI
+   * Store content and return its URI
+   * @param {string|Uint8Array} content - 文件内容 File content
+   * @param {Object} options - 参数 Options
+   * @param {string} options.extension - 文件扩展名，默认 'json' File extension, default 'json'
+   * @param {string} options.fileName - 文件名，默认按时间戳和随机数生成 File name, generated from a timestamp and random suffix by default
+   * @returns {Promise<string>} 文件 URI File URI
+   */
+  async upload(content, { extension = 'json', fileName } = {}) {
+    const fs = require('fs');
+    if (!fs || !fs.promises) {
+      throw new Error('LocalFileStorage 仅支持 Node.js LocalFileStorage only works in Node.js');
+    }
+
+    const name = fileName || `${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${extension}`;
+    const data = typeof content === 'string' ? Buffer.from(content, 'utf8') : Buffer.from(content);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(`${this.directory}/${name}`, data);
+
+    if (this.baseUrl) {
+      return `${this.baseUrl}/${name}`;
+    }
+
+    // 绝对路径转为 file:// URI（兼容 Windows 盘符） Absolute path as a file:// URI (handles Windows drive letters)
+    const root = (await fs.promises.realpath(this.directory)).replace(/\\/g, '/');
+    return `file://${root.startsWith('/') ? '' : '/'}${encodeURI(root)}/${name}`;
+  }
+}
+
+module.exports = LocalFileStorage;
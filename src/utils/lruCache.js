@@ -0,0 +1,70 @@
+/**
+ * 内存 LRU 缓存存储
+ * In-Memory LRU Cache Store
+ *
+ * CacheModule 的默认存储，超过 maxEntries 时淘汰最久未使用的条目（利用 Map 的插入顺序）
+ * Default store of CacheModule, evicts the least recently used entry beyond maxEntries (relies on Map insertion order)
+ *
+ * 自定义存储需实现相同的 get / set / delete 方法，可以返回 Promise
+ * Custom stores implement the same get / set / delete methods, which may return promises
+ */
+class LruCache {
+
+  /**
+   * @param {number} maxEntries - 最大条目数 Maximum number of entries
+   */
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * 读取条目并标记为最近使用
+   * Read an entry and mark it as recently used
+   * @param {string} key - 键 Key
+   * @returns {*} 条目，不存在时为 undefined Entry, undefined when missing
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * 写入条目，超出容量时淘汰最久未使用的条目
+   * Write an entry, evicting the least recently used ones beyond capacity
+   * @param {string} key - 键 Key
+   * @param {*} entry - 条目 Entry
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 删除条目
+   * Delete an entry
+   * @param {string} key - 键 Key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * 当前条目数
+   * Current number of entries
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
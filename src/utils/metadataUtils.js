@@ -0,0 +1,178 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * 代币元数据工具模块
+ * Token Metadata Utilities Module
+ *
+ * 校验 create 指令的 name / symbol / uri，构建标准格式的链下元数据 JSON（纯函数）
+ * Validates name / symbol / uri of the create instruction and builds the off-chain metadata JSON in the standard format (pure functions)
+ *
+ * 长度按 UTF-8 字节计算，上限取自 Metaplex Token Metadata 程序的 MAX_NAME_LENGTH / MAX_SYMBOL_LENGTH / MAX_URI_LENGTH。
+ * 本程序的 IDL 没有声明长度限制，这些上限是建议值：这里的校验不检查长度，超限的字段由 lengthWarnings() 列出，
+ * sdk.token.uploadMetadata() 和 sdk.token.create() 只给出警告
+ * Lengths are counted in UTF-8 bytes, the limits are MAX_NAME_LENGTH / MAX_SYMBOL_LENGTH / MAX_URI_LENGTH of the Metaplex Token Metadata program.
+ * The program IDL declares no length limits, so these are recommendations: the checks here ignore lengths, lengthWarnings() lists
+ * the fields over them, and sdk.token.uploadMetadata() and sdk.token.create() only warn
+ */
+class MetadataUtils {
+
+  /**
+   * 校验 create 指令的参数，任一不合法时抛出错误（长度见 lengthWarnings()）
+   * Validate the create instruction arguments, throws when any is invalid (for lengths see lengthWarnings())
+   * @param {Object} params - 参数 Parameters
+   * @param {string} params.name - 代币名称 Token name
+   * @param {string} params.symbol - 代币符号 Token symbol
+   * @param {string} params.uri - 元数据 URI Metadata URI
+   * @throws {ValidationError} 参数不是非空字符串，或 uri 不是合法的 URL Not a non-empty string, or uri is not a valid URL
+   *
+   * @example
+   * MetadataUtils.validate({ name: 'My Token', symbol: 'MYT', uri: 'https://example.com/metadata.json' });
+   */
+  static validate({ name, symbol, uri }) {
+    MetadataUtils._checkText('name', name);
+    MetadataUtils._checkText('symbol', symbol);
+    MetadataUtils.validateUri(uri);
+  }
+
+  /**
+   * 列出超过建议长度的字段，不抛出错误
+   * List the fields exceeding the recommended lengths, without throwing
+   * @param {Object} params - 参数 Parameters
+   * @param {string} params.name - 代币名称 Token name
+   * @param {string} params.symbol - 代币符号 Token symbol
+   * @param {string} params.uri - 元数据 URI Metadata URI
+   * @returns {Array<string>} 警告信息，全部符合时为空 Warning messages, empty when every field fits
+   */
+  static lengthWarnings({ name, symbol, uri }) {
+    const warnings = [];
+    const fields = [
+      ['name', name, MetadataUtils.MAX_NAME_LENGTH],
+      ['symbol', symbol, MetadataUtils.MAX_SYMBOL_LENGTH],
+      ['uri', uri, MetadataUtils.MAX_URI_LENGTH]
+    ];
+    for (const [field, value, maxLength] of fields) {
+      if (typeof value !== 'string') continue;
+      const length = MetadataUtils.byteLength(value);
+      if (length > maxLength) {
+        warnings.push(`${field} 超过建议的 ${maxLength} 字节 ${field} exceeds the recommended ${maxLength} bytes: ${length}`);
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * 校验元数据 URI：非空、可解析为带协议的 URL
+   * Validate a metadata URI: non-empty, parses as a URL with a scheme
+   * @param {string} uri - 元数据 URI Metadata URI
+   * @throws {ValidationError} URI 不合法 Invalid URI
+   */
+  static validateUri(uri) {
+    MetadataUtils._checkText('uri', uri);
+
+    try {
+      new URL(uri);
+    } catch (error) {
+      throw new ValidationError(`uri 不是合法的 URL uri is not a valid URL: ${uri} (${error.message})`);
+    }
+  }
+
+  /**
+   * 构建标准格式的链下元数据 JSON
+   * Build the off-chain metadata JSON in the standard format
+   * @param {Object} params - 参数 Parameters
+   * @param {string} params.name - 代币名称 Token name
+   * @param {string} params.symbol - 代币符号 Token symbol
+   * @param {string} params.description - 描述 Description
+   * @param {string} params.image - 图片 URI Image URI
+   * @param {string} params.imageType - 图片 MIME 类型，默认 'image/png' Image MIME type, default 'image/png'
+   * @param {string} params.website - 官网 Website
+   * @param {string} params.twitter - Twitter / X 链接 Twitter / X link
+   * @param {string} params.telegram - Telegram 链接 Telegram link
+   * @param {Array<Object>} params.attributes - 属性 [{ trait_type, value }] Attributes [{ trait_type, value }]
+   * @returns {Object} 元数据 JSON 对象 Metadata JSON object
+   * @throws {ValidationError} name 或 symbol 不是非空字符串 name or symbol is not a non-empty string
+   *
+   * @example
+   * const json = MetadataUtils.buildJson({
+   *   name: 'My Token',
+   *   symbol: 'MYT',
+   *   description: 'Community token',
+   *   image: 'https://example.com/logo.png',
+   *   twitter: 'https://x.com/mytoken'
+   * });
+   * // {
+   * //   name: 'My Token', symbol: 'MYT', description: 'Community token',
+   * //   image: 'https://example.com/logo.png',
+   * //   properties: { files: [{ uri: 'https://example.com/logo.png', type: 'image/png' }], category: 'image' },
+   * //   twitter: 'https://x.com/mytoken'
+   * // }
+   */
+  static buildJson({
+    name,
+    symbol,
+    description = '',
+    image = null,
+    imageType = 'image/png',
+    website = null,
+    twitter = null,
+    telegram = null,
+    attributes = null
+  }) {
+    MetadataUtils._checkText('name', name);
+    MetadataUtils._checkText('symbol', symbol);
+
+    const json = { name, symbol, description };
+
+    if (image) {
+      json.image = image;
+      json.properties = {
+        files: [{ uri: image, type: imageType }],
+        category: 'image'
+      };
+    }
+    if (website) {
+      json.external_url = website;
+      json.website = website;
+    }
+    if (twitter) {
+      json.twitter = twitter;
+    }
+    if (telegram) {
+      json.telegram = telegram;
+    }
+    if (Array.isArray(attributes) && attributes.length > 0) {
+      json.attributes = attributes;
+    }
+
+    return json;
+  }
+
+  /**
+   * UTF-8 字节长度 UTF-8 byte length
+   * @param {string} text - 文本 Text
+   * @returns {number} 字节数 Byte count
+   */
+  static byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  /**
+   * @private
+   */
+  static _checkText(field, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new ValidationError(`${field} 必须是非空字符串 ${field} must be a non-empty string`);
+    }
+  }
+}
+
+// 名称建议最大字节数（Metaplex MAX_NAME_LENGTH） Recommended maximum name length in bytes (Metaplex MAX_NAME_LENGTH)
+MetadataUtils.MAX_NAME_LENGTH = 32;
+
+// 符号建议最大字节数（Metaplex MAX_SYMBOL_LENGTH） Recommended maximum symbol length in bytes (Metaplex MAX_SYMBOL_LENGTH)
+MetadataUtils.MAX_SYMBOL_LENGTH = 10;
+
+// URI 建议最大字节数（Metaplex MAX_URI_LENGTH） Recommended maximum URI length in bytes (Metaplex MAX_URI_LENGTH)
+MetadataUtils.MAX_URI_LENGTH = 200;
+
+module.exports = MetadataUtils;
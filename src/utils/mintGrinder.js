@@ -0,0 +1,242 @@
+const { Keypair } = require('@solana/web3.js');
+const { ValidationError } = require('./errors');
+
+// Base58 字母表 Base58 alphabet
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// 主线程每批尝试次数，批次之间让出事件循环 Attempts per main thread batch, the event loop is yielded between batches
+const MAIN_THREAD_BATCH = 500;
+
+// Worker 上报进度的间隔 Attempts between worker progress reports
+const PROGRESS_INTERVAL = 5000;
+
+// Worker 代码：只依赖 Node.js 内置模块，以 eval 方式启动，打包后也不需要额外文件
+// Worker code: only uses Node.js built-ins and starts with eval, so bundles need no extra file
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const crypto = require('crypto');
+const ALPHABET = '${BASE58_ALPHABET}';
+
+function encode(bytes) {
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  let result = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) result += '1';
+  for (let i = digits.length - 1; i >= 0; i--) result += ALPHABET[digits[i]];
+  return result;
+}
+
+function run() {
+  const { prefix, suffix, caseSensitive, maxAttempts, progressInterval } = workerData;
+  let reported = 0;
+  for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    let address = encode(publicKey.export({ format: 'der', type: 'spki' }).subarray(12));
+    if (!caseSensitive) address = address.toLowerCase();
+
+    if (address.startsWith(prefix) && address.endsWith(suffix)) {
+      const seed = privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(16);
+      parentPort.postMessage({ type: 'found', seed: Uint8Array.from(seed), attempts: attempts - reported });
+      return;
+    }
+    if (attempts - reported >= progressInterval) {
+      parentPort.postMessage({ type: 'progress', attempts: attempts - reported });
+      reported = attempts;
+    }
+  }
+  parentPort.postMessage({ type: 'done', attempts: maxAttempts - reported });
+}
+
+run();
+`;
+
+
+/**
+ * 靓号 Mint 地址生成模块
+ * Vanity Mint Address Grinder Module
+ *
+ * 随机生成密钥对直到地址匹配指定的前缀/后缀。Node.js 下使用 worker_threads 并行计算，
+ * 浏览器或 workers 为 0 时在主线程分批计算并让出事件循环
+ * Generates keypairs until the address matches the prefix / suffix. Node.js grinds in parallel with worker_threads,
+ * browsers (or workers 0) grind on the main thread in batches that yield the event loop
+ *
+ * 每多一个字符，期望尝试次数约乘以 58（不区分大小写时约 34）
+ * Every extra character multiplies the expected attempts by about 58 (about 34 case-insensitive)
+ */
+class MintGrinder {
+
+  /**
+   * 搜索匹配的密钥对 Search for a matching keypair
+   * @param {Object} params - 参数 Parameters
+   * @param {string} params.prefix - 地址前缀 Address prefix
+   * @param {string} params.suffix - 地址后缀 Address suffix
+   * @param {boolean} params.caseSensitive - 是否区分大小写，默认 true Case sensitive match, default true
+   * @param {number} params.maxAttempts - 最大尝试次数 Maximum attempts
+   * @param {number} params.workers - Worker 数量，0 表示主线程 Worker count, 0 means the main thread
+   * @param {Function} params.onProgress - 进度回调 (attempts) Progress callback (attempts)
+   * @returns {Promise<Object>} { keypair: Keypair|null, attempts: number }，未找到时 keypair 为 null keypair is null when not found
+   */
+  static async grind({ prefix = '', suffix = '', caseSensitive = true, maxAttempts, workers, onProgress = null }) {
+    const pattern = {
+      prefix: caseSensitive ? prefix : prefix.toLowerCase(),
+      suffix: caseSensitive ? suffix : suffix.toLowerCase(),
+      caseSensitive
+    };
+
+    const WorkerClass = workers > 0 ? MintGrinder._loadWorker() : null;
+    if (!WorkerClass) {
+      return MintGrinder._grindMainThread(pattern, maxAttempts, onProgress);
+    }
+    return MintGrinder._grindWorkers(WorkerClass, pattern, maxAttempts, workers, onProgress);
+  }
+
+  /**
+   * 默认 Worker 数量：CPU 核数减一，至少 1；浏览器为 0
+   * Default worker count: CPU cores minus one, at least 1; 0 in browsers
+   * @returns {number} Worker 数量 Worker count
+   */
+  static defaultWorkers() {
+    if (!MintGrinder._isNode()) return 0;
+    const os = require('os');
+    return Math.max(1, os.cpus().length - 1);
+  }
+
+  /**
+   * 校验地址模式只包含 Base58 字符 Check the pattern only contains Base58 characters
+   * @param {string} field - 字段名 Field name
+   * @param {string} value - 模式 Pattern
+   * @param {boolean} caseSensitive - 是否区分大小写 Case sensitive
+   * @throws {Error} 包含非 Base58 字符 Contains non-Base58 characters
+   */
+  static validatePattern(field, value, caseSensitive) {
+    if (typeof value !== 'string') {
+      throw new ValidationError(`${field} 必须是字符串 ${field} must be a string`);
+    }
+    for (const char of value) {
+      const valid = caseSensitive
+        ? BASE58_ALPHABET.includes(char)
+        : BASE58_ALPHABET.includes(char.toLowerCase()) || BASE58_ALPHABET.includes(char.toUpperCase());
+      if (!valid) {
+        throw new ValidationError(`${field} 包含非 Base58 字符 "${char}" ${field} contains non-Base58 character "${char}" (0, O, I, l are not used)`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _isNode() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+  }
+
+  /**
+   * 加载 worker_threads，不可用时返回 null Load worker_threads, null when unavailable
+   * @private
+   */
+  static _loadWorker() {
+    if (!MintGrinder._isNode()) return null;
+    try {
+      return require('worker_threads').Worker;
+    } catch (error) {
+      console.warn(`worker_threads 不可用，改用主线程 worker_threads unavailable, using the main thread: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _matches(pattern, address) {
+    const value = pattern.caseSensitive ? address : address.toLowerCase();
+    return value.startsWith(pattern.prefix) && value.endsWith(pattern.suffix);
+  }
+
+  /**
+   * 主线程分批搜索 Search on the main thread in batches
+   * @private
+   */
+  static async _grindMainThread(pattern, maxAttempts, onProgress) {
+    let attempts = 0;
+    while (attempts < maxAttempts) {
+      const batchEnd = Math.min(attempts + MAIN_THREAD_BATCH, maxAttempts);
+      for (; attempts < batchEnd; attempts++) {
+        const keypair = Keypair.generate();
+        if (MintGrinder._matches(pattern, keypair.publicKey.toBase58())) {
+          return { keypair, attempts: attempts + 1 };
+        }
+      }
+      if (onProgress) onProgress(attempts);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return { keypair: null, attempts };
+  }
+
+  /**
+   * 多个 Worker 并行搜索，任一找到后终止全部 Search with parallel workers, all stop once one finds a match
+   * @private
+   */
+  static _grindWorkers(WorkerClass, pattern, maxAttempts, workerCount, onProgress) {
+    const count = Math.max(1, Math.min(workerCount, maxAttempts));
+
+    return new Promise((resolve, reject) => {
+      const workers = [];
+      let attempts = 0;
+      let running = count;
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        workers.forEach(worker => worker.terminate());
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      for (let i = 0; i < count; i++) {
+        const worker = new WorkerClass(WORKER_SOURCE, {
+          eval: true,
+          workerData: {
+            ...pattern,
+            maxAttempts: Math.floor(maxAttempts / count) + (i < maxAttempts % count ? 1 : 0),
+            progressInterval: PROGRESS_INTERVAL
+          }
+        });
+        workers.push(worker);
+
+        worker.on('message', message => {
+          if (settled) return;
+          attempts += message.attempts;
+
+          if (message.type === 'found') {
+            const keypair = Keypair.fromSeed(message.seed);
+            // 主线程复核，防止编码差异 Recheck on the main thread against encoding differences
+            if (MintGrinder._matches(pattern, keypair.publicKey.toBase58())) {
+              finish(null, { keypair, attempts });
+              return;
+            }
+            finish(new Error('Worker 返回的密钥对不匹配 Worker returned a non-matching keypair'));
+          } else if (message.type === 'progress') {
+            if (onProgress) onProgress(attempts);
+          } else if (message.type === 'done') {
+            running--;
+            if (running === 0) finish(null, { keypair: null, attempts });
+          }
+        });
+        worker.on('error', error => finish(error));
+      }
+    });
+  }
+}
+
+module.exports = MintGrinder;
@@ -1,4 +1,5 @@
 const anchor = require('@coral-xyz/anchor');
+const { ValidationError } = require('./errors');
 
 /**
  * 订单数据处理工具模块
@@ -40,19 +41,19 @@ class OrderUtils {
     
     // 参数验证
     if (!Array.isArray(orders)) {
-      throw new Error('buildLpPairs: orders 必须是数组 orders must be an array');
+      throw new ValidationError('buildLpPairs: orders 必须是数组 orders must be an array');
     }
 
     if (typeof direction !== 'string' || !['up_orders', 'down_orders'].includes(direction)) {
-      throw new Error('buildLpPairs: direction 必须是 "up_orders" 或 "down_orders" direction must be "up_orders" or "down_orders"');
+      throw new ValidationError('buildLpPairs: direction 必须是 "up_orders" 或 "down_orders" direction must be "up_orders" or "down_orders"');
     }
 
     if (!price) {
-      throw new Error('buildLpPairs: price 参数是必需的 price parameter is required');
+      throw new ValidationError('buildLpPairs: price 参数是必需的 price parameter is required');
     }
 
     if (!Number.isInteger(maxCount) || maxCount <= 0) {
-      throw new Error('buildLpPairs: maxCount 必须是正整数 maxCount must be a positive integer');
+      throw new ValidationError('buildLpPairs: maxCount 必须是正整数 maxCount must be a positive integer');
     }
 
     // 转换价格为 bigint (u128 格式)
@@ -226,11 +227,11 @@ class OrderUtils {
   static buildOrderAccounts(orders, maxCount = 10) {
     // 参数验证 Parameter validation
     if (!Array.isArray(orders)) {
-      throw new Error('buildOrderAccounts: orders 必须是数组 orders must be an array');
+      throw new ValidationError('buildOrderAccounts: orders 必须是数组 orders must be an array');
     }
 
     if (!Number.isInteger(maxCount) || maxCount <= 0) {
-      throw new Error('buildOrderAccounts: maxCount 必须是正整数 maxCount must be a positive integer');
+      throw new ValidationError('buildOrderAccounts: maxCount 必须是正整数 maxCount must be a positive integer');
     }
 
     const orderAccounts = [];
@@ -282,11 +283,11 @@ class OrderUtils {
   static findPrevNext(orders, findOrderPda) {
     // 参数验证 Parameter validation
     if (!Array.isArray(orders)) {
-      throw new Error('findPrevNext: orders 参数必须是数组 orders parameter must be an array');
+      throw new ValidationError('findPrevNext: orders 参数必须是数组 orders parameter must be an array');
     }
     
     if (!findOrderPda || typeof findOrderPda !== 'string') {
-      throw new Error('findPrevNext: findOrderPda 参数必须是有效的字符串 findOrderPda parameter must be a valid string');
+      throw new ValidationError('findPrevNext: findOrderPda 参数必须是有效的字符串 findOrderPda parameter must be a valid string');
     }
     
     // 查找目标订单的索引 Find target order index
@@ -357,7 +358,7 @@ class OrderUtils {
     if (!Array.isArray(orders)) {
       const error = 'orders 必须是数组 orders must be an array';
       if (throwOnError) {
-        throw new Error(`validateOrdersFormat: ${error}`);
+        throw new ValidationError(`validateOrdersFormat: ${error}`);
       }
       errors.push(error);
       return { valid: false, errors, warnings };
@@ -391,7 +392,7 @@ class OrderUtils {
     const isValid = errors.length === 0;
     
     if (throwOnError && !isValid) {
-      throw new Error(`validateOrdersFormat: 验证失败 Validation failed: ${errors.join(', ')}`);
+      throw new ValidationError(`validateOrdersFormat: 验证失败 Validation failed: ${errors.join(', ')}`);
     }
 
     return {
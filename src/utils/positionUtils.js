@@ -0,0 +1,164 @@
+const CurveAMM = require('./curve_amm');
+
+/**
+ * 保证金仓位估值工具模块
+ * Margin Position Valuation Utilities Module
+ *
+ * 根据平仓模拟得到的 SOL 数量计算仓位市值、未实现盈亏和已产生的借款费用（纯函数）
+ * Computes mark value, unrealized PnL and accrued borrow fee from the simulated close SOL amount (pure functions)
+ *
+ * 做多：保证金 + 借入的 SOL 买入 position_asset_amount 个 Token，平仓卖出 Token 并归还 borrow_amount SOL
+ * Long: margin + borrowed SOL bought position_asset_amount tokens, closing sells them and repays borrow_amount SOL
+ * 做空：借入 borrow_amount 个 Token 卖出得到 position_asset_amount SOL，平仓买回 Token 归还
+ * Short: borrow_amount borrowed tokens were sold for position_asset_amount SOL, closing buys them back
+ */
+class PositionUtils {
+
+  /**
+   * 判断是否为做多订单（兼容 fast 的数字类型和 chain 的字符串类型）
+   * Whether the order is a long (accepts numeric fast and string chain order_type)
+   * @param {Object} order - 订单 Order
+   * @returns {boolean} 是否做多 Is long
+   */
+  static isLong(order) {
+    return order.order_type === 1 || order.order_type === 'down_orders';
+  }
+
+  /**
+   * 平仓需要成交的 Token 数量：做多卖出持仓，做空买回借款
+   * Token amount traded on close: long sells the position, short buys back the borrowed tokens
+   * @param {Object} order - 订单 Order
+   * @returns {bigint} Token 数量 Token amount
+   */
+  static closeTokenAmount(order) {
+    return PositionUtils.isLong(order)
+      ? BigInt(order.position_asset_amount.toString())
+      : BigInt(order.borrow_amount.toString());
+  }
+
+  /**
+   * 按时间线性计算已产生的借款费用（单位为借入资产：做多为 SOL，做空为 Token）
+   * Borrow fee accrued linearly over time, in the borrowed asset (SOL for long, token for short)
+   *
+   * 全额费用 = borrow_amount * borrow_fee / FEE_DENOMINATOR，按 (now - start_time) / (end_time - start_time) 计提，到期后不再增加
+   * Full fee = borrow_amount * borrow_fee / FEE_DENOMINATOR, accrued by (now - start_time) / (end_time - start_time), capped at end_time
+   *
+   * @param {Object} order - 订单 Order
+   * @param {number} now - 当前 Unix 时间戳（秒） Current Unix timestamp (seconds)
+   * @returns {bigint} 已产生的借款费用 Accrued borrow fee
+   */
+  static borrowFeeAccrued(order, now) {
+    const fullFee = BigInt(order.borrow_amount.toString()) * BigInt(order.borrow_fee) / CurveAMM.FEE_DENOMINATOR;
+    const duration = BigInt(order.end_time - order.start_time);
+    if (duration <= 0n) return fullFee;
+
+    const elapsed = BigInt(Math.min(Math.max(now - order.start_time, 0), order.end_time - order.start_time));
+    return fullFee * elapsed / duration;
+  }
+
+  /**
+   * 计算仓位估值
+   * Value a margin position
+   *
+   * @param {Object} order - 订单 Order
+   * @param {Object} params - 参数 Parameters
+   * @param {bigint|null} params.closeSolAmount - 平仓模拟的曲线 SOL（不含手续费），做多为卖出所得，做空为买回成本；null 表示流动性不足 Curve SOL of the simulated close (before fees), proceeds for long and cost for short; null when liquidity is insufficient
+   * @param {number|bigint} params.swapFee - 曲线手续费率（分母 FEE_DENOMINATOR） Curve swap fee rate (denominator FEE_DENOMINATOR)
+   * @param {number} params.now - 当前 Unix 时间戳（秒） Current Unix timestamp (seconds)
+   * @returns {Object} 估值结果，金额均为 lamports (bigint) Valuation, amounts in lamports (bigint)
+   */
+  static value(order, { closeSolAmount, swapFee, now }) {
+    const isLong = PositionUtils.isLong(order);
+    const margin = BigInt(order.margin_sol_amount.toString());
+    const borrowAmount = BigInt(order.borrow_amount.toString());
+    const fee = BigInt(swapFee);
+    const borrowFeeAccrued = PositionUtils.borrowFeeAccrued(order, now);
+
+    const result = {
+      side: isLong ? 'long' : 'short',
+      closeTokenAmount: PositionUtils.closeTokenAmount(order),
+      marginSolAmount: margin,
+      markValue: null,            // 做多：卖出所得（扣手续费）；做空：买回成本（含手续费） Long: proceeds after fee; short: buy-back cost with fee
+      borrowFeeAccrued,           // 借入资产单位 Borrowed asset units
+      borrowFeeAccruedSol: null,  // 折算为 SOL In SOL
+      equity: null,               // 平仓后用户可得 SOL User SOL after closing
+      unrealizedPnl: null,        // equity - margin
+      timeToEnd: order.end_time - now,
+      expired: now >= order.end_time
+    };
+
+    if (closeSolAmount === null || closeSolAmount === undefined) {
+      return result;
+    }
+
+    if (isLong) {
+      const proceeds = CurveAMM.calculateAmountAfterFee(closeSolAmount, fee);
+      result.markValue = proceeds;
+      result.borrowFeeAccruedSol = borrowFeeAccrued;
+      result.equity = proceeds - borrowAmount - borrowFeeAccrued;
+    } else {
+      // 买入时手续费从投入中扣除，向上取整 The fee is deducted from the buy input, round up
+      const cost = (closeSolAmount * CurveAMM.FEE_DENOMINATOR + CurveAMM.FEE_DENOMINATOR - fee - 1n) / (CurveAMM.FEE_DENOMINATOR - fee);
+      result.markValue = cost;
+      // Token 费用按本次买回的均价折算 Token fee valued at the buy-back average price
+      result.borrowFeeAccruedSol = borrowAmount > 0n ? borrowFeeAccrued * cost / borrowAmount : 0n;
+      result.equity = BigInt(order.position_asset_amount.toString()) + margin - cost - result.borrowFeeAccruedSol;
+    }
+
+    result.unrealizedPnl = result.equity - margin;
+    return result;
+  }
+
+  /**
+   * 预估平仓（全部或部分）结果，字段名与 PartialCloseEvent / FullCloseEvent 一致
+   * Preview a full or partial close, field names match PartialCloseEvent / FullCloseEvent
+   *
+   * 借款与已产生的借款费用按平仓 Token 占比归还，做空释放的 SOL（position_asset_amount + 保证金）也按占比计算
+   * Borrow and accrued borrow fee are repaid pro rata to the closed tokens, a short releases its SOL
+   * (position_asset_amount + margin) pro rata as well
+   *
+   * @param {Object} order - 订单 Order
+   * @param {Object} params - 参数 Parameters
+   * @param {bigint} params.tokenAmount - 平仓 Token 数量 Token amount closed
+   * @param {bigint} params.closeSolAmount - 平仓模拟的曲线 SOL（不含手续费） Curve SOL of the simulated close (before fees)
+   * @param {number|bigint} params.swapFee - 曲线手续费率 Curve swap fee rate
+   * @param {number} params.now - 当前 Unix 时间戳（秒） Current Unix timestamp (seconds)
+   * @returns {Object} 预估结果 Preview
+   */
+  static previewClose(order, { tokenAmount, closeSolAmount, swapFee, now }) {
+    const isLong = PositionUtils.isLong(order);
+    const total = PositionUtils.closeTokenAmount(order);
+    const fee = BigInt(swapFee);
+    const margin = BigInt(order.margin_sol_amount.toString());
+    const borrowAmount = BigInt(order.borrow_amount.toString());
+
+    // 按占比计算，全部平仓时不产生舍入 Pro rata, no rounding on a full close
+    const share = (amount) => tokenAmount === total ? amount : amount * tokenAmount / total;
+    const borrowFee = share(PositionUtils.borrowFeeAccrued(order, now));
+
+    let finalSolAmount, userCloseProfit, borrowFeeSol;
+    if (isLong) {
+      // 卖出所得扣除归还的借款和借款费用 Proceeds minus repaid borrow and borrow fee
+      finalSolAmount = CurveAMM.calculateAmountAfterFee(closeSolAmount, fee);
+      borrowFeeSol = borrowFee;
+      userCloseProfit = finalSolAmount - share(borrowAmount) - borrowFeeSol;
+    } else {
+      // 释放的 SOL 扣除买回成本和借款费用 Released SOL minus buy-back cost and borrow fee
+      finalSolAmount = (closeSolAmount * CurveAMM.FEE_DENOMINATOR + CurveAMM.FEE_DENOMINATOR - fee - 1n) / (CurveAMM.FEE_DENOMINATOR - fee);
+      borrowFeeSol = tokenAmount > 0n ? borrowFee * finalSolAmount / tokenAmount : 0n;
+      userCloseProfit = share(BigInt(order.position_asset_amount.toString()) + margin) - finalSolAmount - borrowFeeSol;
+    }
+
+    return {
+      is_close_long: isLong,
+      isFullClose: tokenAmount === total,
+      final_token_amount: tokenAmount,  // 卖出（做多）或买回（做空）的 Token Tokens sold (long) or bought back (short)
+      final_sol_amount: finalSolAmount, // 卖出所得（扣手续费）或买回成本（含手续费） Proceeds after fee or buy-back cost with fee
+      user_close_profit: userCloseProfit, // 返还给用户的 SOL，负数表示不足以归还借款 SOL returned to the user, negative when the borrow cannot be repaid
+      borrowFeeSol,
+      remainingTokenAmount: total - tokenAmount
+    };
+  }
+}
+
+module.exports = PositionUtils;
@@ -0,0 +1,268 @@
+const spinpetIdl = require('../idl/spinpet.json');
+const { ProgramError } = require('./errors');
+
+// 英文错误信息，按 IDL 名称 English messages by IDL name
+const MESSAGES_EN = {
+  EmptySupply: 'Token supply in the pool is empty',
+  CalculationFailure: 'Calculation overflow',
+  InvalidInput: 'Invalid input value',
+  InvalidFee: 'Fee rate out of the allowed range',
+  EmptyRecipientsList: 'Recipients list must not be empty',
+  InsufficientFunds: 'Sender balance is insufficient',
+  InvalidLinkedListOperation: 'Invalid order list operation',
+  InvalidPriceRange: 'Invalid order price range',
+  Unauthorized: 'Unauthorized operation',
+  RequiredParameter: 'All parameters are required on initialization',
+  LiquidityLocked: 'Liquidity is locked, the order cannot be inserted',
+  InsufficientLiquidationValue: 'SOL from the forced liquidation does not cover the loan',
+  MathError: 'Math error',
+  PriceSpanTooSmall: 'Price range is too small',
+  MathOverflow: 'Math overflow',
+  CurveCalculationError: 'Curve calculation error',
+  ExceedsMaxSolAmount: 'Exceeds the maximum SOL amount',
+  InsufficientTokenOutput: 'Token output is below the minimum',
+  InsufficientTokenBalance: 'Token balance is insufficient',
+  InsufficientSolOutput: 'SOL output is below the minimum',
+  InsufficientRepayment: 'Close proceeds do not cover the loan',
+  InsufficientBorrowingReserve: 'Borrow request exceeds the available reserve',
+  InsufficientTokenSale: 'Tokens actually sold are below the required amount',
+  InsufficientLiquidity: 'Current orders do not provide enough liquidity',
+  TokenAmountDifferenceOutOfRange: 'Price range calculation error of the margin trade is too large',
+  ArithmeticOverflow: 'Arithmetic overflow during calculation',
+  BorrowAmountMismatch: 'Borrow amount does not match the locked token amount',
+  CloseFeeCalculationError: 'Close fee calculation error',
+  InsufficientCloseProfit: 'Close proceeds are insufficient',
+  CloseTransferError: 'Close transfer error',
+  UpHeadNotEmpty: 'up_orders head is not empty but none was passed, a plain buy is not possible',
+  DownHeadNotEmpty: 'down_orders head is not empty but none was passed, a plain sell is not possible',
+  UpHeadOrderMismatch: 'up_orders head does not match orders[0]',
+  DownHeadOrderMismatch: 'down_orders head does not match orders[0]',
+  InsufficientMargin: 'Margin is insufficient',
+  InsufficientMinimumMargin: 'Margin is below the minimum',
+  InvalidAccountOwner: 'Invalid account owner',
+  AccountBorrowFailed: 'Account borrow failed',
+  SellAmountExceedsOrderAmount: 'Sell amount exceeds the tokens held by the order',
+  OrderNotExpiredMustCloseByOwner: 'An order that has not expired must be closed by its owner',
+  SettlementAddressMustBeOwnerAddress: 'Settlement address must be the order owner',
+  BuyAmountExceedsOrderAmount: 'Buy amount exceeds the tokens held by the order',
+  InsufficientTradeAmount: 'Trade amount is below the minimum',
+  RemainingTokenAmountTooSmall: 'Remaining token amount is below the minimum trade amount',
+  PriceCalculationError: 'Price calculation error',
+  InvalidFeeRecipientAccount: 'Fee recipient account does not match',
+  InvalidOrderMintAddress: 'Order mint does not match the curve mint',
+  InsufficientStopLossLiquidity: 'Not enough liquidity reserved for the stop loss order',
+  InvalidOrderIndex: 'Invalid order index',
+  InvalidFeePercentage: 'Fee split percentage must be between 0 and 100',
+  InvalidLpPairsCount: 'lp_pairs length must equal MAX_ORDERS_COUNT',
+  InvalidStopLossPrice: 'Stop loss price does not meet the minimum distance'
+};
+
+// 错误分类，便于调用方统一处理 Error categories for callers to react to
+const CATEGORIES = {
+  // 价格变化超出滑点，提高滑点或重新报价后重试 Price moved beyond the slippage, retry with a new quote or higher slippage
+  slippage: ['ExceedsMaxSolAmount', 'InsufficientTokenOutput', 'InsufficientSolOutput', 'InsufficientTokenSale'],
+  // 流动性不足 Not enough liquidity
+  liquidity: ['EmptySupply', 'LiquidityLocked', 'InsufficientBorrowingReserve', 'InsufficientLiquidity', 'InsufficientStopLossLiquidity'],
+  // 交易构建后订单链表已变化，重新构建后重试 The order lists changed since the transaction was built, rebuild and retry
+  stale_orders: ['UpHeadNotEmpty', 'DownHeadNotEmpty', 'UpHeadOrderMismatch', 'DownHeadOrderMismatch', 'InvalidOrderIndex'],
+  // 余额或保证金不足 Balance or margin is insufficient
+  insufficient_funds: [
+    'InsufficientFunds', 'InsufficientTokenBalance', 'InsufficientMargin', 'InsufficientMinimumMargin',
+    'InsufficientRepayment', 'InsufficientLiquidationValue', 'InsufficientCloseProfit'
+  ],
+  // 没有权限 Not permitted
+  unauthorized: ['Unauthorized', 'OrderNotExpiredMustCloseByOwner', 'SettlementAddressMustBeOwnerAddress'],
+  // 参数或账户不合法 Invalid argument or account
+  invalid_input: [
+    'InvalidInput', 'InvalidFee', 'EmptyRecipientsList', 'InvalidPriceRange', 'RequiredParameter', 'PriceSpanTooSmall',
+    'BorrowAmountMismatch', 'InvalidAccountOwner', 'SellAmountExceedsOrderAmount', 'BuyAmountExceedsOrderAmount',
+    'InsufficientTradeAmount', 'RemainingTokenAmountTooSmall', 'InvalidFeeRecipientAccount', 'InvalidOrderMintAddress',
+    'InvalidFeePercentage', 'InvalidLpPairsCount', 'InvalidStopLossPrice'
+  ]
+};
+
+const CATEGORY_BY_NAME = new Map();
+Object.keys(CATEGORIES).forEach(category => {
+  CATEGORIES[category].forEach(name => CATEGORY_BY_NAME.set(name, category));
+});
+
+// 错误目录：IDL 错误编号 -> 条目 Catalog: IDL error number -> entry
+const CATALOG = new Map(spinpetIdl.errors.map(error => [error.code, Object.freeze({
+  number: error.code,
+  name: error.name,
+  message: error.msg || error.name,
+  messageEn: MESSAGES_EN[error.name] || error.name,
+  category: CATEGORY_BY_NAME.get(error.name) || 'other'
+})]));
+
+const ANCHOR_ERROR_NUMBER = /Error Number: (\d+)/;
+const CUSTOM_ERROR_LOG = /^Program (\w+) failed: custom program error: 0x([0-9a-fA-F]+)/;
+const CUSTOM_ERROR_MESSAGE = /custom program error: 0x([0-9a-fA-F]+)/;
+
+
+/**
+ * 合约错误目录与解析工具
+ * Program Error Catalog and Decoder
+ *
+ * 把模拟或发送交易时的 `custom program error: 0x17xx` 映射为 IDL 中的错误名称和信息，
+ * 调用方可以按 errorName 做本地化，按 category 做统一处理
+ * Maps `custom program error: 0x17xx` from simulation or send failures to the IDL error name and message,
+ * callers localize by errorName and react by category
+ *
+ * category：slippage、liquidity、stale_orders、insufficient_funds、unauthorized、invalid_input、other
+ */
+class ProgramErrorUtils {
+
+  /**
+   * 按编号或名称查询错误目录
+   * Look up a catalog entry by number or name
+   * @param {number|string} numberOrName - 错误编号（如 6016）或 IDL 名称 Error number (e.g. 6016) or IDL name
+   * @returns {Object|null} { number, name, message, messageEn, category }，未知时为 null null when unknown
+   */
+  static get(numberOrName) {
+    if (typeof numberOrName === 'number') {
+      return CATALOG.get(numberOrName) || null;
+    }
+    for (const entry of CATALOG.values()) {
+      if (entry.name === numberOrName) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * 全部错误目录条目，按编号排序
+   * Every catalog entry, by number
+   * @returns {Array<Object>} 条目列表 Entries
+   */
+  static list() {
+    return Array.from(CATALOG.values());
+  }
+
+  /**
+   * 从错误、模拟结果或日志中解析合约自定义错误
+   * Decode a custom program error from an error, a simulation result or logs
+   *
+   * 支持：SendTransactionError、AnchorError、simulateTransaction 结果（或其 value）、
+   * confirmTransaction 的 err（{ InstructionError: [index, { Custom }] }）、日志数组、错误编号
+   * Accepts: SendTransactionError, AnchorError, simulateTransaction results (or their value),
+   * confirmTransaction err ({ InstructionError: [index, { Custom }] }), log arrays and error numbers
+   *
+   * @param {*} input - 待解析的内容 Value to decode
+   * @param {Object} options - 参数 Options
+   * @param {string|PublicKey} options.programId - 合约地址，日志显示其他合约失败时返回 null Program id, null is returned when logs show another program failed
+   * @returns {ProgramError|null} 不是本合约的自定义错误时为 null null when it is not a custom error of this program
+   *
+   * @example
+   * const simulation = await connection.simulateTransaction(transaction);
+   * const error = ProgramErrorUtils.decode(simulation, { programId: sdk.programId });
+   * if (error) {
+   *   console.log(error.errorName, error.category); // 'ExceedsMaxSolAmount' 'slippage'
+   * }
+   */
+  static decode(input, { programId = null } = {}) {
+    if (input === null || input === undefined) return null;
+    if (input instanceof ProgramError) return input;
+
+    const logs = ProgramErrorUtils._findLogs(input);
+    const found = ProgramErrorUtils._findNumber(input, logs);
+    if (!found) return null;
+
+    // 日志显示失败的是其他合约（如 Token 程序）The logs show another program (e.g. the token program) failed
+    if (found.programId && programId && found.programId !== programId.toString()) {
+      return null;
+    }
+
+    const entry = CATALOG.get(found.number);
+    if (!entry) return null;
+
+    const details = { logs, instructionIndex: found.instructionIndex };
+    if (input instanceof Error) {
+      details.cause = input;
+    }
+    return new ProgramError(entry, details);
+  }
+
+  /**
+   * @private
+   */
+  static _findLogs(input) {
+    if (Array.isArray(input)) return input;
+    const candidates = [input.logs, input.value && input.value.logs, input.transactionError && input.transactionError.logs];
+    return candidates.find(Array.isArray) || null;
+  }
+
+  /**
+   * 依次从交易错误、Anchor 错误、日志和错误信息中查找错误编号
+   * Look for the error number in the transaction error, the Anchor error, the logs, then the message
+   * @private
+   * @returns {Object|null} { number, instructionIndex, programId }
+   */
+  static _findNumber(input, logs) {
+    if (typeof input === 'number') {
+      return { number: input, instructionIndex: null, programId: null };
+    }
+    if (typeof input !== 'object') return null;
+
+    // 有日志时由 "Program <id> failed" 行确定失败的合约 With logs, the "Program <id> failed" line tells which program failed
+    for (const err of [input.err, input.value && input.value.err, input]) {
+      const instructionError = err && err.InstructionError;
+      if (Array.isArray(instructionError) && instructionError[1] && typeof instructionError[1].Custom === 'number') {
+        const number = instructionError[1].Custom;
+        return { number, instructionIndex: instructionError[0], programId: ProgramErrorUtils._failedProgram(logs, number) };
+      }
+    }
+
+    // AnchorError.error.errorCode.number
+    if (input.error && input.error.errorCode && typeof input.error.errorCode.number === 'number') {
+      const number = input.error.errorCode.number;
+      return { number, instructionIndex: null, programId: ProgramErrorUtils._failedProgram(logs, number) };
+    }
+
+    if (logs) {
+      // "Program <id> failed" 行带有合约地址，优先使用 The "Program <id> failed" line names the program, preferred
+      let anchorNumber = null;
+      for (const line of logs) {
+        const custom = CUSTOM_ERROR_LOG.exec(line);
+        if (custom) {
+          return { number: parseInt(custom[2], 16), instructionIndex: null, programId: custom[1] };
+        }
+        const anchorMatch = ANCHOR_ERROR_NUMBER.exec(line);
+        if (anchorMatch && anchorNumber === null) {
+          anchorNumber = Number(anchorMatch[1]);
+        }
+      }
+      if (anchorNumber !== null) {
+        return { number: anchorNumber, instructionIndex: null, programId: null };
+      }
+    }
+
+    const messages = [input.message, input.transactionError && input.transactionError.message];
+    for (const message of messages) {
+      const custom = typeof message === 'string' ? CUSTOM_ERROR_MESSAGE.exec(message) : null;
+      if (custom) {
+        return { number: parseInt(custom[1], 16), instructionIndex: null, programId: null };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 日志中以该错误编号失败的合约地址
+   * Address of the program the logs show failing with this error number
+   * @private
+   * @returns {string|null} 合约地址，没有日志或没有对应行时为 null Program id, null without logs or a matching line
+   */
+  static _failedProgram(logs, number) {
+    if (!logs) return null;
+    for (const line of logs) {
+      const custom = CUSTOM_ERROR_LOG.exec(line);
+      if (custom && parseInt(custom[2], 16) === number) {
+        return custom[1];
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = ProgramErrorUtils;
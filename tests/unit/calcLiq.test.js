@@ -0,0 +1,89 @@
+const assert = require('assert');
+const CurveAMM = require('../../src/utils/curve_amm');
+const { calcLiqTokenBuy, calcLiqTokenSell } = require('../../src/modules/simulator/calcLiq');
+const { PRICE, UP_ORDERS, DOWN_ORDERS, quietly } = require('./fixtures');
+
+// 当前价格到第一个订单之间的间隙 Gap between the current price and the first order
+const [UP_GAP_SOL, UP_GAP_TOKEN] = CurveAMM.buyFromPriceToPrice(PRICE, BigInt(UP_ORDERS[0].lock_lp_start_price));
+const [UP_GAP2_SOL, UP_GAP2_TOKEN] = CurveAMM.buyFromPriceToPrice(BigInt(UP_ORDERS[0].lock_lp_end_price), BigInt(UP_ORDERS[1].lock_lp_start_price));
+const [DOWN_GAP_TOKEN, DOWN_GAP_SOL] = CurveAMM.sellFromPriceToPrice(PRICE, BigInt(DOWN_ORDERS[0].lock_lp_start_price));
+
+function buySol(price, tokenAmount) {
+  return CurveAMM.buyFromPriceWithTokenOutput(BigInt(price), tokenAmount)[1];
+}
+
+function sellSol(price, tokenAmount) {
+  return CurveAMM.sellFromPriceWithTokenInput(BigInt(price), tokenAmount)[1];
+}
+
+describe('calcLiq', () => {
+  describe('calcLiqTokenBuy()', () => {
+    it('prices a buy inside the first gap at the ideal amount', () => {
+      const amount = UP_GAP_TOKEN / 3n;
+      const result = quietly(() => calcLiqTokenBuy(PRICE, amount, UP_ORDERS, 10));
+      assert.strictEqual(result.real_lp_sol_amount, buySol(PRICE, amount));
+      assert.strictEqual(result.real_lp_sol_amount, result.ideal_lp_sol_amount);
+      assert.strictEqual(result.force_close_num, 0);
+    });
+
+    it('completes a buy that uses exactly the whole gap', () => {
+      const result = quietly(() => calcLiqTokenBuy(PRICE, UP_GAP_TOKEN, UP_ORDERS, 10));
+      assert.strictEqual(result.real_lp_sol_amount, buySol(PRICE, UP_GAP_TOKEN));
+      assert.strictEqual(result.force_close_num, 0);
+    });
+
+    it('adds the earlier gaps to a buy that ends in the infinite range', () => {
+      const beyond = 10000000000000n;
+      const amount = UP_GAP_TOKEN + UP_GAP2_TOKEN + beyond;
+      const result = quietly(() => calcLiqTokenBuy(PRICE, amount, UP_ORDERS, 10));
+      assert.strictEqual(result.has_infinite_lp, true);
+      assert.strictEqual(result.force_close_num, 2);
+      assert.strictEqual(result.real_lp_sol_amount, UP_GAP_SOL + UP_GAP2_SOL + buySol(UP_ORDERS[1].lock_lp_end_price, beyond));
+    });
+
+    it('buys the rest of a passed order from its start price', () => {
+      const inside = 10000000000000n;
+      const result = quietly(() => calcLiqTokenBuy(PRICE, UP_GAP_TOKEN + inside, UP_ORDERS, 10, 'u1'));
+      assert.strictEqual(result.pass_order_id, 0);
+      assert.strictEqual(result.force_close_num, 0);
+      assert.strictEqual(result.real_lp_sol_amount, UP_GAP_SOL + buySol(UP_ORDERS[0].lock_lp_start_price, inside));
+    });
+
+    it('treats an empty order list as infinite liquidity from the current price', () => {
+      const result = quietly(() => calcLiqTokenBuy(PRICE, 40000000000000n, [], 10));
+      assert.strictEqual(result.has_infinite_lp, true);
+      assert.strictEqual(result.real_lp_sol_amount, buySol(PRICE, 40000000000000n));
+      assert.strictEqual(result.real_lp_sol_amount, result.ideal_lp_sol_amount);
+    });
+
+    it('does not leak variables into the global scope', () => {
+      quietly(() => calcLiqTokenBuy(PRICE, UP_GAP_TOKEN / 3n, UP_ORDERS, 10));
+      assert.strictEqual(Object.prototype.hasOwnProperty.call(globalThis, 'prve_free_lp_sol_amount_sum'), false);
+      assert.strictEqual(Object.prototype.hasOwnProperty.call(globalThis, '_'), false);
+    });
+  });
+
+  describe('calcLiqTokenSell()', () => {
+    it('prices a sell inside the first gap at the ideal amount', () => {
+      const amount = DOWN_GAP_TOKEN / 3n;
+      const result = quietly(() => calcLiqTokenSell(PRICE, amount, DOWN_ORDERS, 10));
+      assert.strictEqual(result.real_lp_sol_amount, sellSol(PRICE, amount));
+      assert.strictEqual(result.real_lp_sol_amount, result.ideal_lp_sol_amount);
+    });
+
+    it('sells the rest of a passed order from its start price', () => {
+      const inside = 10000000000000n;
+      const result = quietly(() => calcLiqTokenSell(PRICE, DOWN_GAP_TOKEN + inside, DOWN_ORDERS, 10, 'd1'));
+      assert.strictEqual(result.pass_order_id, 0);
+      assert.strictEqual(result.force_close_num, 0);
+      assert.strictEqual(result.real_lp_sol_amount, DOWN_GAP_SOL + sellSol(DOWN_ORDERS[0].lock_lp_start_price, inside));
+    });
+
+    it('treats an empty order list as infinite liquidity from the current price', () => {
+      const result = quietly(() => calcLiqTokenSell(PRICE, 50000000000000n, [], 10));
+      assert.strictEqual(result.has_infinite_lp, true);
+      assert.strictEqual(result.real_lp_sol_amount, sellSol(PRICE, 50000000000000n));
+      assert.strictEqual(result.real_lp_sol_amount, result.ideal_lp_sol_amount);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const assert = require('assert');
+const anchor = require('@coral-xyz/anchor');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const ChainModule = require('../../src/modules/chain');
+const AccountsModule = require('../../src/modules/accounts');
+const { CursorNotFoundError } = require('../../src/utils/errors');
+const idl = require('../../src/idl/spinpet.json');
+
+const programId = new PublicKey(idl.address);
+const program = new anchor.Program(idl, { connection: {} });
+
+// down_orders 链表，起始价格从头部开始递减；overrides 覆盖每个订单的字段 down_orders list, start prices descending from the head; overrides replace fields of every order
+async function createChain(count, overrides = {}) {
+  const mint = Keypair.generate().publicKey;
+  const user = Keypair.generate().publicKey;
+  const keys = [...Array(count)].map(() => Keypair.generate().publicKey);
+  const bn = value => new anchor.BN(value);
+
+  const accounts = new Map();
+  for (let i = 0; i < count; i++) {
+    accounts.set(keys[i].toString(), await program.coder.accounts.encode('marginOrder', {
+      orderType: 1,
+      mint,
+      user,
+      nextOrder: i < count - 1 ? keys[i + 1] : null,
+      prevOrder: i > 0 ? keys[i - 1] : null,
+      lockLpStartPrice: bn(1000 - i * 10),
+      lockLpEndPrice: bn(995 - i * 10),
+      lockLpSolAmount: bn(1),
+      lockLpTokenAmount: bn(2),
+      startTime: 10,
+      endTime: 20,
+      marginSolAmount: bn(3),
+      borrowAmount: bn(4),
+      positionAssetAmount: bn(5),
+      borrowFee: 300,
+      bump: 1,
+      ...overrides
+    }));
+  }
+
+  const state = { gpaDisabled: false, head: keys[0] };
+  const connection = {
+    getProgramAccounts: async () => {
+      if (state.gpaDisabled) throw new Error('getProgramAccounts disabled');
+      return [...accounts].map(([key, data]) => ({ pubkey: new PublicKey(key), account: { data } }));
+    },
+    getAccountInfo: async key => {
+      const data = accounts.get(key.toString());
+      return data ? { data } : null;
+    }
+  };
+
+  const sdk = { connection, programId, program };
+  sdk.accounts = new AccountsModule(sdk);
+  const chain = new ChainModule(sdk);
+  chain.getCurveAccount = async () => ({ downHead: state.head.toString(), upHead: null });
+
+  // 从链表中移除一个订单（平仓） Remove an order from the list (close it)
+  const close = async index => {
+    const prev = keys[index - 1];
+    const decoded = program.coder.accounts.decode('marginOrder', accounts.get(prev.toString()));
+    decoded.nextOrder = index < count - 1 ? keys[index + 1] : null;
+    accounts.set(prev.toString(), await program.coder.accounts.encode('marginOrder', decoded));
+    accounts.delete(keys[index].toString());
+  };
+
+  return { chain, mint: mint.toString(), keys, state, close };
+}
+
+function prices(result) {
+  return result.data.orders.map(order => order.lock_lp_start_price);
+}
+
+describe('ChainModule.orders() cursors', () => {
+  const log = console.log;
+  const error = console.error;
+  const warn = console.warn;
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+    console.warn = () => {};
+  });
+  after(() => {
+    console.log = log;
+    console.error = error;
+    console.warn = warn;
+  });
+
+  for (const mode of ['getProgramAccounts', 'node by node']) {
+    describe(mode, () => {
+      let fixture;
+      beforeEach(async () => {
+        fixture = await createChain(6);
+        fixture.state.gpaDisabled = mode === 'node by node';
+      });
+
+      it('resumes after the cursor order', async () => {
+        const { chain, mint } = fixture;
+        const first = await chain.orders(mint, { type: 'down_orders', limit: 2 });
+        assert.deepStrictEqual(prices(first), ['1000', '990']);
+        assert.strictEqual(first.data.next_cursor, fixture.keys[1].toString());
+        assert.strictEqual(first.data.next_cursor_price, '990');
+        assert.strictEqual(first.data.total, mode === 'node by node' ? null : 6);
+
+        const second = await chain.orders(mint, { type: 'down_orders', limit: 2, cursor: first.data.next_cursor });
+        assert.deepStrictEqual(prices(second), ['980', '970']);
+        assert.strictEqual(second.data.has_next, true);
+      });
+
+      it('resumes past cursorPrice when the cursor order was closed', async () => {
+        const { chain, mint, close } = fixture;
+        const first = await chain.orders(mint, { type: 'down_orders', limit: 2 });
+        await close(1);
+
+        const second = await chain.orders(mint, {
+          type: 'down_orders',
+          limit: 2,
+          cursor: first.data.next_cursor,
+          cursorPrice: first.data.next_cursor_price
+        });
+        assert.deepStrictEqual(prices(second), ['980', '970']);
+        assert.strictEqual(second.data.has_prev, true);
+        assert.strictEqual(second.data.next_cursor, fixture.keys[3].toString());
+      });
+
+      it('returns an empty page when nothing is past cursorPrice', async () => {
+        const { chain, mint, keys, close } = fixture;
+        await close(5);
+        const result = await chain.orders(mint, { type: 'down_orders', cursor: keys[5], cursorPrice: '950' });
+        assert.deepStrictEqual(result.data.orders, []);
+        assert.strictEqual(result.data.has_next, false);
+        assert.strictEqual(result.data.next_cursor, null);
+      });
+
+      it('throws CursorNotFoundError for a closed cursor without cursorPrice', async () => {
+        const { chain, mint, keys, close } = fixture;
+        await close(1);
+        await assert.rejects(
+          chain.orders(mint, { type: 'down_orders', cursor: keys[1] }),
+          error => error instanceof CursorNotFoundError && error.code === 'CURSOR_NOT_FOUND' && error.cursor === keys[1].toString()
+        );
+      });
+    });
+  }
+
+  describe('amounts', () => {
+    it('returns u64 amounts as numbers', async () => {
+      const { chain, keys } = await createChain(1);
+      const order = await chain.order(keys[0]);
+      assert.strictEqual(order.borrow_amount, 4);
+      assert.strictEqual(order.position_asset_amount, 5);
+    });
+
+    it('throws instead of losing precision above Number.MAX_SAFE_INTEGER', async () => {
+      const { chain, keys } = await createChain(1, { borrowAmount: new anchor.BN('9007199254740993') });
+      await assert.rejects(chain.order(keys[0]), error => error instanceof RangeError && error.message.includes('borrow_amount'));
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const assert = require('assert');
+const anchor = require('@coral-xyz/anchor');
+const { PublicKey, Keypair } = require('@solana/web3.js');
+const EventsModule = require('../../src/modules/events');
+const { ValidationError } = require('../../src/utils/errors');
+const idl = require('../../src/idl/spinpet.json');
+
+const programId = new PublicKey(idl.address);
+const coder = new anchor.BorshCoder(idl);
+
+// 按 IDL 编码事件日志行 Encode an event log line from the IDL
+function eventLog(name, data) {
+  const event = idl.events.find(e => e.name === name);
+  const bytes = Buffer.concat([Buffer.from(event.discriminator), coder.types.encode(name, data)]);
+  return `Program data: ${bytes.toString('base64')}`;
+}
+
+function programLogs(...lines) {
+  return [`Program ${idl.address} invoke [1]`, ...lines, `Program ${idl.address} success`];
+}
+
+function buySell(mint, payer, tokenAmount = 5) {
+  return eventLog('BuySellEvent', {
+    payer,
+    mint_account: mint,
+    is_buy: true,
+    token_amount: new anchor.BN(tokenAmount),
+    sol_amount: new anchor.BN(7),
+    latest_price: new anchor.BN('123456789012345678901234')
+  });
+}
+
+// 模拟 connection.onLogs 的桩连接 Stub connection standing in for connection.onLogs
+class StubConnection {
+  constructor() {
+    this.listeners = new Map();
+    this.nextId = 0;
+    this.subscribeCount = 0;
+  }
+
+  onLogs(id, callback) {
+    assert.ok(id.equals(programId));
+    this.subscribeCount++;
+    this.listeners.set(++this.nextId, callback);
+    return this.nextId;
+  }
+
+  async removeOnLogsListener(id) {
+    this.listeners.delete(id);
+  }
+
+  push(signature, slot, logs, err = null) {
+    for (const callback of this.listeners.values()) {
+      callback({ signature, err, logs }, { slot });
+    }
+  }
+}
+
+function createEvents() {
+  const connection = new StubConnection();
+  const events = new EventsModule({ programId, connection, options: {} });
+  return { events, connection };
+}
+
+async function collect(subscription, count) {
+  const received = [];
+  for await (const event of subscription) {
+    received.push(event);
+    if (received.length === count) break;
+  }
+  return received;
+}
+
+function silenceWarnings() {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  return { warnings, restore: () => { console.warn = warn; } };
+}
+
+describe('EventsModule', () => {
+  const mint = Keypair.generate().publicKey;
+  const otherMint = Keypair.generate().publicKey;
+  const payer = Keypair.generate().publicKey;
+
+  describe('parseLogs()', () => {
+    it('decodes events with bigint amounts and base58 keys', () => {
+      const { events } = createEvents();
+      const parsed = events.parseLogs(programLogs(buySell(mint, payer)));
+
+      assert.strictEqual(parsed.length, 1);
+      assert.strictEqual(parsed[0].name, 'BuySellEvent');
+      assert.deepStrictEqual(parsed[0].data, {
+        payer: payer.toString(),
+        mint_account: mint.toString(),
+        is_buy: true,
+        token_amount: 5n,
+        sol_amount: 7n,
+        latest_price: 123456789012345678901234n
+      });
+    });
+
+    it('ignores logs of other programs', () => {
+      const { events } = createEvents();
+      assert.deepStrictEqual(events.parseLogs(['Program 11111111111111111111111111111111 invoke [1]']), []);
+    });
+
+    it('rejects non-array input', () => {
+      const { events } = createEvents();
+      assert.throws(() => events.parseLogs('logs'), ValidationError);
+    });
+  });
+
+  describe('subscribe()', () => {
+    it('rejects unknown event types', () => {
+      const { events } = createEvents();
+      assert.throws(() => events.subscribe({ types: ['NoSuchEvent'] }), ValidationError);
+    });
+
+    it('filters by mint and type and skips failed transactions', async () => {
+      const { events, connection } = createEvents();
+      const subscription = events.subscribe({ mint, types: ['BuySellEvent'] }, { idleReconnectMs: 0 });
+
+      connection.push('other-mint', 1, programLogs(buySell(otherMint, payer)));
+      connection.push('failed', 2, programLogs(buySell(mint, payer)), { InstructionError: [0, { Custom: 6016 }] });
+      connection.push('match', 3, programLogs(buySell(mint, payer, 9)));
+
+      const [event] = await collect(subscription, 1);
+      assert.strictEqual(event.signature, 'match');
+      assert.strictEqual(event.slot, 3);
+      assert.strictEqual(event.data.token_amount, 9n);
+      await subscription.close();
+    });
+
+    it('filters by user and delivers to onEvent', async () => {
+      const { events, connection } = createEvents();
+      const received = [];
+      const subscription = events.subscribe({ user: payer }, { onEvent: event => received.push(event.signature), idleReconnectMs: 0 });
+
+      connection.push('mine', 1, programLogs(buySell(mint, payer)));
+      connection.push('theirs', 2, programLogs(buySell(mint, Keypair.generate().publicKey)));
+
+      assert.deepStrictEqual(received, ['mine']);
+      await subscription.close();
+    });
+
+    it('does not emit signatures replayed after reconnect()', async () => {
+      const { events, connection } = createEvents();
+      const received = [];
+      const subscription = events.subscribe({}, { onEvent: event => received.push(event.signature), idleReconnectMs: 0 });
+
+      connection.push('a', 10, programLogs(buySell(mint, payer)));
+      await subscription.reconnect();
+      connection.push('a', 10, programLogs(buySell(mint, payer)));
+      connection.push('b', 11, programLogs(buySell(mint, payer)));
+
+      assert.deepStrictEqual(received, ['a', 'b']);
+      assert.strictEqual(connection.listeners.size, 1);
+      await subscription.close();
+      assert.strictEqual(connection.listeners.size, 0);
+    });
+
+    it('forgets signatures outside the de-duplication window', async () => {
+      const { events, connection } = createEvents();
+      const received = [];
+      const subscription = events.subscribe({}, { onEvent: event => received.push(event.signature), dedupeSlots: 5, idleReconnectMs: 0 });
+
+      connection.push('a', 10, programLogs(buySell(mint, payer)));
+      connection.push('b', 20, programLogs(buySell(mint, payer)));
+      connection.push('a', 10, programLogs(buySell(mint, payer)));
+
+      assert.deepStrictEqual(received, ['a', 'b', 'a']);
+      await subscription.close();
+    });
+
+    it('reconnects by itself when idle and de-duplicates the replay', async () => {
+      const { events, connection } = createEvents();
+      const received = [];
+      const output = silenceWarnings();
+      try {
+        const subscription = events.subscribe({}, { onEvent: event => received.push(event.signature), idleReconnectMs: 20 });
+        connection.push('a', 10, programLogs(buySell(mint, payer)));
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.ok(connection.subscribeCount >= 2);
+        assert.strictEqual(connection.listeners.size, 1);
+
+        connection.push('a', 10, programLogs(buySell(mint, payer)));
+        connection.push('b', 11, programLogs(buySell(mint, payer)));
+        assert.deepStrictEqual(received, ['a', 'b']);
+
+        await subscription.close();
+        const count = connection.subscribeCount;
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.strictEqual(connection.subscribeCount, count);
+      } finally {
+        output.restore();
+      }
+      assert.ok(output.warnings.some(line => line.includes('reconnecting')));
+    });
+
+    it('drops the oldest queued events beyond maxQueue with a warning', async () => {
+      const { events, connection } = createEvents();
+      const output = silenceWarnings();
+      let subscription;
+      try {
+        subscription = events.subscribe({}, { maxQueue: 2, idleReconnectMs: 0 });
+        connection.push('a', 1, programLogs(buySell(mint, payer)));
+        connection.push('b', 2, programLogs(buySell(mint, payer)));
+        connection.push('c', 3, programLogs(buySell(mint, payer)));
+      } finally {
+        output.restore();
+      }
+
+      assert.strictEqual(subscription.dropped, 1);
+      assert.strictEqual(output.warnings.length, 1);
+      const received = await collect(subscription, 2);
+      assert.deepStrictEqual(received.map(event => event.signature), ['b', 'c']);
+      await subscription.close();
+    });
+
+    it('finishes pending iteration on close()', async () => {
+      const { events } = createEvents();
+      const subscription = events.subscribe({}, { idleReconnectMs: 0 });
+      const pending = subscription.next();
+      await subscription.close();
+      assert.deepStrictEqual(await pending, { value: undefined, done: true });
+    });
+  });
+});
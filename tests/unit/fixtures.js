@@ -0,0 +1,65 @@
+// 单元测试共用的夹具和工具 Fixtures and helpers shared by the unit tests
+
+const MINT = 'SnapshotMint111111111111111111111111111111';
+const PRICE = 838769804287045666356n;
+
+// sdk.data.orders() 格式的订单 Order in sdk.data.orders() format
+function order(order_pda, order_type, start, end, sol, token) {
+  return {
+    order_type,
+    mint: MINT,
+    user: 'User1111111111111111111111111111111111111111',
+    lock_lp_start_price: start,
+    lock_lp_end_price: end,
+    lock_lp_sol_amount: sol,
+    lock_lp_token_amount: token,
+    start_time: 1000,
+    end_time: 2000,
+    margin_sol_amount: 100,
+    borrow_amount: 200,
+    position_asset_amount: 300,
+    borrow_fee: 300,
+    order_pda
+  };
+}
+
+// 当前价格之上的两个做空订单，之下的一个做多订单 Two short orders above the price, one long order below
+const U1 = order('u1', 2, '922646784715750232991', '1006523765144454799627', 2423291510, 25146405096847);
+const U2 = order('u2', 2, '1090400745573159366262', '1174277726001863932898', 2236451622, 19764281303499);
+const D1 = order('d1', 1, '754892823858341099720', '671015843429636533084', 2819230020, 39611517076712);
+const UP_ORDERS = [U1, U2];
+const DOWN_ORDERS = [D1];
+
+// 模拟器会打印计算过程 The simulators print their working
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function quietlyAsync(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+module.exports = {
+  MINT,
+  PRICE,
+  order,
+  U1,
+  U2,
+  D1,
+  UP_ORDERS,
+  DOWN_ORDERS,
+  quietly,
+  quietlyAsync
+};
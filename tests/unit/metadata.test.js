@@ -0,0 +1,140 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const TokenModule = require('../../src/modules/token');
+const MetadataUtils = require('../../src/utils/metadataUtils');
+const LocalFileStorage = require('../../src/utils/localFileStorage');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('Token metadata', () => {
+  let directory;
+  const token = new TokenModule({});
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'spin-metadata-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('uploadMetadata() with LocalFileStorage', () => {
+    it('writes the metadata JSON and returns its baseUrl URI', async () => {
+      const storage = new LocalFileStorage({ directory, baseUrl: 'https://cdn.example.com/metadata/' });
+      const { uri, metadata } = await token.uploadMetadata({
+        name: 'My Token',
+        symbol: 'MYT',
+        description: 'Community token',
+        image: 'https://cdn.example.com/logo.png',
+        website: 'https://example.com',
+        twitter: 'https://x.com/mytoken'
+      }, storage);
+
+      const expected = {
+        name: 'My Token',
+        symbol: 'MYT',
+        description: 'Community token',
+        image: 'https://cdn.example.com/logo.png',
+        properties: {
+          files: [{ uri: 'https://cdn.example.com/logo.png', type: 'image/png' }],
+          category: 'image'
+        },
+        external_url: 'https://example.com',
+        website: 'https://example.com',
+        twitter: 'https://x.com/mytoken'
+      };
+      assert.deepStrictEqual(metadata, expected);
+
+      assert.match(uri, /^https:\/\/cdn\.example\.com\/metadata\/[^/]+\.json$/);
+      const file = path.join(directory, uri.split('/').pop());
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), expected);
+    });
+
+    it('uploads image bytes first and references them in the JSON', async () => {
+      const storage = new LocalFileStorage({ directory });
+      const image = Uint8Array.from([0x89, 0x50, 0x4e, 0x47]);
+      const { uri, metadata } = await token.uploadMetadata({ name: 'My Token', symbol: 'MYT', image }, storage);
+
+      const root = pathToFileURL(fs.realpathSync(directory)).href;
+      assert.ok(uri.startsWith(`${root}/`) && uri.endsWith('.json'));
+      assert.ok(metadata.image.startsWith(`${root}/`) && metadata.image.endsWith('.png'));
+      assert.deepStrictEqual(metadata.properties.files, [{ uri: metadata.image, type: 'image/png' }]);
+
+      const files = fs.readdirSync(directory).sort();
+      assert.strictEqual(files.length, 2);
+      const imageFile = files.find(name => name.endsWith('.png'));
+      assert.deepStrictEqual([...fs.readFileSync(path.join(directory, imageFile))], [...image]);
+    });
+
+    it('rejects invalid fields before uploading anything', async () => {
+      const storage = new LocalFileStorage({ directory });
+      await assert.rejects(token.uploadMetadata({ name: '', symbol: 'MYT' }, storage), ValidationError);
+      await assert.rejects(token.uploadMetadata({ name: 'My Token', symbol: 42 }, storage), ValidationError);
+      assert.deepStrictEqual(fs.readdirSync(directory), []);
+    });
+
+    it('only warns when name or symbol exceed the recommended lengths, as create() does', async () => {
+      const storage = new LocalFileStorage({ directory });
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = message => warnings.push(message);
+      try {
+        const { metadata } = await token.uploadMetadata({ name: 'x'.repeat(33), symbol: 'TOOLONGSYMBOL' }, storage);
+        assert.strictEqual(metadata.name, 'x'.repeat(33));
+      } finally {
+        console.warn = warn;
+      }
+      assert.strictEqual(warnings.length, 2);
+      assert.ok(warnings[0].startsWith('Token Module - Upload metadata:') && warnings[0].includes('name'));
+      assert.ok(warnings[1].includes('symbol'));
+    });
+
+    it('rejects a storage adapter without upload()', async () => {
+      await assert.rejects(token.uploadMetadata({ name: 'My Token', symbol: 'MYT' }, {}), ValidationError);
+    });
+
+    it('rejects a URI that does not parse as a URL', async () => {
+      const storage = { upload: async () => 'not a url' };
+      await assert.rejects(token.uploadMetadata({ name: 'My Token', symbol: 'MYT' }, storage), ValidationError);
+    });
+  });
+
+  describe('MetadataUtils', () => {
+    it('counts lengths in UTF-8 bytes', () => {
+      assert.strictEqual(MetadataUtils.byteLength('代币'), 6);
+      assert.doesNotThrow(() => MetadataUtils.validate({ name: '代'.repeat(10), symbol: 'MYT', uri: 'https://a.io/m.json' }));
+      assert.strictEqual(MetadataUtils.lengthWarnings({ name: '代'.repeat(10) }).length, 0);
+      assert.strictEqual(MetadataUtils.lengthWarnings({ name: '代'.repeat(11) }).length, 1);
+    });
+
+    it('validates the uri format but not its length', () => {
+      assert.doesNotThrow(() => MetadataUtils.validateUri(`https://a.io/${'x'.repeat(200)}`));
+      assert.throws(() => MetadataUtils.validateUri(''), ValidationError);
+      assert.throws(() => MetadataUtils.validateUri('bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'), ValidationError);
+      assert.doesNotThrow(() => MetadataUtils.validateUri('ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'));
+    });
+
+    it('lists length warnings without throwing', () => {
+      assert.deepStrictEqual(MetadataUtils.lengthWarnings({ name: 'My Token', symbol: 'MYT', uri: 'https://a.io/m.json' }), []);
+      const warnings = MetadataUtils.lengthWarnings({ name: 'x'.repeat(40), symbol: 'MYT', uri: `https://a.io/${'x'.repeat(200)}` });
+      assert.strictEqual(warnings.length, 2);
+      assert.ok(warnings[0].includes('name') && warnings[1].includes('uri'));
+    });
+
+    it('omits empty optional fields from the JSON', () => {
+      assert.deepStrictEqual(MetadataUtils.buildJson({ name: 'My Token', symbol: 'MYT', attributes: [] }), {
+        name: 'My Token',
+        symbol: 'MYT',
+        description: ''
+      });
+    });
+  });
+
+  describe('create()', () => {
+    it('rejects non-string metadata arguments', async () => {
+      await assert.rejects(token.create({ name: 'My Token', symbol: 42, uri: 'https://a.io/m.json' }), ValidationError);
+    });
+  });
+});
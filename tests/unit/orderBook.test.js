@@ -0,0 +1,196 @@
+const assert = require('assert');
+const OrderBookModule = require('../../src/modules/orderBook');
+const CurveAMM = require('../../src/utils/curve_amm');
+const { MINT, PRICE, order, U1, U2, D1 } = require('./fixtures');
+
+// 事件数据与 EventsModule 解码结果相同：金额为 bigint Event data as decoded by EventsModule: amounts as bigint
+function longShortEvent(name, item, slot, latestPrice) {
+  return {
+    name,
+    slot,
+    signature: `${name}-${item.order_pda}-${slot}`,
+    data: {
+      payer: item.user,
+      mint_account: MINT,
+      order_pda: item.order_pda,
+      latest_price: latestPrice,
+      order_type: item.order_type,
+      mint: MINT,
+      user: item.user,
+      lock_lp_start_price: BigInt(item.lock_lp_start_price),
+      lock_lp_end_price: BigInt(item.lock_lp_end_price),
+      lock_lp_sol_amount: BigInt(item.lock_lp_sol_amount),
+      lock_lp_token_amount: BigInt(item.lock_lp_token_amount),
+      start_time: item.start_time,
+      end_time: item.end_time,
+      margin_sol_amount: BigInt(item.margin_sol_amount),
+      borrow_amount: BigInt(item.borrow_amount),
+      position_asset_amount: BigInt(item.position_asset_amount),
+      borrow_fee: item.borrow_fee
+    }
+  };
+}
+
+function fullCloseEvent(orderPda, slot, latestPrice) {
+  return { name: 'FullCloseEvent', slot, data: { mint_account: MINT, order_pda: orderPda, is_close_long: true, latest_price: latestPrice } };
+}
+
+function forceLiquidateEvent(orderPda, slot) {
+  return { name: 'ForceLiquidateEvent', slot, data: { mint_account: MINT, order_pda: orderPda } };
+}
+
+// 从 sdk.data 播种，订单读取可以挂起 Seeds from sdk.data, order reads can be held back
+function createSdk(lists) {
+  const sdk = {
+    options: {},
+    MAX_ORDERS_COUNT: 10,
+    FIND_MAX_ORDERS_COUNT: 1000,
+    lists,
+    hold: null,
+    data: {
+      price: async () => PRICE.toString(),
+      orders: async (mint, options) => {
+        if (sdk.hold) await sdk.hold;
+        return { success: true, data: { orders: sdk.lists[options.type], has_next: false } };
+      }
+    }
+  };
+  return sdk;
+}
+
+async function openBook(lists) {
+  const sdk = createSdk(lists);
+  const changes = [];
+  const book = await new OrderBookModule(sdk).open(MINT, { watch: false, onUpdate: (_, change) => changes.push(change.type) });
+  return { sdk, book, changes };
+}
+
+function pdas(book, type) {
+  return book.orders(type).map(item => item.order_pda);
+}
+
+describe('OrderBook', () => {
+  describe('events', () => {
+    it('inserts LongShortEvent orders in price order and moves the price', async () => {
+      const { book, changes } = await openBook({ up_orders: [U1, U2], down_orders: [D1] });
+
+      const u0 = order('u0', 2, '900000000000000000000', '910000000000000000000', 1000, 2000);
+      const u3 = order('u3', 2, '1050000000000000000000', '1060000000000000000000', 3000, 4000);
+      const d0 = order('d0', 1, '800000000000000000000', '790000000000000000000', 5000, 6000);
+      book._onEvent(longShortEvent('LongShortEvent', u3, 10, 850000000000000000000n));
+      book._onEvent(longShortEvent('LongShortEvent', u0, 11, 851000000000000000000n));
+      book._onEvent(longShortEvent('LongShortEvent', d0, 12, 852000000000000000000n));
+
+      assert.deepStrictEqual(pdas(book, 'up_orders'), ['u0', 'u1', 'u3', 'u2']);
+      assert.deepStrictEqual(pdas(book, 'down_orders'), ['d0', 'd1']);
+      assert.strictEqual(book.price, 852000000000000000000n);
+      assert.strictEqual(book.slot, 12);
+      assert.deepStrictEqual(book.orders('up_orders')[0], u0);
+      assert.deepStrictEqual(changes, ['resync', 'LongShortEvent', 'LongShortEvent', 'LongShortEvent']);
+    });
+
+    it('replaces PartialCloseEvent orders and removes closed and liquidated ones', async () => {
+      const { book } = await openBook({ up_orders: [U1, U2], down_orders: [D1] });
+
+      const partial = { ...U2, lock_lp_sol_amount: 1000000000, lock_lp_token_amount: 9000000000000 };
+      book._onEvent(longShortEvent('PartialCloseEvent', partial, 20, 840000000000000000000n));
+      assert.deepStrictEqual(pdas(book, 'up_orders'), ['u1', 'u2']);
+      assert.strictEqual(book.orders('up_orders')[1].lock_lp_token_amount, 9000000000000);
+
+      book._onEvent(fullCloseEvent('u1', 21, 841000000000000000000n));
+      book._onEvent(forceLiquidateEvent('d1', 22));
+      assert.deepStrictEqual(pdas(book, 'up_orders'), ['u2']);
+      assert.deepStrictEqual(pdas(book, 'down_orders'), []);
+      assert.strictEqual(book.price, 841000000000000000000n);
+    });
+
+    it('ignores the price of events older than the book', async () => {
+      const { book } = await openBook({ up_orders: [U1], down_orders: [] });
+      book._onEvent(fullCloseEvent('x', 30, 850000000000000000000n));
+      book._onEvent(fullCloseEvent('y', 29, 860000000000000000000n));
+      assert.strictEqual(book.price, 850000000000000000000n);
+      assert.strictEqual(book.slot, 30);
+    });
+
+    it('applies events received during resync() after the new seed', async () => {
+      const { sdk, book, changes } = await openBook({ up_orders: [U1], down_orders: [] });
+
+      let release;
+      sdk.hold = new Promise(resolve => { release = resolve; });
+      sdk.lists = { up_orders: [U1, U2], down_orders: [D1] };
+      const resync = book.resync();
+
+      const u3 = order('u3', 2, '1050000000000000000000', '1060000000000000000000', 3000, 4000);
+      book._onEvent(longShortEvent('LongShortEvent', u3, 40, 845000000000000000000n));
+      book._onEvent(fullCloseEvent('u1', 41, 846000000000000000000n));
+      assert.deepStrictEqual(pdas(book, 'up_orders'), ['u1']);
+      assert.strictEqual(book.pendingEvents.length, 2);
+
+      release();
+      sdk.hold = null;
+      await resync;
+
+      assert.deepStrictEqual(pdas(book, 'up_orders'), ['u3', 'u2']);
+      assert.deepStrictEqual(pdas(book, 'down_orders'), ['d1']);
+      assert.strictEqual(book.pendingEvents.length, 0);
+      assert.strictEqual(book.price, 846000000000000000000n);
+      assert.deepStrictEqual(changes, ['resync', 'resync', 'LongShortEvent', 'FullCloseEvent']);
+    });
+  });
+
+  describe('depth()', () => {
+    it('accumulates locked liquidity from the price outwards', async () => {
+      const { book } = await openBook({ up_orders: [U1, U2], down_orders: [D1] });
+      book._onEvent(fullCloseEvent('d1', 50, PRICE));
+
+      const depth = book.depth();
+      assert.strictEqual(depth.price, PRICE);
+      assert.deepStrictEqual(depth.up_orders.map(level => [level.order_pda, level.cumulativeSolAmount, level.cumulativeTokenAmount]), [
+        ['u1', 2423291510n, 25146405096847n],
+        ['u2', 4659743132n, 44910686400346n]
+      ]);
+      assert.strictEqual(depth.up_orders[1].startPrice, 1090400745573159366262n);
+      assert.deepStrictEqual(depth.down_orders, []);
+    });
+  });
+
+  describe('gaps()', () => {
+    it('lists the free ranges between the price and the orders', async () => {
+      const { book } = await openBook({ up_orders: [U1, U2], down_orders: [D1] });
+
+      const up = book.gaps('up_orders');
+      assert.deepStrictEqual(up.map(gap => [gap.startPrice, gap.endPrice]), [
+        [PRICE, 922646784715750232990n],
+        [1006523765144454799628n, 1090400745573159366261n],
+        [1174277726001863932899n, CurveAMM.MAX_U128_PRICE]
+      ]);
+      const [sol, token] = CurveAMM.buyFromPriceToPrice(PRICE, 922646784715750232990n);
+      assert.strictEqual(up[0].solAmount, sol);
+      assert.strictEqual(up[0].tokenAmount, token);
+
+      const down = book.gaps('down_orders');
+      assert.deepStrictEqual(down.map(gap => [gap.startPrice, gap.endPrice]), [
+        [PRICE, 754892823858341099721n],
+        [671015843429636533083n, CurveAMM.MIN_U128_PRICE]
+      ]);
+      const [downToken, downSol] = CurveAMM.sellFromPriceToPrice(PRICE, 754892823858341099721n);
+      assert.strictEqual(down[0].solAmount, downSol);
+      assert.strictEqual(down[0].tokenAmount, downToken);
+    });
+
+    it('follows the list after events', async () => {
+      const { book } = await openBook({ up_orders: [U1, U2], down_orders: [D1] });
+      book._onEvent(fullCloseEvent('u1', 60, PRICE));
+      book._onEvent(forceLiquidateEvent('d1', 61));
+
+      assert.deepStrictEqual(book.gaps('up_orders').map(gap => [gap.startPrice, gap.endPrice]), [
+        [PRICE, 1090400745573159366261n],
+        [1174277726001863932899n, CurveAMM.MAX_U128_PRICE]
+      ]);
+      assert.deepStrictEqual(book.gaps('down_orders').map(gap => [gap.startPrice, gap.endPrice]), [
+        [PRICE, CurveAMM.MIN_U128_PRICE]
+      ]);
+      assert.strictEqual(book.gaps('up_orders', 1).length, 1);
+    });
+  });
+});
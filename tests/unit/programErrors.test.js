@@ -0,0 +1,48 @@
+const assert = require('assert');
+const ProgramErrorUtils = require('../../src/utils/programErrors');
+const { ProgramError } = require('../../src/utils/errors');
+const idl = require('../../src/idl/spinpet.json');
+
+const SPINPET = idl.address;
+const OTHER = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+// 第 1 条指令以自定义错误 6000 (0x1770) 失败 Instruction 1 fails with custom error 6000 (0x1770)
+function failure(programId) {
+  return {
+    err: { InstructionError: [1, { Custom: 6000 }] },
+    logs: [
+      `Program ${SPINPET} invoke [1]`,
+      `Program ${SPINPET} success`,
+      `Program ${programId} invoke [1]`,
+      `Program ${programId} failed: custom program error: 0x1770`
+    ]
+  };
+}
+
+describe('ProgramErrorUtils.decode()', () => {
+  it('decodes a failure of this program', () => {
+    const error = ProgramErrorUtils.decode(failure(SPINPET), { programId: SPINPET });
+    assert.ok(error instanceof ProgramError);
+    assert.strictEqual(error.errorNumber, 6000);
+    assert.strictEqual(error.errorName, 'EmptySupply');
+    assert.strictEqual(error.instructionIndex, 1);
+  });
+
+  it('rejects another program failing with the same number on the InstructionError path', () => {
+    assert.strictEqual(ProgramErrorUtils.decode(failure(OTHER), { programId: SPINPET }), null);
+    assert.strictEqual(ProgramErrorUtils.decode({ value: failure(OTHER) }, { programId: SPINPET }), null);
+  });
+
+  it('rejects another program failing on the log-only path', () => {
+    assert.strictEqual(ProgramErrorUtils.decode(failure(OTHER).logs, { programId: SPINPET }), null);
+  });
+
+  it('decodes an InstructionError without logs', () => {
+    const error = ProgramErrorUtils.decode({ InstructionError: [0, { Custom: 6000 }] }, { programId: SPINPET });
+    assert.strictEqual(error.errorName, 'EmptySupply');
+  });
+
+  it('returns null for numbers outside the catalog', () => {
+    assert.strictEqual(ProgramErrorUtils.decode(1), null);
+  });
+});
@@ -0,0 +1,152 @@
+const assert = require('assert');
+const SimulatorModule = require('../../src/modules/simulator');
+const SimulatorSnapshot = require('../../src/modules/simulator/snapshot');
+const CurveAMM = require('../../src/utils/curve_amm');
+const { ValidationError } = require('../../src/utils/errors');
+const { MINT, PRICE, UP_ORDERS, DOWN_ORDERS, quietly, quietlyAsync } = require('./fixtures');
+
+// 每个方法的输入 Inputs per method
+const CASES = {
+  simulateTokenBuy: [40000000000000n],
+  simulateTokenSell: [50000000000000n],
+  simulateSolBuy: [3000000000n],
+  simulateSolSell: [3000000000n]
+};
+const LONG_STOP = [100000000000n, 712954333643988816402n];
+const SHORT_STOP = [100000000000n, 964585274930102516309n];
+
+describe('SimulatorSnapshot', () => {
+  const snapshot = new SimulatorSnapshot({ price: PRICE, upOrders: UP_ORDERS, downOrders: DOWN_ORDERS }, 10);
+
+  describe('fixed results', () => {
+    it('simulateTokenBuy() crosses the first short order', () => {
+      const result = quietly(() => snapshot.simulateTokenBuy(...CASES.simulateTokenBuy));
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.currentPrice, PRICE);
+      assert.strictEqual(result.data.canComplete, true);
+      assert.strictEqual(result.data.idealSolAmount, 3586664896n);
+      assert.strictEqual(result.data.solAmount, 3683146406n);
+      assert.strictEqual(result.data.forceCloseNum, 1);
+      assert.strictEqual(result.data.hasMoreOrders, false);
+    });
+
+    it('simulateTokenBuy() skips the pass order', () => {
+      const result = quietly(() => snapshot.simulateTokenBuy(CASES.simulateTokenBuy[0], 'u1'));
+      assert.strictEqual(result.data.solAmount, 3586664897n);
+      assert.strictEqual(result.data.forceCloseNum, 0);
+    });
+
+    it('simulateTokenSell() crosses the long order', () => {
+      const result = quietly(() => snapshot.simulateTokenSell(...CASES.simulateTokenSell));
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.canComplete, true);
+      assert.strictEqual(result.data.idealSolAmount, 3880639998n);
+      assert.strictEqual(result.data.solAmount, 3747257281n);
+      assert.strictEqual(result.data.forceCloseNum, 1);
+    });
+
+    it('simulateSolBuy()', () => {
+      const result = quietly(() => snapshot.simulateSolBuy(...CASES.simulateSolBuy));
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.canComplete, true);
+      assert.strictEqual(result.data.idealTokenAmount, 33814391843342n);
+      assert.strictEqual(result.data.tokenAmount, 33400649604320n);
+      assert.strictEqual(result.data.solAmount, 3000000000n);
+      assert.strictEqual(result.data.forceCloseNum, 1);
+    });
+
+    it('simulateSolSell()', () => {
+      const result = quietly(() => snapshot.simulateSolSell(...CASES.simulateSolSell));
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.canComplete, true);
+      assert.strictEqual(result.data.idealTokenAmount, 37958183407494n);
+      assert.strictEqual(result.data.tokenAmount, 38516254091283n);
+      assert.strictEqual(result.data.forceCloseNum, 1);
+    });
+
+    it('simulateLongStopLoss()', () => {
+      const result = quietly(() => snapshot.simulateLongStopLoss(...LONG_STOP));
+      assert.deepStrictEqual(result, {
+        executableStopLossPrice: 586356659890642303666n,
+        tradeAmount: 5862775n,
+        stopLossPercentage: 30.09,
+        leverage: 3.323,
+        currentPrice: PRICE,
+        iterations: 40,
+        originalStopLossPrice: 712954333643988816402n,
+        prev_order_pda: 'd1',
+        next_order_pda: null
+      });
+    });
+
+    it('simulateSellStopLoss()', () => {
+      const result = quietly(() => snapshot.simulateSellStopLoss(...SHORT_STOP));
+      assert.deepStrictEqual(result, {
+        executableStopLossPrice: 1262722626779575791292n,
+        tradeAmount: 12629728n,
+        stopLossPercentage: 50.54,
+        leverage: 1.9784,
+        currentPrice: PRICE,
+        iterations: 55,
+        originalStopLossPrice: 964585274930102516309n,
+        prev_order_pda: 'u2',
+        next_order_pda: null
+      });
+    });
+  });
+
+  describe('matches SimulatorModule', () => {
+    const sdk = {
+      MAX_ORDERS_COUNT: 10,
+      data: {
+        price: async () => PRICE.toString(),
+        orders: async (mint, options) => ({
+          success: true,
+          data: { orders: options.type === 'up_orders' ? UP_ORDERS : DOWN_ORDERS }
+        })
+      }
+    };
+    const simulator = new SimulatorModule(sdk);
+
+    for (const [method, args] of Object.entries(CASES)) {
+      it(`${method}()`, async () => {
+        const online = await quietlyAsync(() => simulator[method](MINT, ...args));
+        const offline = quietly(() => snapshot[method](...args));
+        assert.deepStrictEqual(offline, online);
+      });
+    }
+
+    it('simulateLongStopLoss()', async () => {
+      const online = await quietlyAsync(() => simulator.simulateLongStopLoss(MINT, ...LONG_STOP));
+      assert.deepStrictEqual(quietly(() => snapshot.simulateLongStopLoss(...LONG_STOP)), online);
+    });
+
+    it('simulateSellStopLoss()', async () => {
+      const online = await quietlyAsync(() => simulator.simulateSellStopLoss(MINT, ...SHORT_STOP));
+      assert.deepStrictEqual(quietly(() => snapshot.simulateSellStopLoss(...SHORT_STOP)), online);
+    });
+  });
+
+  describe('constructor', () => {
+    it('falls back to curve.price, then the initial price', () => {
+      assert.strictEqual(new SimulatorSnapshot({ curve: { price: PRICE } }, 10).price, PRICE);
+      assert.strictEqual(new SimulatorSnapshot({ price: '0' }, 10).price, CurveAMM.getInitialPrice());
+      assert.strictEqual(new SimulatorSnapshot({}, 10).price, CurveAMM.getInitialPrice());
+    });
+
+    it('accepts the OrderBook.snapshot() field names', () => {
+      const fromBook = new SimulatorSnapshot({ price: PRICE, up_orders: UP_ORDERS, down_orders: DOWN_ORDERS }, 10);
+      assert.strictEqual(fromBook.upOrders.length, 2);
+      assert.strictEqual(fromBook.downOrders.length, 1);
+    });
+
+    it('rejects invalid snapshots', () => {
+      assert.throws(() => new SimulatorSnapshot(null, 10), ValidationError);
+      assert.throws(() => new SimulatorSnapshot({ upOrders: 'x' }, 10), ValidationError);
+    });
+
+    it('returns a failed result for invalid amounts', () => {
+      assert.strictEqual(snapshot.simulateTokenBuy(-1).errorCode, 'INVALID_AMOUNT');
+    });
+  });
+});